@@ -29,6 +29,7 @@ if (publicKeyFromEnv && typeof publicKeyFromEnv === 'string' && publicKeyFromEnv
 let commandHandlers = {};
 let messageComponentHandlers = {};
 let modalSubmitHandlers = {};
+let autocompleteHandlers = {};
 
 async function initializeHandlers() {
   // Use ComponentRegistry to get all handlers
@@ -38,6 +39,9 @@ async function initializeHandlers() {
   // Use the handlers from the registry
   Object.assign(messageComponentHandlers, registryMessageHandlers);
   Object.assign(modalSubmitHandlers, registryModalHandlers);
+
+  const { CommandRegistry } = await import('./handlers/registry/command-registry.js');
+  Object.assign(autocompleteHandlers, await CommandRegistry.registerAutocompleteHandlers());
   try {
     const { handleComponentsCommand } = await import('./commands/components.js');
     commandHandlers['components'] = (req, res) => handleComponentsCommand(req, res, client);
@@ -50,7 +54,8 @@ async function initializeHandlers() {
   try {
     const { handlePlayCommand } = await import('./handlers/core/play-command.js');
     if (typeof handlePlayCommand === 'function') {
-      commandHandlers['play'] = (req, res) => handlePlayCommand(req, res, client);
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      commandHandlers['play'] = requireModPermissions((req, res) => handlePlayCommand(req, res, client), 'play');
       console.log('Successfully registered "play" command handler.');
     } else {
       console.warn('./handlers/play-command-handler.js did not export handlePlayCommand correctly or is missing.');
@@ -63,7 +68,7 @@ async function initializeHandlers() {
     const stopCommandModule = await import('./commands/stop.js');
     if (stopCommandModule && typeof stopCommandModule.handleStopCommand === 'function') {
       const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-      commandHandlers['stop'] = requireModPermissions((req, res) => stopCommandModule.handleStopCommand(req, res, client));
+      commandHandlers['stop'] = requireModPermissions((req, res) => stopCommandModule.handleStopCommand(req, res, client), 'stop');
       console.log('Successfully registered "stop" command handler with mod permissions.');
     } else {
       console.warn('./commands/stop.js did not export handleStopCommand correctly or is missing.');
@@ -75,9 +80,9 @@ async function initializeHandlers() {
   try {
     const skipCommandModule = await import('./commands/skip.js');
     if (skipCommandModule && typeof skipCommandModule.handleSkipCommand === 'function') {
-      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-      commandHandlers['skip'] = requireModPermissions((req, res) => skipCommandModule.handleSkipCommand(req, res, client));
-      console.log('Successfully registered "skip" command handler with mod permissions.');
+      // Permissions are checked inside the handler so listeners can vote to skip
+      commandHandlers['skip'] = (req, res) => skipCommandModule.handleSkipCommand(req, res, client);
+      console.log('Successfully registered "skip" command handler with vote-skip support.');
     } else {
       console.warn('./commands/skip.js did not export handleSkipCommand correctly or is missing.');
     }
@@ -88,7 +93,7 @@ async function initializeHandlers() {
     const shuffleCommandModule = await import('./commands/shuffle.js');
     if (shuffleCommandModule && typeof shuffleCommandModule.handleShuffleCommand === 'function') {
       const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-      commandHandlers['shuffle'] = requireModPermissions((req, res) => shuffleCommandModule.handleShuffleCommand(req, res, client));
+      commandHandlers['shuffle'] = requireModPermissions((req, res) => shuffleCommandModule.handleShuffleCommand(req, res, client), 'shuffle');
       console.log('Successfully registered "shuffle" command handler with mod permissions.');
     } else {
       console.warn('./commands/shuffle.js did not export handleShuffleCommand correctly or is missing.');
@@ -122,11 +127,24 @@ async function initializeHandlers() {
     console.error('Failed to load "memory" command handler:', error);
   }
 
+  try {
+    const volumeCommandModule = await import('./commands/volume.js');
+    if (volumeCommandModule && typeof volumeCommandModule.handleVolumeCommand === 'function') {
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      commandHandlers['volume'] = requireModPermissions((req, res) => volumeCommandModule.handleVolumeCommand(req, res, client), 'volume');
+      console.log('Successfully registered "volume" command handler with mod permissions.');
+    } else {
+      console.warn('./commands/volume.js did not export handleVolumeCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "volume" command handler:', error);
+  }
+
   try {
     const volumeUpCommandModule = await import('./commands/volume-up.js');
     if (volumeUpCommandModule && typeof volumeUpCommandModule.handleVolumeUpCommand === 'function') {
       const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-      commandHandlers['volumeup'] = requireModPermissions((req, res) => volumeUpCommandModule.handleVolumeUpCommand(req, res, client));
+      commandHandlers['volumeup'] = requireModPermissions((req, res) => volumeUpCommandModule.handleVolumeUpCommand(req, res, client), 'volume');
       console.log('Successfully registered "volumeup" command handler with mod permissions.');
     } else {
       console.warn('./commands/volume-up.js did not export handleVolumeUpCommand correctly or is missing.');
@@ -139,7 +157,7 @@ async function initializeHandlers() {
     const volumeDownCommandModule = await import('./commands/volume-down.js');
     if (volumeDownCommandModule && typeof volumeDownCommandModule.handleVolumeDownCommand === 'function') {
       const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-      commandHandlers['volumedown'] = requireModPermissions((req, res) => volumeDownCommandModule.handleVolumeDownCommand(req, res, client));
+      commandHandlers['volumedown'] = requireModPermissions((req, res) => volumeDownCommandModule.handleVolumeDownCommand(req, res, client), 'volume');
       console.log('Successfully registered "volumedown" command handler with mod permissions.');
     } else {
       console.warn('./commands/volume-down.js did not export handleVolumeDownCommand correctly or is missing.');
@@ -152,7 +170,7 @@ async function initializeHandlers() {
     const muteCommandModule = await import('./commands/mute.js');
     if (muteCommandModule && typeof muteCommandModule.handleMuteCommand === 'function') {
       const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-      commandHandlers['mute'] = requireModPermissions((req, res) => muteCommandModule.handleMuteCommand(req, res, client));
+      commandHandlers['mute'] = requireModPermissions((req, res) => muteCommandModule.handleMuteCommand(req, res, client), 'volume');
       console.log('Successfully registered "mute" command handler with mod permissions.');
     } else {
       console.warn('./commands/mute.js did not export handleMuteCommand correctly or is missing.');
@@ -165,13 +183,177 @@ async function initializeHandlers() {
     const volumeTestCommandModule = await import('./commands/volume-test.js');
     if (volumeTestCommandModule && typeof volumeTestCommandModule.handleVolumeTestCommand === 'function') {
       const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-      commandHandlers['volumetest'] = requireModPermissions((req, res) => volumeTestCommandModule.handleVolumeTestCommand(req, res, client));
+      commandHandlers['volumetest'] = requireModPermissions((req, res) => volumeTestCommandModule.handleVolumeTestCommand(req, res, client), 'volume');
       console.log('Successfully registered "volumetest" command handler with mod permissions.');
     } else {
       console.warn('./commands/volume-test.js did not export handleVolumeTestCommand correctly or is missing.');
     }
   } catch (error) {
     console.error('Failed to load "volumetest" command handler:', error);
+  }
+  try {
+    const playlistCommandModule = await import('./commands/playlist.js');
+    if (playlistCommandModule && typeof playlistCommandModule.handlePlaylistCommand === 'function') {
+      // Permissions are checked inside because loading and editing are different actions
+      commandHandlers['playlist'] = (req, res) => playlistCommandModule.handlePlaylistCommand(req, res, client);
+      console.log('Successfully registered "playlist" command handler.');
+    } else {
+      console.warn('./commands/playlist.js did not export handlePlaylistCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "playlist" command handler:', error);
+  }
+  try {
+    const queueCommandModule = await import('./commands/queue.js');
+    if (queueCommandModule && typeof queueCommandModule.handleQueueCommand === 'function') {
+      // Permissions are checked inside because viewing the queue is open to everyone
+      commandHandlers['queue'] = (req, res) => queueCommandModule.handleQueueCommand(req, res, client);
+      console.log('Successfully registered "queue" command handler.');
+    } else {
+      console.warn('./commands/queue.js did not export handleQueueCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "queue" command handler:', error);
+  }
+  try {
+    const loopCommandModule = await import('./commands/loop.js');
+    if (loopCommandModule && typeof loopCommandModule.handleLoopCommand === 'function') {
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      commandHandlers['loop'] = requireModPermissions((req, res) => loopCommandModule.handleLoopCommand(req, res, client), 'queue');
+      console.log('Successfully registered "loop" command handler with mod permissions.');
+    } else {
+      console.warn('./commands/loop.js did not export handleLoopCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "loop" command handler:', error);
+  }
+  try {
+    const lyricsCommandModule = await import('./commands/lyrics.js');
+    if (lyricsCommandModule && typeof lyricsCommandModule.handleLyricsCommand === 'function') {
+      // Read-only and ephemeral, so open to everyone
+      commandHandlers['lyrics'] = (req, res) => lyricsCommandModule.handleLyricsCommand(req, res, client);
+      console.log('Successfully registered "lyrics" command handler.');
+    } else {
+      console.warn('./commands/lyrics.js did not export handleLyricsCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "lyrics" command handler:', error);
+  }
+  try {
+    const autoplayCommandModule = await import('./commands/autoplay.js');
+    if (autoplayCommandModule && typeof autoplayCommandModule.handleAutoplayCommand === 'function') {
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      commandHandlers['autoplay'] = requireModPermissions((req, res) => autoplayCommandModule.handleAutoplayCommand(req, res, client), 'queue');
+      console.log('Successfully registered "autoplay" command handler with mod permissions.');
+    } else {
+      console.warn('./commands/autoplay.js did not export handleAutoplayCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "autoplay" command handler:', error);
+  }
+  try {
+    const seekCommandModule = await import('./commands/seek.js');
+    if (seekCommandModule) {
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      if (typeof seekCommandModule.handleSeekCommand === 'function') {
+        commandHandlers['seek'] = requireModPermissions((req, res) => seekCommandModule.handleSeekCommand(req, res, client), 'stop');
+        console.log('Successfully registered "seek" command handler with mod permissions.');
+      }
+      if (typeof seekCommandModule.handleForwardCommand === 'function') {
+        commandHandlers['forward'] = requireModPermissions((req, res) => seekCommandModule.handleForwardCommand(req, res, client), 'stop');
+        console.log('Successfully registered "forward" command handler with mod permissions.');
+      }
+      if (typeof seekCommandModule.handleRewindCommand === 'function') {
+        commandHandlers['rewind'] = requireModPermissions((req, res) => seekCommandModule.handleRewindCommand(req, res, client), 'stop');
+        console.log('Successfully registered "rewind" command handler with mod permissions.');
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load seek/forward/rewind command handlers:', error);
+  }
+  try {
+    const filterCommandModule = await import('./commands/filter.js');
+    if (filterCommandModule && typeof filterCommandModule.handleFilterCommand === 'function') {
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      commandHandlers['filter'] = requireModPermissions((req, res) => filterCommandModule.handleFilterCommand(req, res, client), 'settings');
+      console.log('Successfully registered "filter" command handler with mod permissions.');
+    } else {
+      console.warn('./commands/filter.js did not export handleFilterCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "filter" command handler:', error);
+  }
+  try {
+    const backCommandModule = await import('./commands/back.js');
+    if (backCommandModule && typeof backCommandModule.handleBackCommand === 'function') {
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      commandHandlers['back'] = requireModPermissions((req, res) => backCommandModule.handleBackCommand(req, res, client), 'queue');
+      console.log('Successfully registered "back" command handler with mod permissions.');
+    } else {
+      console.warn('./commands/back.js did not export handleBackCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "back" command handler:', error);
+  }
+  try {
+    const voteSkipCommandModule = await import('./commands/voteskip.js');
+    if (voteSkipCommandModule && typeof voteSkipCommandModule.handleVoteSkipCommand === 'function') {
+      // Checks bot controls access itself since this changes a guild setting
+      commandHandlers['voteskip'] = (req, res) => voteSkipCommandModule.handleVoteSkipCommand(req, res, client);
+      console.log('Successfully registered "voteskip" command handler.');
+    } else {
+      console.warn('./commands/voteskip.js did not export handleVoteSkipCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "voteskip" command handler:', error);
+  }
+  try {
+    const queueLimitsCommandModule = await import('./commands/queuelimits.js');
+    if (queueLimitsCommandModule && typeof queueLimitsCommandModule.handleQueueLimitsCommand === 'function') {
+      // Checks bot controls access itself since this changes guild settings
+      commandHandlers['queuelimits'] = (req, res) => queueLimitsCommandModule.handleQueueLimitsCommand(req, res, client);
+      console.log('Successfully registered "queuelimits" command handler.');
+    } else {
+      console.warn('./commands/queuelimits.js did not export handleQueueLimitsCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "queuelimits" command handler:', error);
+  }
+  try {
+    const searchCommandModule = await import('./commands/search.js');
+    if (searchCommandModule && typeof searchCommandModule.handleSearchCommand === 'function') {
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      commandHandlers['search'] = requireModPermissions((req, res) => searchCommandModule.handleSearchCommand(req, res, client), 'play');
+      console.log('Successfully registered "search" command handler with mod permissions.');
+    } else {
+      console.warn('./commands/search.js did not export handleSearchCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "search" command handler:', error);
+  }
+  try {
+    const podcastCommandModule = await import('./commands/podcast.js');
+    if (podcastCommandModule && typeof podcastCommandModule.handlePodcastCommand === 'function') {
+      const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
+      commandHandlers['podcast'] = requireModPermissions((req, res) => podcastCommandModule.handlePodcastCommand(req, res, client), 'play');
+      console.log('Successfully registered "podcast" command handler with mod permissions.');
+    } else {
+      console.warn('./commands/podcast.js did not export handlePodcastCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "podcast" command handler:', error);
+  }
+  try {
+    const playbackModeCommandModule = await import('./commands/playbackmode.js');
+    if (playbackModeCommandModule && typeof playbackModeCommandModule.handlePlaybackModeCommand === 'function') {
+      // Checks bot controls access itself since this changes a guild setting
+      commandHandlers['playbackmode'] = (req, res) => playbackModeCommandModule.handlePlaybackModeCommand(req, res, client);
+      console.log('Successfully registered "playbackmode" command handler.');
+    } else {
+      console.warn('./commands/playbackmode.js did not export handlePlaybackModeCommand correctly or is missing.');
+    }
+  } catch (error) {
+    console.error('Failed to load "playbackmode" command handler:', error);
   }
       try {
         const menuNavHandlers = await import('./handlers/menu-component-handlers.js');
@@ -235,6 +417,13 @@ async function initializeHandlers() {
         messageComponentHandlers['clear_slash_roles'] = (req, res, data) => menuNavHandlers.handleClearSlashRoles(req, res, data, client);
         messageComponentHandlers['clear_components_roles'] = (req, res, data) => menuNavHandlers.handleClearComponentsRoles(req, res, data, client);
         messageComponentHandlers['clear_bot_controls_roles'] = (req, res, data) => menuNavHandlers.handleClearBotControlsRoles(req, res, data, client);
+
+        // Per-action permission handlers
+        messageComponentHandlers['access_action_permissions'] = (req, res, data) => menuNavHandlers.handleAccessActionPermissions(req, res, data, client);
+        messageComponentHandlers['action_permission_action_select'] = (req, res, data) => menuNavHandlers.handleActionPermissionActionSelect(req, res, data, client);
+        messageComponentHandlers['action_permission_level_select'] = (req, res, data) => menuNavHandlers.handleActionPermissionLevelSelect(req, res, data, client);
+        messageComponentHandlers['action_permission_dj_role_select'] = (req, res, data) => menuNavHandlers.handleActionPermissionDjRoleSelect(req, res, data, client);
+        messageComponentHandlers['action_permission_reset'] = (req, res, data) => menuNavHandlers.handleActionPermissionReset(req, res, data, client);
         messageComponentHandlers['menu_nav_quick_tips'] = (req, res, data) => handleMenuNavTips(req, res, data, client);
         messageComponentHandlers['menu_nav_main'] = (req, res, data) => routeMenuNavigation('menu_nav_main', req, res, client);
         messageComponentHandlers['menu_nav_bot_voice_controls'] = (req, res, data) => routeMenuNavigation('menu_nav_bot_voice_controls', req, res, client);
@@ -251,6 +440,19 @@ async function initializeHandlers() {
         messageComponentHandlers['remote_skip'] = (req, res, data) => menuNavHandlers.handleRemoteSkip(req, res, data, client);
         messageComponentHandlers['remote_stop'] = (req, res, data) => menuNavHandlers.handleRemoteStop(req, res, data, client);
         messageComponentHandlers['remote_shuffle'] = (req, res, data) => menuNavHandlers.handleRemoteShuffle(req, res, data, client);
+        messageComponentHandlers['remote_loop'] = (req, res, data) => menuNavHandlers.handleRemoteLoop(req, res, data, client);
+        messageComponentHandlers['remote_autoplay'] = (req, res, data) => menuNavHandlers.handleRemoteAutoplay(req, res, data, client);
+        messageComponentHandlers['remote_back'] = (req, res, data) => menuNavHandlers.handleRemoteBack(req, res, data, client);
+        messageComponentHandlers['search_result_select'] = (req, res, data) => menuNavHandlers.handleSearchResultSelect(req, res, data, client);
+        messageComponentHandlers['podcast_episode_select'] = (req, res, data) => menuNavHandlers.handlePodcastEpisodeSelect(req, res, data, client);
+        messageComponentHandlers['remote_lyrics'] = (req, res, data) => menuNavHandlers.handleRemoteLyrics(req, res, data, client);
+        messageComponentHandlers['lyrics_prev'] = (req, res, data) => menuNavHandlers.handleLyricsPrev(req, res, data, client);
+        messageComponentHandlers['lyrics_next'] = (req, res, data) => menuNavHandlers.handleLyricsNext(req, res, data, client);
+        messageComponentHandlers['lyrics_sync'] = (req, res, data) => menuNavHandlers.handleLyricsSync(req, res, data, client);
+        messageComponentHandlers['queue_page_first'] = (req, res, data) => menuNavHandlers.handleQueuePageFirst(req, res, data, client);
+        messageComponentHandlers['queue_page_prev'] = (req, res, data) => menuNavHandlers.handleQueuePagePrev(req, res, data, client);
+        messageComponentHandlers['queue_page_next'] = (req, res, data) => menuNavHandlers.handleQueuePageNext(req, res, data, client);
+        messageComponentHandlers['queue_page_last'] = (req, res, data) => menuNavHandlers.handleQueuePageLast(req, res, data, client);
 
         // Additional menu navigation handlers
         messageComponentHandlers['menu_nav_queue_history'] = (req, res, data) => routeMenuNavigation('menu_nav_queue_history', req, res, client);
@@ -264,12 +466,12 @@ async function initializeHandlers() {
       if (pauseCommandModule) {
         if (typeof pauseCommandModule.handlePauseCommand === 'function') {
           const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-          commandHandlers['pause'] = requireModPermissions((req, res) => pauseCommandModule.handlePauseCommand(req, res, client));
+          commandHandlers['pause'] = requireModPermissions((req, res) => pauseCommandModule.handlePauseCommand(req, res, client), 'stop');
           console.log('Successfully registered "pause" command handler with mod permissions.');
         }
         if (typeof pauseCommandModule.handleResumeCommand === 'function') {
           const { requireModPermissions } = await import('./middleware/permissionMiddleware.js');
-          commandHandlers['resume'] = requireModPermissions((req, res) => pauseCommandModule.handleResumeCommand(req, res, client));
+          commandHandlers['resume'] = requireModPermissions((req, res) => pauseCommandModule.handleResumeCommand(req, res, client), 'stop');
           console.log('Successfully registered "resume" command handler with mod permissions.');
         }
       }
@@ -433,6 +635,11 @@ app.post('/interactions', verifyKeyMiddleware(process.env.PUBLIC_KEY), async (re
         console.log(new Date().toISOString(), `[APP_DEBUG] ID: ${interactionId} | Cmd: ${data.name} | Dispatching to command handler.`);
         return handler(req, res, client);
       }
+    } else if (type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+      const handler = autocompleteHandlers[data.name];
+      if (handler) {
+        return handler(req, res, client);
+      }
     } else if (type === InteractionType.MESSAGE_COMPONENT) {
       // console.log(new Date().toISOString(), `[APP_DEBUG] ID: ${interactionId} | MESSAGE_COMPONENT interaction received. Full body:`, JSON.stringify(req.body, null, 2));
       const handler = messageComponentHandlers[data.custom_id];
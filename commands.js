@@ -46,6 +46,7 @@ const PLAY_COMMAND = {
       description: 'Song name or YouTube URL (use this OR song + artist)',
       type: 3, // STRING
       required: false,
+      autocomplete: true,
     },
     {
       name: 'song',
@@ -59,6 +60,12 @@ const PLAY_COMMAND = {
       type: 3, // STRING
       required: false,
     },
+    {
+      name: 'file',
+      description: 'Audio file to play (mp3, flac, ogg, wav, m4a)',
+      type: 11, // ATTACHMENT
+      required: false,
+    },
   ],
   type: 1, // CHAT_INPUT
   integration_types: [0, 1],
@@ -97,6 +104,40 @@ const RESET_COMMAND = {
   contexts: [0, 1, 2],
 };
 
+const VOLUME_COMMAND = {
+  name: 'volume',
+  description: 'Show or set the volume, or change the server default and max volume.',
+  options: [
+    {
+      name: 'level',
+      description: 'Volume in percent (0-200, capped at the server max)',
+      type: 4, // INTEGER
+      required: false,
+      min_value: 0,
+      max_value: 200,
+    },
+    {
+      name: 'default',
+      description: 'Volume new sessions start at, in percent',
+      type: 4, // INTEGER
+      required: false,
+      min_value: 0,
+      max_value: 200,
+    },
+    {
+      name: 'max',
+      description: 'Highest volume anyone can set, in percent',
+      type: 4, // INTEGER
+      required: false,
+      min_value: 1,
+      max_value: 200,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
 const VOLUME_UP_COMMAND = {
   name: 'volumeup',
   description: 'Increases the volume by 10%.',
@@ -137,6 +178,410 @@ const AUTO_ADVANCE_COMMAND = {
   contexts: [0, 1, 2],
 };
 
+const PLAYLIST_NAME_OPTION = {
+  name: 'name',
+  description: 'Playlist name',
+  type: 3, // STRING
+  required: true,
+};
+
+const PLAYLIST_COMMAND = {
+  name: 'playlist',
+  description: 'Save, load and manage saved playlists for this server.',
+  options: [
+    {
+      name: 'save',
+      description: 'Save the current queue as a playlist.',
+      type: 1, // SUB_COMMAND
+      options: [PLAYLIST_NAME_OPTION],
+    },
+    {
+      name: 'load',
+      description: 'Add a saved playlist to the queue.',
+      type: 1, // SUB_COMMAND
+      options: [PLAYLIST_NAME_OPTION],
+    },
+    {
+      name: 'list',
+      description: 'List the saved playlists for this server.',
+      type: 1, // SUB_COMMAND
+    },
+    {
+      name: 'delete',
+      description: 'Delete a saved playlist.',
+      type: 1, // SUB_COMMAND
+      options: [PLAYLIST_NAME_OPTION],
+    },
+    {
+      name: 'rename',
+      description: 'Rename a saved playlist.',
+      type: 1, // SUB_COMMAND
+      options: [
+        PLAYLIST_NAME_OPTION,
+        {
+          name: 'new_name',
+          description: 'New playlist name',
+          type: 3, // STRING
+          required: true,
+        },
+      ],
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const QUEUE_COMMAND = {
+  name: 'queue',
+  description: 'View or edit the upcoming queue.',
+  options: [
+    {
+      name: 'view',
+      description: 'Page through the whole upcoming queue.',
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'page',
+          description: 'Page to open (10 songs per page)',
+          type: 4, // INTEGER
+          required: false,
+          min_value: 1,
+        },
+      ],
+    },
+    {
+      name: 'remove',
+      description: 'Remove a song or a range of songs from the queue.',
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'position',
+          description: 'Queue position or range, e.g. 3 or 3-7',
+          type: 3, // STRING
+          required: true,
+        },
+      ],
+    },
+    {
+      name: 'move',
+      description: 'Move a song to another position in the queue.',
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'from',
+          description: 'Current queue position',
+          type: 4, // INTEGER
+          required: true,
+          min_value: 1,
+        },
+        {
+          name: 'to',
+          description: 'New queue position',
+          type: 4, // INTEGER
+          required: true,
+          min_value: 1,
+        },
+      ],
+    },
+    {
+      name: 'jump',
+      description: 'Skip straight to a song in the queue.',
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'position',
+          description: 'Queue position to jump to',
+          type: 4, // INTEGER
+          required: true,
+          min_value: 1,
+        },
+      ],
+    },
+    {
+      name: 'clear',
+      description: 'Remove every upcoming song from the queue.',
+      type: 1, // SUB_COMMAND
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const LOOP_COMMAND = {
+  name: 'loop',
+  description: 'Set the loop mode, or cycle through the modes if none is given.',
+  options: [
+    {
+      name: 'mode',
+      description: 'Loop mode',
+      type: 3, // STRING
+      required: false,
+      choices: [
+        { name: 'Off', value: 'off' },
+        { name: 'Track', value: 'track' },
+        { name: 'Queue', value: 'queue' },
+      ],
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const AUTOPLAY_COMMAND = {
+  name: 'autoplay',
+  description: 'Keep playing related songs when the queue runs out, or toggle it if no option is given.',
+  options: [
+    {
+      name: 'enabled',
+      description: 'Turn autoplay on or off',
+      type: 5, // BOOLEAN
+      required: false,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const SEEK_COMMAND = {
+  name: 'seek',
+  description: 'Jump to a position in the current song.',
+  options: [
+    {
+      name: 'position',
+      description: 'Time to jump to, e.g. 1:23 or 83',
+      type: 3, // STRING
+      required: true,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const FORWARD_COMMAND = {
+  name: 'forward',
+  description: 'Skip ahead in the current song.',
+  options: [
+    {
+      name: 'seconds',
+      description: 'Seconds to skip ahead (default 10)',
+      type: 4, // INTEGER
+      required: false,
+      min_value: 1,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const REWIND_COMMAND = {
+  name: 'rewind',
+  description: 'Go back in the current song.',
+  options: [
+    {
+      name: 'seconds',
+      description: 'Seconds to go back (default 10)',
+      type: 4, // INTEGER
+      required: false,
+      min_value: 1,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const FILTER_PRESET_CHOICES = [
+  { name: 'Bass Boost', value: 'bassboost' },
+  { name: 'Nightcore', value: 'nightcore' },
+  { name: 'Vaporwave', value: 'vaporwave' },
+  { name: '8D Audio', value: '8d' },
+  { name: 'Karaoke', value: 'karaoke' },
+  { name: 'Treble Boost', value: 'treble' },
+  { name: 'Echo', value: 'echo' },
+];
+
+const FILTER_COMMAND = {
+  name: 'filter',
+  description: 'Apply an audio filter preset.',
+  options: [
+    {
+      name: 'set',
+      description: 'Apply a filter preset to the current and upcoming songs.',
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'preset',
+          description: 'Filter preset',
+          type: 3, // STRING
+          required: true,
+          choices: FILTER_PRESET_CHOICES,
+        },
+      ],
+    },
+    {
+      name: 'clear',
+      description: 'Remove the active audio filter.',
+      type: 1, // SUB_COMMAND
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const BACK_COMMAND = {
+  name: 'back',
+  description: 'Play the previous song again.',
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const VOTESKIP_COMMAND = {
+  name: 'voteskip',
+  description: 'Configure vote-skip for listeners without skip permissions.',
+  options: [
+    {
+      name: 'enable',
+      description: 'Let listeners vote to skip the current song.',
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'ratio',
+          description: 'Percent of listeners in the voice channel needed to skip (default 50)',
+          type: 4, // INTEGER
+          required: false,
+          min_value: 1,
+          max_value: 100,
+        },
+      ],
+    },
+    {
+      name: 'disable',
+      description: 'Turn vote-skip off.',
+      type: 1, // SUB_COMMAND
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const QUEUELIMITS_COMMAND = {
+  name: 'queuelimits',
+  description: 'Show or change per-user queue limits and fair queue ordering.',
+  options: [
+    {
+      name: 'per_user',
+      description: 'Max songs one user can have queued (0 = no limit)',
+      type: 4, // INTEGER
+      required: false,
+      min_value: 0,
+      max_value: 500,
+    },
+    {
+      name: 'playlist_size',
+      description: 'Max songs imported from one playlist (0 = no limit)',
+      type: 4, // INTEGER
+      required: false,
+      min_value: 0,
+      max_value: 500,
+    },
+    {
+      name: 'fair',
+      description: 'Interleave the queue so each requester gets a turn',
+      type: 5, // BOOLEAN
+      required: false,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const SEARCH_COMMAND = {
+  name: 'search',
+  description: 'Search YouTube and pick which result to add to the queue.',
+  options: [
+    {
+      name: 'query',
+      description: 'Song name or search terms',
+      type: 3, // STRING
+      required: true,
+    },
+    {
+      name: 'results',
+      description: 'Number of results to show (default 5)',
+      type: 4, // INTEGER
+      required: false,
+      min_value: 1,
+      max_value: 10,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const PLAYBACKMODE_COMMAND = {
+  name: 'playbackmode',
+  description: 'Show or change whether songs are downloaded first or streamed directly.',
+  options: [
+    {
+      name: 'mode',
+      description: 'Playback mode',
+      type: 3, // STRING
+      required: false,
+      choices: [
+        { name: 'Download', value: 'download' },
+        { name: 'Stream', value: 'stream' },
+        { name: 'Bot default', value: 'default' },
+      ],
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const PODCAST_COMMAND = {
+  name: 'podcast',
+  description: 'Pick an episode from a podcast RSS feed to add to the queue.',
+  options: [
+    {
+      name: 'url',
+      description: 'RSS feed link of the podcast',
+      type: 3, // STRING
+      required: true,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
+const LYRICS_COMMAND = {
+  name: 'lyrics',
+  description: 'Show the lyrics of the current song, or of another song.',
+  options: [
+    {
+      name: 'query',
+      description: 'Song to look up (e.g. "Artist - Title"); the current song if left empty',
+      type: 3, // STRING
+      required: false,
+    },
+  ],
+  type: 1,
+  integration_types: [0, 1],
+  contexts: [0, 1, 2],
+};
+
 const ALL_COMMANDS = [
   ...(process.env.ENABLE_TEST_COMMAND === 'true' ? [TEST_COMMAND] : []),
   COMPONENTS_COMMAND,
@@ -147,11 +592,27 @@ const ALL_COMMANDS = [
   RESUME_COMMAND,
   SHUFFLE_COMMAND,
   RESET_COMMAND,
+  VOLUME_COMMAND,
   VOLUME_UP_COMMAND,
   VOLUME_DOWN_COMMAND,
   MUTE_COMMAND,
   VOLUME_TEST_COMMAND,
   AUTO_ADVANCE_COMMAND,
+  PLAYLIST_COMMAND,
+  QUEUE_COMMAND,
+  LOOP_COMMAND,
+  AUTOPLAY_COMMAND,
+  SEEK_COMMAND,
+  FORWARD_COMMAND,
+  REWIND_COMMAND,
+  FILTER_COMMAND,
+  BACK_COMMAND,
+  VOTESKIP_COMMAND,
+  QUEUELIMITS_COMMAND,
+  SEARCH_COMMAND,
+  PLAYBACKMODE_COMMAND,
+  PODCAST_COMMAND,
+  LYRICS_COMMAND,
 ];
 
 InstallGlobalCommands(process.env.APP_ID, ALL_COMMANDS);
\ No newline at end of file
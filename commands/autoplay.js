@@ -0,0 +1,44 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+import { autoplayManager } from '../utils/services/autoplay-manager.js';
+
+export async function handleAutoplayCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const enabledOption = (req.body.data.options || []).find(opt => opt.name === 'enabled');
+
+    try {
+        // No option given: toggle, like the panel button
+        const enabled = enabledOption
+            ? await autoplayManager.setEnabled(guildId, enabledOption.value)
+            : await autoplayManager.toggle(guildId);
+
+        const session = guildAudioSessions.get(guildId);
+        if (session) {
+            try {
+                const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+                await updatePlaybackControlsEmbed(guildId, djsClient, session);
+            } catch (error) {
+                console.error('[AutoplayCommand] Error updating playback controls embed:', error.message);
+            }
+        }
+
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: enabled
+                    ? '📻 Autoplay is **on** - related songs will keep playing when the queue runs out.'
+                    : '⏹️ Autoplay is **off**.',
+                flags: 64 // Ephemeral
+            },
+        });
+    } catch (error) {
+        console.error(`[AutoplayCommand] Error changing autoplay for guild ${guildId}:`, error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Could not change the autoplay setting.',
+                flags: 64
+            },
+        });
+    }
+}
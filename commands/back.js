@@ -0,0 +1,55 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+import { historyManager } from '../utils/services/history-manager.js';
+
+export async function handleBackCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const session = guildAudioSessions.get(guildId);
+
+    if (!session) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ There is no active audio session in this server.',
+                flags: 64 // Ephemeral
+            },
+        });
+    }
+
+    try {
+        const previousSong = await historyManager.playPrevious(guildId, session);
+        if (!previousSong) {
+            return res.send({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                    content: '❌ There is no previous song to go back to.',
+                    flags: 64
+                },
+            });
+        }
+
+        try {
+            const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+            await updatePlaybackControlsEmbed(guildId, djsClient, session);
+        } catch (error) {
+            console.error('[BackCommand] Error updating playback controls embed:', error.message);
+        }
+
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: `⏮️ Going back to **${previousSong.title}**.`,
+                flags: 64
+            },
+        });
+    } catch (error) {
+        console.error(`[BackCommand] Error going back for guild ${guildId}:`, error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Could not go back to the previous song.',
+                flags: 64
+            },
+        });
+    }
+}
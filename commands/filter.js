@@ -0,0 +1,70 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+import { audioFilterManager } from '../utils/services/audio-filter-manager.js';
+
+function sendEphemeral(res, content) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content,
+            flags: 64 // Ephemeral
+        },
+    });
+}
+
+export async function handleFilterCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const subcommand = req.body.data.options?.[0];
+
+    if (!guildId || !subcommand) {
+        return sendEphemeral(res, '❌ This command can only be used within a server.');
+    }
+
+    const preset = subcommand.name === 'clear'
+        ? 'none'
+        : (subcommand.options || []).find(opt => opt.name === 'preset')?.value;
+
+    if (!audioFilterManager.isValidPreset(preset)) {
+        return sendEphemeral(res, `❌ Unknown filter preset. Available: ${audioFilterManager.getPresetNames().join(', ')}`);
+    }
+
+    const session = guildAudioSessions.get(guildId);
+    const label = `${audioFilterManager.getEmoji(preset)} **${audioFilterManager.getLabel(preset)}**`;
+
+    // Re-applying to the current song re-encodes it, so acknowledge first
+    res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: `🎛️ Applying filter ${label}...`,
+            flags: 64
+        },
+    });
+
+    let content;
+    try {
+        const { reappliedToCurrent } = await audioFilterManager.applyFilter(guildId, session, preset);
+        content = preset === 'none'
+            ? '🎛️ Audio filter cleared.'
+            : `🎛️ Audio filter set to ${label}.`;
+        if (session?.nowPlaying && !reappliedToCurrent) {
+            content += ' It will apply from the next song.';
+        }
+
+        if (session) {
+            try {
+                const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+                await updatePlaybackControlsEmbed(guildId, djsClient, session);
+            } catch (error) {
+                console.error('[FilterCommand] Error updating playback controls embed:', error.message);
+            }
+        }
+    } catch (error) {
+        console.error(`[FilterCommand] Error setting filter for guild ${guildId}:`, error);
+        content = `❌ Could not set the audio filter: ${error.message}`;
+    }
+
+    const { updateOriginalMessage } = await import('../utils/helpers/discord-api.js');
+    await updateOriginalMessage(req.body.application_id, req.body.token, { content }).catch(error => {
+        console.error('[FilterCommand] Error updating filter response:', error.message);
+    });
+}
@@ -0,0 +1,42 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+import { loopManager } from '../utils/services/loop-manager.js';
+
+export async function handleLoopCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const modeOption = (req.body.data.options || []).find(opt => opt.name === 'mode');
+
+    try {
+        // No mode given: cycle through off -> track -> queue, like the panel button
+        const mode = modeOption?.value
+            ? await loopManager.setLoopMode(guildId, modeOption.value)
+            : await loopManager.cycleLoopMode(guildId);
+
+        const session = guildAudioSessions.get(guildId);
+        if (session) {
+            try {
+                const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+                await updatePlaybackControlsEmbed(guildId, djsClient, session);
+            } catch (error) {
+                console.error('[LoopCommand] Error updating playback controls embed:', error.message);
+            }
+        }
+
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: `${loopManager.getEmoji(mode)} Loop mode set to **${loopManager.getLabel(mode)}**.`,
+                flags: 64 // Ephemeral
+            },
+        });
+    } catch (error) {
+        console.error(`[LoopCommand] Error setting loop mode for guild ${guildId}:`, error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Could not change the loop mode.',
+                flags: 64
+            },
+        });
+    }
+}
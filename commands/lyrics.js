@@ -0,0 +1,30 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { openLyricsViewer } from '../handlers/ui/handlers/lyrics-handlers.js';
+
+export async function handleLyricsCommand(req, res) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const query = String((req.body.data.options || []).find(opt => opt.name === 'query')?.value || '').trim();
+
+    // Lyrics providers can be slow, so acknowledge first
+    res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: '🎤 Looking up lyrics...',
+            flags: 64 // Ephemeral
+        },
+    });
+
+    let messageData;
+    try {
+        messageData = await openLyricsViewer(guildId, userId, query || null);
+    } catch (error) {
+        console.error(`[LyricsCmd] Error looking up lyrics for guild ${guildId}:`, error);
+        messageData = { content: '❌ Could not load lyrics.' };
+    }
+
+    const { updateOriginalMessage } = await import('../utils/helpers/discord-api.js');
+    await updateOriginalMessage(req.body.application_id, req.body.token, messageData).catch(error => {
+        console.error('[LyricsCmd] Error sending lyrics:', error.message);
+    });
+}
@@ -0,0 +1,54 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { getGuildSettings, updateGuildSettings } from '../utils/database/guildSettings.js';
+import { checkBotControlsPermissions } from '../middleware/permissionMiddleware.js';
+
+const MODE_DESCRIPTIONS = {
+    download: '💾 **Download** - songs are downloaded and processed before they play (seeking supported)',
+    stream: '📡 **Stream** - the first song starts while it is still downloading (no seeking)'
+};
+
+function sendEphemeral(res, content) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content,
+            flags: 64 // Ephemeral
+        },
+    });
+}
+
+function describeMode(playbackMode) {
+    const defaultMode = process.env.PLAYBACK_MODE === 'stream' ? 'stream' : 'download';
+    return playbackMode
+        ? MODE_DESCRIPTIONS[playbackMode]
+        : `${MODE_DESCRIPTIONS[defaultMode]} (bot default)`;
+}
+
+export async function handlePlaybackModeCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const mode = (req.body.data.options || []).find(opt => opt.name === 'mode')?.value;
+
+    if (!guildId || !userId) {
+        return sendEphemeral(res, '❌ This command can only be used within a server.');
+    }
+
+    // Playback mode is a guild setting, so it follows the settings action rather than slash command access
+    if (!await checkBotControlsPermissions(djsClient, guildId, userId)) {
+        return sendEphemeral(res, '❌ You need bot control permissions to change the playback mode.');
+    }
+
+    try {
+        const currentSettings = await getGuildSettings(guildId);
+        if (!mode) {
+            return sendEphemeral(res, `🎚️ Playback mode: ${describeMode(currentSettings.playback_mode)}`);
+        }
+
+        const playbackMode = mode === 'default' ? null : mode;
+        await updateGuildSettings(guildId, { ...currentSettings, playback_mode: playbackMode });
+        return sendEphemeral(res, `✅ Playback mode set to ${describeMode(playbackMode)}. It applies from the next song.`);
+    } catch (error) {
+        console.error(`[PlaybackModeCommand] Error updating playback mode for guild ${guildId}:`, error);
+        return sendEphemeral(res, '❌ Could not update the playback mode.');
+    }
+}
@@ -0,0 +1,190 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+import { queueSaver } from '../utils/queue-saver.js';
+import { checkActionPermission, checkAccessPermissions } from '../middleware/permissionMiddleware.js';
+
+const MAX_PLAYLIST_NAME_LENGTH = 100;
+
+// Loading queues songs like /play; the other edits change the guild's saved playlists. list only reads
+const SUBCOMMAND_ACTIONS = {
+    load: 'play',
+    save: 'queue',
+    delete: 'queue',
+    rename: 'queue'
+};
+
+function getOptionValue(options, name) {
+    const option = (options || []).find(opt => opt.name === name);
+    return typeof option?.value === 'string' ? option.value.trim() : null;
+}
+
+function sendEphemeral(res, content) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content,
+            flags: 64 // Ephemeral
+        },
+    });
+}
+
+/**
+ * Load a saved playlist into the guild's queue, joining the member's voice channel if needed
+ * Shared by the /playlist load subcommand and the Saved Playlists page
+ * @param {Object} djsClient - Discord.js client
+ * @param {string} guildId - Guild ID
+ * @param {Object} member - Interaction member object
+ * @param {string} channelId - Text channel ID
+ * @param {string} playlistName - Name of the saved playlist
+ * @returns {Promise<Object>} - { success, songCount, error }
+ */
+export async function loadSavedPlaylist(djsClient, guildId, member, channelId, playlistName) {
+    const { getOrCreateSession } = await import('../utils/helpers/session-helper.js');
+    const { session, error } = await getOrCreateSession(djsClient, guildId, member, channelId);
+
+    if (error || !session) {
+        return { success: false, error: error || 'Could not create an audio session.' };
+    }
+
+    const requestedBy = member?.user?.username || member?.user?.global_name || 'Unknown User';
+    const result = await queueSaver.loadPlaylist(guildId, playlistName, session, djsClient, requestedBy);
+
+    if (result.success) {
+        try {
+            const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+            await updatePlaybackControlsEmbed(guildId, djsClient, session);
+        } catch (embedError) {
+            console.error('[PlaylistCommand] Error updating playback controls embed:', embedError.message);
+        }
+    }
+
+    return result;
+}
+
+export async function handlePlaylistCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const member = req.body.member;
+    const channelId = req.body.channel_id;
+    const subcommand = req.body.data.options?.[0];
+    const options = subcommand?.options || [];
+
+    if (!guildId || !subcommand) {
+        return sendEphemeral(res, '❌ This command can only be used within a server.');
+    }
+
+    const userId = member?.user?.id;
+    const action = SUBCOMMAND_ACTIONS[subcommand.name];
+    const hasAccess = action
+        ? await checkActionPermission(djsClient, guildId, userId, action, 'slash_commands')
+        : await checkAccessPermissions(djsClient, guildId, userId, 'slash_commands');
+    if (!hasAccess) {
+        return sendEphemeral(res, '❌ You need appropriate permissions to use this command.');
+    }
+
+    const name = getOptionValue(options, 'name');
+    console.log(`[PlaylistCommand] /playlist ${subcommand.name} "${name || ''}" in guild ${guildId}`);
+
+    try {
+        switch (subcommand.name) {
+            case 'save': {
+                if (!name || name.length > MAX_PLAYLIST_NAME_LENGTH) {
+                    return sendEphemeral(res, `❌ Playlist names must be between 1 and ${MAX_PLAYLIST_NAME_LENGTH} characters.`);
+                }
+                const session = guildAudioSessions.get(guildId);
+                if (!session) {
+                    return sendEphemeral(res, '❌ There is nothing in the queue to save.');
+                }
+                const createdBy = member?.user?.username || 'Unknown';
+                const result = await queueSaver.savePlaylist(guildId, name, session, createdBy);
+                if (!result.success) {
+                    return sendEphemeral(res, `❌ Could not save playlist: ${result.error}`);
+                }
+                return sendEphemeral(res, `💾 Saved the current queue as **${name}**.`);
+            }
+
+            case 'load': {
+                if (!name) {
+                    return sendEphemeral(res, '❌ Please provide the name of the playlist to load.');
+                }
+
+                // Loading can take a while (voice connection + first song processing), so acknowledge first
+                res.send({
+                    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                    data: {
+                        content: `📂 Loading playlist **${name}**...`,
+                        flags: 64
+                    },
+                });
+
+                const result = await loadSavedPlaylist(djsClient, guildId, member, channelId, name);
+                const { updateOriginalMessage } = await import('../utils/helpers/discord-api.js');
+                await updateOriginalMessage(req.body.application_id, req.body.token, {
+                    content: result.success
+                        ? `📂 Added **${result.songCount}** song${result.songCount === 1 ? '' : 's'} from **${name}** to the queue.`
+                        : `❌ Could not load playlist: ${result.error}`
+                }).catch(error => {
+                    console.error('[PlaylistCommand] Error updating load response:', error.message);
+                });
+                return;
+            }
+
+            case 'list': {
+                const playlists = await queueSaver.listPlaylists(guildId);
+                if (playlists.length === 0) {
+                    return sendEphemeral(res, '📭 No saved playlists yet. Use `/playlist save` to save the current queue.');
+                }
+                const lines = playlists
+                    .slice(0, 25)
+                    .map((playlist, index) => `${index + 1}. **${playlist.name}** - ${playlist.songCount} song${playlist.songCount === 1 ? '' : 's'}`);
+                if (playlists.length > 25) {
+                    lines.push(`...and ${playlists.length - 25} more`);
+                }
+                return res.send({
+                    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                    data: {
+                        embeds: [{
+                            title: 'Saved Playlists',
+                            description: lines.join('\n').substring(0, 4000),
+                            color: 0x506098
+                        }],
+                        flags: 64
+                    },
+                });
+            }
+
+            case 'delete': {
+                if (!name) {
+                    return sendEphemeral(res, '❌ Please provide the name of the playlist to delete.');
+                }
+                const result = await queueSaver.deletePlaylist(guildId, name);
+                if (!result.success) {
+                    return sendEphemeral(res, `❌ Could not delete playlist: ${result.error}`);
+                }
+                return sendEphemeral(res, `🗑️ Deleted playlist **${name}**.`);
+            }
+
+            case 'rename': {
+                const newName = getOptionValue(options, 'new_name');
+                if (!name || !newName) {
+                    return sendEphemeral(res, '❌ Please provide both the current and the new playlist name.');
+                }
+                if (newName.length > MAX_PLAYLIST_NAME_LENGTH) {
+                    return sendEphemeral(res, `❌ Playlist names must be between 1 and ${MAX_PLAYLIST_NAME_LENGTH} characters.`);
+                }
+                const result = await queueSaver.renamePlaylist(guildId, name, newName);
+                if (!result.success) {
+                    return sendEphemeral(res, `❌ Could not rename playlist: ${result.error}`);
+                }
+                return sendEphemeral(res, `✏️ Renamed playlist **${name}** to **${newName}**.`);
+            }
+
+            default:
+                return sendEphemeral(res, '❌ Unknown playlist subcommand.');
+        }
+    } catch (error) {
+        console.error(`[PlaylistCommand] Error handling /playlist ${subcommand.name}:`, error);
+        if (!res.headersSent) {
+            return sendEphemeral(res, '❌ An error occurred while managing playlists.');
+        }
+    }
+}
@@ -0,0 +1,45 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { buildEpisodePickerMessage } from '../handlers/ui/handlers/podcast-handlers.js';
+import { podcastService, MAX_EPISODES } from '../utils/services/podcast-service.js';
+
+function getOption(req, name) {
+    return (req.body.data.options || []).find(opt => opt.name === name)?.value;
+}
+
+export async function handlePodcastCommand(req, res) {
+    const guildId = req.body.guild_id;
+    const feedUrl = String(getOption(req, 'url') || '').trim();
+
+    if (!/^https?:\/\/\S+$/i.test(feedUrl)) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Please provide the podcast\'s RSS feed link.',
+                flags: 64 // Ephemeral
+            },
+        });
+    }
+
+    // Feeds can be large and slow, so acknowledge first
+    res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: '🎙️ Loading podcast feed...',
+            flags: 64
+        },
+    });
+
+    let messageData;
+    try {
+        const feed = await podcastService.loadFeed(feedUrl);
+        messageData = buildEpisodePickerMessage(feed, MAX_EPISODES);
+    } catch (error) {
+        console.error(`[PodcastCmd] Error loading feed ${feedUrl} for guild ${guildId}:`, error.message);
+        messageData = { content: `❌ Could not load that podcast: ${error.message}` };
+    }
+
+    const { updateOriginalMessage } = await import('../utils/helpers/discord-api.js');
+    await updateOriginalMessage(req.body.application_id, req.body.token, messageData).catch(error => {
+        console.error('[PodcastCmd] Error sending episode list:', error.message);
+    });
+}
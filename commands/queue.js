@@ -0,0 +1,162 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+import { queueManager } from '../utils/services/queue-manager.js';
+import { createQueueMessageData } from '../ui/pages/queue-management.js';
+import { checkActionPermission, checkAccessPermissions } from '../middleware/permissionMiddleware.js';
+
+function sendEphemeral(res, content) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content,
+            flags: 64 // Ephemeral
+        },
+    });
+}
+
+function getOption(options, name) {
+    return (options || []).find(opt => opt.name === name)?.value;
+}
+
+/**
+ * Parse a 1-based position or "start-end" range into 0-based indexes
+ * @param {string} input - e.g. "3" or "3-7"
+ * @param {number} length - Queue length
+ * @returns {Object|null} - { start, end } (inclusive) or null if invalid
+ */
+function parsePositionRange(input, length) {
+    const match = String(input || '').trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start < 1 || end < start || end > length) return null;
+
+    return { start: start - 1, end: end - 1 };
+}
+
+/**
+ * Refresh everything that depends on the queue order after an edit
+ */
+async function notifyQueueChanged(guildId, session, djsClient) {
+    // Preloader re-targets the new next song from the queueChanged listener
+    djsClient.emit('queueChanged', guildId, session);
+
+    try {
+        const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+        await updatePlaybackControlsEmbed(guildId, djsClient, session);
+    } catch (error) {
+        console.error('[QueueCommand] Error updating playback controls embed:', error.message);
+    }
+}
+
+export async function handleQueueCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const subcommand = req.body.data.options?.[0];
+    const options = subcommand?.options || [];
+    const session = guildAudioSessions.get(guildId);
+
+    if (!subcommand) {
+        return sendEphemeral(res, '❌ Unknown queue subcommand.');
+    }
+
+    // Viewing only reads the queue; every other subcommand edits it
+    const userId = req.body.member?.user?.id;
+    const hasAccess = subcommand.name === 'view'
+        ? await checkAccessPermissions(djsClient, guildId, userId, 'slash_commands')
+        : await checkActionPermission(djsClient, guildId, userId, 'queue', 'slash_commands');
+    if (!hasAccess) {
+        return sendEphemeral(res, '❌ You need appropriate permissions to use this command.');
+    }
+
+    // Viewing works without an active session too; the saved queue is shown instead
+    if (subcommand.name === 'view') {
+        try {
+            const page = (getOption(options, 'page') || 1) - 1;
+            const pageData = await createQueueMessageData(guildId, page, { includeMenuButton: false });
+            return res.send({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: { ...pageData, flags: 64 }
+            });
+        } catch (error) {
+            console.error('[QueueCommand] Error handling /queue view:', error);
+            return sendEphemeral(res, '❌ An error occurred while loading the queue.');
+        }
+    }
+
+    if (!session) {
+        return sendEphemeral(res, '❌ There is no active queue in this server.');
+    }
+
+    try {
+        const fullQueue = await queueManager.getFullQueue(guildId, session);
+        console.log(`[QueueCommand] /queue ${subcommand.name} for guild ${guildId} (${fullQueue.length} songs queued)`);
+
+        switch (subcommand.name) {
+            case 'remove': {
+                const range = parsePositionRange(getOption(options, 'position'), fullQueue.length);
+                if (!range) {
+                    return sendEphemeral(res, `❌ Please provide a position or range between 1 and ${fullQueue.length} (e.g. \`3\` or \`3-7\`).`);
+                }
+                const removed = fullQueue.splice(range.start, range.end - range.start + 1);
+                await queueManager.replaceQueue(guildId, session, fullQueue);
+                await notifyQueueChanged(guildId, session, djsClient);
+
+                const summary = removed.length === 1
+                    ? `**${removed[0].title}**`
+                    : `**${removed.length}** songs`;
+                return sendEphemeral(res, `🗑️ Removed ${summary} from the queue.`);
+            }
+
+            case 'move': {
+                const from = getOption(options, 'from');
+                const to = getOption(options, 'to');
+                if (!Number.isInteger(from) || !Number.isInteger(to) ||
+                    from < 1 || to < 1 || from > fullQueue.length || to > fullQueue.length) {
+                    return sendEphemeral(res, `❌ Positions must be between 1 and ${fullQueue.length}.`);
+                }
+                const [song] = fullQueue.splice(from - 1, 1);
+                fullQueue.splice(to - 1, 0, song);
+                await queueManager.replaceQueue(guildId, session, fullQueue);
+                await notifyQueueChanged(guildId, session, djsClient);
+                return sendEphemeral(res, `↕️ Moved **${song.title}** to position ${to}.`);
+            }
+
+            case 'jump': {
+                const position = getOption(options, 'position');
+                if (!Number.isInteger(position) || position < 1 || position > fullQueue.length) {
+                    return sendEphemeral(res, `❌ Position must be between 1 and ${fullQueue.length}.`);
+                }
+                const target = fullQueue[position - 1];
+                await queueManager.replaceQueue(guildId, session, fullQueue.slice(position - 1));
+
+                const status = session.player?.state?.status;
+                if (session.nowPlaying && (status === AudioPlayerStatus.Playing || status === AudioPlayerStatus.Paused)) {
+                    // Stopping the player fires Idle, which auto-advances to the new queue head
+                    session.currentSongEndedWithError = false;
+                    session.skipRequested = true;
+                    session.player.stop(true);
+                } else {
+                    await notifyQueueChanged(guildId, session, djsClient);
+                }
+                return sendEphemeral(res, `⏭️ Jumping to **${target.title}**.`);
+            }
+
+            case 'clear': {
+                if (fullQueue.length === 0) {
+                    return sendEphemeral(res, '❌ The queue is already empty.');
+                }
+                await queueManager.replaceQueue(guildId, session, []);
+                await notifyQueueChanged(guildId, session, djsClient);
+                return sendEphemeral(res, `🧹 Cleared **${fullQueue.length}** song${fullQueue.length === 1 ? '' : 's'} from the queue.`);
+            }
+
+            default:
+                return sendEphemeral(res, '❌ Unknown queue subcommand.');
+        }
+    } catch (error) {
+        console.error(`[QueueCommand] Error handling /queue ${subcommand.name}:`, error);
+        return sendEphemeral(res, '❌ An error occurred while editing the queue.');
+    }
+}
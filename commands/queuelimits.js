@@ -0,0 +1,78 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { getGuildSettings, updateGuildSettings } from '../utils/database/guildSettings.js';
+import { checkBotControlsPermissions } from '../middleware/permissionMiddleware.js';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+
+function sendEphemeral(res, content) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content,
+            flags: 64 // Ephemeral
+        },
+    });
+}
+
+function getOption(options, name) {
+    return (options || []).find(opt => opt.name === name)?.value;
+}
+
+function formatLimit(value) {
+    return value > 0 ? `**${value}**` : '**no limit**';
+}
+
+function describeSettings(settings) {
+    return [
+        `👤 Songs per user: ${formatLimit(settings.max_songs_per_user)}`,
+        `📃 Playlist import size: ${formatLimit(settings.max_playlist_size)}`,
+        `⚖️ Fair queue: **${settings.fair_queue ? 'on' : 'off'}**`
+    ].join('\n');
+}
+
+export async function handleQueueLimitsCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const options = req.body.data.options || [];
+
+    if (!guildId || !userId) {
+        return sendEphemeral(res, '❌ This command can only be used within a server.');
+    }
+
+    // Queue limits are guild settings, so they follow the settings action rather than slash command access
+    if (!await checkBotControlsPermissions(djsClient, guildId, userId)) {
+        return sendEphemeral(res, '❌ You need bot control permissions to change queue limits.');
+    }
+
+    try {
+        const currentSettings = await getGuildSettings(guildId);
+        if (options.length === 0) {
+            return sendEphemeral(res, `📋 Queue limits:\n${describeSettings(currentSettings)}`);
+        }
+
+        const perUser = getOption(options, 'per_user');
+        const playlistSize = getOption(options, 'playlist_size');
+        const fair = getOption(options, 'fair');
+
+        const newSettings = {
+            ...currentSettings,
+            max_songs_per_user: perUser ?? currentSettings.max_songs_per_user,
+            max_playlist_size: playlistSize ?? currentSettings.max_playlist_size,
+            fair_queue: fair ?? currentSettings.fair_queue
+        };
+        await updateGuildSettings(guildId, newSettings);
+
+        // Turning fair mode on re-orders what is already queued
+        const session = guildAudioSessions.get(guildId);
+        if (fair && session) {
+            const { queuePolicyManager } = await import('../utils/services/queue-policy-manager.js');
+            if (await queuePolicyManager.applyFairOrder(guildId, session)) {
+                djsClient.emit('queueChanged', guildId, session);
+            }
+        }
+
+        return sendEphemeral(res, `✅ Queue limits updated:\n${describeSettings(newSettings)}`);
+    } catch (error) {
+        console.error(`[QueueLimitsCommand] Error updating queue limits for guild ${guildId}:`, error);
+        return sendEphemeral(res, '❌ Could not update queue limits.');
+    }
+}
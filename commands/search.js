@@ -0,0 +1,33 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { DEFAULT_SEARCH_RESULTS, sendSearchResults } from '../handlers/ui/handlers/search-handlers.js';
+
+function getOption(req, name) {
+    return (req.body.data.options || []).find(opt => opt.name === name)?.value;
+}
+
+export async function handleSearchCommand(req, res) {
+    const guildId = req.body.guild_id;
+    const query = String(getOption(req, 'query') || '').trim();
+    const count = getOption(req, 'results') || DEFAULT_SEARCH_RESULTS;
+
+    if (!query) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Please provide something to search for.',
+                flags: 64 // Ephemeral
+            },
+        });
+    }
+
+    // yt-dlp searches can take a while, so acknowledge first
+    res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: `🔎 Searching for **${query}**...`,
+            flags: 64
+        },
+    });
+
+    await sendSearchResults(req.body.application_id, req.body.token, query, count, guildId);
+}
@@ -0,0 +1,107 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+import { playerStateManager } from '../utils/core/player-state-manager.js';
+
+const DEFAULT_SKIP_SECONDS = 10;
+
+function sendEphemeral(res, content) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content,
+            flags: 64 // Ephemeral
+        },
+    });
+}
+
+function getOption(req, name) {
+    return (req.body.data.options || []).find(opt => opt.name === name)?.value;
+}
+
+/**
+ * Parse a timestamp like "83", "1:23" or "1:02:03" into seconds
+ * @param {string} input - Timestamp
+ * @returns {number|null} Seconds, or null if invalid
+ */
+function parseTimestamp(input) {
+    const parts = String(input || '').trim().split(':');
+    if (parts.length === 0 || parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) {
+        return null;
+    }
+    return parts.reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+function formatTimestamp(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+/**
+ * Shared seek flow for /seek, /forward and /rewind
+ * @param {Function} getTarget - Receives the current position in seconds and returns the target position
+ */
+async function seekCurrentSong(req, res, djsClient, getTarget) {
+    const guildId = req.body.guild_id;
+    const session = guildAudioSessions.get(guildId);
+    const status = session?.player?.state?.status;
+
+    if (!session?.nowPlaying || (status !== AudioPlayerStatus.Playing && status !== AudioPlayerStatus.Paused)) {
+        return sendEphemeral(res, '❌ Nothing is currently playing.');
+    }
+
+    const target = getTarget(playerStateManager.getPlaybackPosition(guildId));
+    if (target === null) {
+        return sendEphemeral(res, '❌ Please provide a time like `1:23` or `83`.');
+    }
+
+    // Re-encoding from the temp file can take a moment, so acknowledge first
+    res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: `⏩ Seeking to \`${formatTimestamp(Math.max(0, target))}\`...`,
+            flags: 64
+        },
+    });
+
+    const { updateOriginalMessage } = await import('../utils/helpers/discord-api.js');
+    let content;
+    try {
+        const { player } = await import('../handlers/core/player.js');
+        const position = await player.seekSong(guildId, session, target);
+        content = `⏩ Playback moved to \`${formatTimestamp(position)}\`.`;
+
+        try {
+            const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+            await updatePlaybackControlsEmbed(guildId, djsClient, session);
+        } catch (error) {
+            console.error('[SeekCommand] Error updating playback controls embed:', error.message);
+        }
+    } catch (error) {
+        console.error(`[SeekCommand] Seek failed for guild ${guildId}:`, error.message);
+        content = `❌ Could not seek: ${error.message}`;
+    }
+
+    await updateOriginalMessage(req.body.application_id, req.body.token, { content }).catch(error => {
+        console.error('[SeekCommand] Error updating seek response:', error.message);
+    });
+}
+
+export async function handleSeekCommand(req, res, djsClient) {
+    const position = parseTimestamp(getOption(req, 'position'));
+    return seekCurrentSong(req, res, djsClient, () => position);
+}
+
+export async function handleForwardCommand(req, res, djsClient) {
+    const seconds = getOption(req, 'seconds') || DEFAULT_SKIP_SECONDS;
+    return seekCurrentSong(req, res, djsClient, current => current + seconds);
+}
+
+export async function handleRewindCommand(req, res, djsClient) {
+    const seconds = getOption(req, 'seconds') || DEFAULT_SKIP_SECONDS;
+    return seekCurrentSong(req, res, djsClient, current => Math.max(0, current - seconds));
+}
@@ -3,8 +3,9 @@ import { guildAudioSessions } from '../utils/core/audio-state.js';
 import { cleanupService } from '../utils/services/cleanup-service.js';
 import { AudioPlayerStatus } from '@discordjs/voice';
 import { processManager } from '../utils/services/process-manager.js';
+import { voteSkipManager } from '../utils/services/vote-skip-manager.js';
 
-export async function handleSkipCommand(req, res, _djsClient) {
+export async function handleSkipCommand(req, res, djsClient) {
     const guildId = req.body.guild_id;
     const session = guildAudioSessions.get(guildId);
 
@@ -26,8 +27,37 @@ export async function handleSkipCommand(req, res, _djsClient) {
 
     const skippedSongTitle = session.nowPlaying?.title || 'The current song';
 
+    // Permission check happens here instead of requireModPermissions so listeners can vote
+    const skipRequest = await voteSkipManager.requestSkip(djsClient, guildId, session, req.body.member, 'slash_commands');
+    if (skipRequest.action === 'denied') {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: skipRequest.message,
+                flags: 64,
+            },
+        });
+    }
+    if (skipRequest.action === 'vote') {
+        try {
+            const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+            await updatePlaybackControlsEmbed(guildId, djsClient, session);
+        } catch (error) {
+            console.error('[Skip] Error updating playback controls embed:', error.message);
+        }
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: `🗳️ ${skipRequest.alreadyVoted ? 'You already voted' : 'Vote counted'} to skip **${skippedSongTitle}** (${skipRequest.votes}/${skipRequest.required}).`,
+                flags: 64,
+            },
+        });
+    }
+
     // FIXED: Set the error flag to false for manual skips so the next song will play
     session.currentSongEndedWithError = false;
+    // Let loop mode know this song was skipped rather than finished
+    session.skipRequested = true;
 
     // CRITICAL: Clear preloaded data from the current song to prevent reuse
     if (session.nowPlaying) {
@@ -67,7 +97,9 @@ export async function handleSkipCommand(req, res, _djsClient) {
     return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-            content: `⏭️ Skipped **${skippedSongTitle}**.`,
+            content: skipRequest.reason === 'vote'
+                ? `⏭️ Vote passed (${skipRequest.votes}/${skipRequest.required}), skipped **${skippedSongTitle}**.`
+                : `⏭️ Skipped **${skippedSongTitle}**.`,
             flags: 64,
         },
     });
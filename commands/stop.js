@@ -39,6 +39,7 @@ export async function handleStopCommand(req, res, djsClient) {
             }
 
             // Stop the player (this will also trigger the Idle state)
+            session.stopRequested = true; // Don't let loop mode re-queue the stopped song
             session.player.stop(true);
             console.log(`[StopCmd] Player stopped for guild ${guildId}.`);
 
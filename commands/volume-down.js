@@ -17,7 +17,7 @@ export async function handleVolumeDownCommand(req, res, _djsClient) {
     }
 
     // Decrease volume by 10% (min 0%)
-    const currentVolume = session.volume || 100;
+    const currentVolume = session.volume ?? 100;
     const newVolume = Math.max(0, currentVolume - 10);
     
     console.log(`[VolumeDown] Volume decreased to ${newVolume}% for guild ${guildId}`);
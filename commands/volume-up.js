@@ -16,9 +16,9 @@ export async function handleVolumeUpCommand(req, res, _djsClient) {
         });
     }
 
-    // Increase volume by 10% (max 100%)
-    const currentVolume = session.volume || 100;
-    const newVolume = Math.min(100, currentVolume + 10);
+    // Increase volume by 10%; applyVolumeToSession caps it at the guild's max volume
+    const currentVolume = session.volume ?? 100;
+    const newVolume = currentVolume + 10;
     
     console.log(`[VolumeUp] Volume increased to ${newVolume}% for guild ${guildId}`);
     
@@ -29,6 +29,7 @@ export async function handleVolumeUpCommand(req, res, _djsClient) {
     
     const success = await applyVolumeToSession(guildId, newVolume, false, _djsClient);
     console.log(`[VolumeUp] Volume application result: ${success}`);
+    const appliedVolume = session.volume;
     
     // Update the embed immediately to show the new volume
     try {
@@ -42,7 +43,9 @@ export async function handleVolumeUpCommand(req, res, _djsClient) {
     return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-            content: `🔊 Volume increased to **${newVolume}%**`,
+            content: appliedVolume < newVolume
+                ? `🔊 Volume is at this server's maximum of **${appliedVolume}%**`
+                : `🔊 Volume increased to **${appliedVolume}%**`,
             flags: 64,
         },
     });
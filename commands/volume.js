@@ -0,0 +1,92 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { guildAudioSessions } from '../utils/core/audio-state.js';
+import { applyVolumeToSession } from '../handlers/common/audio-session.js';
+import { checkBotControlsPermissions } from '../middleware/permissionMiddleware.js';
+import { volumeManager } from '../utils/services/volume-manager.js';
+
+function sendEphemeral(res, content) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content,
+            flags: 64 // Ephemeral
+        },
+    });
+}
+
+function getOption(options, name) {
+    return (options || []).find(opt => opt.name === name)?.value;
+}
+
+function describeVolume(session, settings) {
+    const lines = [];
+    if (session) {
+        lines.push(session.isMuted ? '🔇 Current volume: **muted**' : `🔊 Current volume: **${session.volume ?? 100}%**`);
+    }
+    lines.push(`🎚️ Default volume: **${settings.defaultVolume}%**`);
+    lines.push(`🛑 Max volume: **${settings.maxVolume}%**`);
+    return lines.join('\n');
+}
+
+export async function handleVolumeCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const options = req.body.data.options || [];
+    const session = guildAudioSessions.get(guildId);
+
+    if (!guildId || !userId) {
+        return sendEphemeral(res, '❌ This command can only be used within a server.');
+    }
+
+    const level = getOption(options, 'level');
+    const defaultVolume = getOption(options, 'default');
+    const maxVolume = getOption(options, 'max');
+
+    try {
+        if (options.length === 0) {
+            return sendEphemeral(res, `📋 Volume:\n${describeVolume(session, await volumeManager.getVolumeSettings(guildId))}`);
+        }
+
+        const messages = [];
+
+        // The default and ceiling are guild settings, so they follow the settings action like /queuelimits
+        if (defaultVolume !== undefined || maxVolume !== undefined) {
+            if (!await checkBotControlsPermissions(djsClient, guildId, userId)) {
+                return sendEphemeral(res, '❌ You need bot control permissions to change the default or max volume.');
+            }
+            const settings = await volumeManager.setVolumeSettings(guildId, { defaultVolume, maxVolume });
+            messages.push(`✅ Default volume **${settings.defaultVolume}%**, max volume **${settings.maxVolume}%**`);
+
+            // Lowering the ceiling below the current volume turns the session down with it
+            if (level === undefined && session && (session.volume ?? 100) > settings.maxVolume) {
+                await applyVolumeToSession(guildId, settings.maxVolume, session.isMuted, djsClient);
+                messages.push(`🔉 Volume lowered to the new max of **${session.volume}%**`);
+            }
+        }
+
+        if (level !== undefined) {
+            if (!session || !session.player) {
+                messages.push('❌ Nothing is currently playing that can have its volume adjusted.');
+            } else {
+                await applyVolumeToSession(guildId, level, false, djsClient);
+                messages.push(session.volume < level
+                    ? `🔊 Volume set to **${session.volume}%**, this server's maximum`
+                    : `🔊 Volume set to **${session.volume}%**`);
+            }
+        }
+
+        if (session) {
+            try {
+                const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+                await updatePlaybackControlsEmbed(guildId, djsClient, session);
+            } catch (error) {
+                console.error(`[VolumeCommand] Error updating embed: ${error.message}`);
+            }
+        }
+
+        return sendEphemeral(res, messages.join('\n'));
+    } catch (error) {
+        console.error(`[VolumeCommand] Error changing volume for guild ${guildId}:`, error);
+        return sendEphemeral(res, '❌ Could not change the volume.');
+    }
+}
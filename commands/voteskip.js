@@ -0,0 +1,50 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { getGuildSettings, updateGuildSettings } from '../utils/database/guildSettings.js';
+import { checkBotControlsPermissions } from '../middleware/permissionMiddleware.js';
+
+function sendEphemeral(res, content) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content,
+            flags: 64 // Ephemeral
+        },
+    });
+}
+
+export async function handleVoteSkipCommand(req, res, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const subcommand = req.body.data.options?.[0];
+
+    if (!guildId || !userId || !subcommand) {
+        return sendEphemeral(res, '❌ This command can only be used within a server.');
+    }
+
+    // Vote-skip is a guild setting, so it follows the bot controls access rather than slash command access
+    if (!await checkBotControlsPermissions(djsClient, guildId, userId)) {
+        return sendEphemeral(res, '❌ You need bot control permissions to change vote-skip settings.');
+    }
+
+    try {
+        const currentSettings = await getGuildSettings(guildId);
+
+        if (subcommand.name === 'disable') {
+            await updateGuildSettings(guildId, { ...currentSettings, vote_skip_enabled: false });
+            return sendEphemeral(res, '🗳️ Vote-skip disabled. Only members with access (and the song requester) can skip.');
+        }
+
+        const ratio = (subcommand.options || []).find(opt => opt.name === 'ratio')?.value
+            || currentSettings.vote_skip_ratio
+            || 50;
+        if (!Number.isInteger(ratio) || ratio < 1 || ratio > 100) {
+            return sendEphemeral(res, '❌ The ratio must be a percentage between 1 and 100.');
+        }
+
+        await updateGuildSettings(guildId, { ...currentSettings, vote_skip_enabled: true, vote_skip_ratio: ratio });
+        return sendEphemeral(res, `🗳️ Vote-skip enabled. **${ratio}%** of listeners in the voice channel must vote to skip.`);
+    } catch (error) {
+        console.error(`[VoteSkipCommand] Error updating vote-skip settings for guild ${guildId}:`, error);
+        return sendEphemeral(res, '❌ Could not update vote-skip settings.');
+    }
+}
@@ -14,6 +14,7 @@ import { PermissionFlagsBits } from 'discord.js';
 import { guildAudioSessions, getExistingSession, hasValidSession } from '../../utils/core/audio-state.js';
 import { playerStateManager } from '../../utils/core/player-state-manager.js';
 import { startOrResetVoiceTimeout } from '../../utils/timeout/voice-timeouts.js';
+import { volumeManager } from '../../utils/services/volume-manager.js';
 
 // Simple voice connection management
 export async function getOrCreateVoiceConnection(djsClient, guildId, member, retryCount = 0) {
@@ -322,7 +323,7 @@ export async function getOrCreateAudioSession(guildId, connection, channelId, dj
         connection,
         player,
         queue: session?.queue || [],
-        volume: session?.volume || 100,
+        volume: session?.volume ?? await volumeManager.getDefaultVolume(guildId),
         isMuted: false,
         playNextInQueue: playNextInQueue, // Store the callback function
         createdAt: new Date(),
@@ -535,7 +536,15 @@ export async function performComprehensiveStopCleanup(guildId, session, reason =
     }
 }
 
-// Simple volume control
+/**
+ * Set a session's volume, kept between 0 and the guild's maximum
+ * The playing song changes volume in place; preloaded songs pick it up through inline volume when they start
+ * @param {string} guildId - Guild ID
+ * @param {number} newVolume - Volume percentage
+ * @param {boolean} isMuted - Whether the change mutes the session
+ * @param {Object} djsClient - Discord client (unused)
+ * @returns {Promise<boolean>} True if the session's volume was updated
+ */
 export async function applyVolumeToSession(guildId, newVolume, isMuted = false, djsClient = null) {
     const session = getExistingSession(guildId);
     if (!session) {
@@ -544,48 +553,21 @@ export async function applyVolumeToSession(guildId, newVolume, isMuted = false,
     }
 
     try {
-        const oldVolume = session.volume || 100;
-        session.volume = Math.max(0, Math.min(100, newVolume));
+        const oldVolume = session.volume ?? 100;
+        session.volume = await volumeManager.clampToGuildLimit(guildId, newVolume);
         session.isMuted = isMuted;
         
         console.log(`[Volume] Updated volume for guild ${guildId}: ${oldVolume}% → ${session.volume}% (muted: ${isMuted})`);
-        
-        // CRITICAL: Re-process preloaded songs with new volume
-        if (session.queue && session.queue.length > 0) {
-            console.log(`[Volume] 🔄 Re-processing ${session.queue.length} preloaded songs with new volume ${session.volume}%`);
-            
-            for (let i = 0; i < session.queue.length; i++) {
-                const song = session.queue[i];
-                
-                // Re-process preloaded songs with new volume
-                if (song.preloadCompleted && song.processedTempFile) {
-                    console.log(`[Volume] 📝 Re-processing song "${song.title}" with new volume ${session.volume}%`);
-                    
-                    try {
-                        const { unifiedYtdlpService } = await import('../utils/processors/unified-ytdlp-service.js');
-                        const streamData = await unifiedYtdlpService.getAudioStreamFromTempFile(
-                            song.preloadedTempFile, // Use original temp file for re-processing
-                            guildId, 
-                            session.volume, 
-                            song.preloadedMetadata
-                        );
-                        
-                        // Update with new processed file
-                        song.processedTempFile = streamData.processedTempFile; // Use the actual processed file path
-                        song.processedAudioResource = streamData.audioResource;
-                        song.processedVolume = session.volume; // Store the new volume used
-                        
-                        console.log(`[Volume] ✅ Re-processed "${song.title}" with volume ${session.volume}%: ${song.processedTempFile}`);
-                    } catch (processError) {
-                        console.error(`[Volume] ❌ Failed to re-process "${song.title}":`, processError.message);
-                        
-                        // Fallback: Clear processed files so they get recreated at playback
-                        song.processedTempFile = null;
-                        song.processedAudioResource = null;
-                        console.log(`[Volume] 🧹 Cleared processed file for "${song.title}" - will be recreated at playback`);
-                    }
-                }
-            }
+
+        if (session.volume === oldVolume) {
+            return true;
+        }
+
+        // Resources are created with inline volume, so streamed and live songs change right away too
+        const currentResource = session.player?.state?.resource;
+        if (currentResource) {
+            const { setResourceVolume } = await import('../../utils/processors/ffmpeg-processor.js');
+            setResourceVolume(currentResource, session.volume);
         }
         
         return true;
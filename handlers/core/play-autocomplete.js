@@ -0,0 +1,27 @@
+/**
+ * /play autocomplete
+ * Suggests songs from guild history, past plays and popular tracks for the query option
+ */
+
+import { InteractionResponseType } from 'discord-interactions';
+import { guildAudioSessions } from '../../utils/core/audio-state.js';
+import { playSuggestionsManager } from '../../utils/services/play-suggestions-manager.js';
+
+export async function handlePlayAutocomplete(req, res) {
+    const guildId = req.body.guild_id;
+    const focused = (req.body.data.options || []).find(opt => opt.focused);
+
+    let choices = [];
+    if (guildId && focused?.name === 'query') {
+        try {
+            choices = await playSuggestionsManager.getChoices(guildId, guildAudioSessions.get(guildId), focused.value);
+        } catch (error) {
+            console.error(`[PlayAutocomplete] Error building suggestions for guild ${guildId}:`, error.message);
+        }
+    }
+
+    return res.send({
+        type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+        data: { choices }
+    });
+}
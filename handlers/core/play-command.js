@@ -112,9 +112,29 @@ export async function handlePlayCommand(req, res, djsClient) {
     try {
         const options = req.body.data.options || [];
         
-        // Check for query option (legacy)
+        // An attached audio file takes priority; its CDN URL is played like any direct media link
+        const fileOption = options.find(opt => opt.name === 'file');
         const queryOption = options.find(opt => opt.name === 'query');
-        if (queryOption && queryOption.value && queryOption.value.trim().length > 0) {
+        if (fileOption) {
+            const attachment = req.body.data.resolved?.attachments?.[fileOption.value];
+            const { directMediaService, ATTACHMENT_EXTENSIONS } = await import('../../utils/processors/direct-media-service.js');
+            const extension = attachment?.filename?.split('.').pop()?.toLowerCase();
+            const fileError = !attachment || !ATTACHMENT_EXTENSIONS.includes(extension)
+                ? `Only ${ATTACHMENT_EXTENSIONS.join(', ')} files can be played.`
+                : directMediaService.checkSize(attachment.size);
+            if (fileError) {
+                res.send({
+                    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                    data: {
+                        content: `❌ ${fileError}`,
+                        flags: 64
+                    },
+                });
+                return;
+            }
+            query = attachment.url;
+            console.log('[PlayCmd] Using attached file:', attachment.filename);
+        } else if (queryOption && queryOption.value && queryOption.value.trim().length > 0) {
             query = queryOption.value.trim();
             console.log('[PlayCmd] Using query option:', query);
         } else {
@@ -161,7 +181,7 @@ export async function handlePlayCommand(req, res, djsClient) {
     // Check if a panel is active for this guild
     let isPanelActive = false;
     try {
-        const { getPanelInfo } = await import('../utils/database/panels.js');
+        const { getPanelInfo } = await import('../../utils/database/panels.js');
         const existingPanel = await getPanelInfo(guildId);
         isPanelActive = !!(existingPanel && existingPanel.messageId && existingPanel.channelId);
         console.log(`[PlayCmd] Panel active for guild ${guildId}: ${isPanelActive}`);
@@ -191,7 +211,7 @@ export async function handlePlayCommand(req, res, djsClient) {
         
         // STEP 2: Make the play command execute immediately without waiting for UI updates
         // This ensures audio starts playing right away while UI updates happen in the background
-        const { routePlayQuery } = await import('./query-router.js');
+        const { routePlayQuery } = await import('../../routers/query-router.js');
         routePlayQuery(djsClient, guildId, member, channelId, query, interactionDetails).catch(error => {
             console.error('[PlayCmd] Error in routePlayQuery:', error);
         });
@@ -1,7 +1,10 @@
 // handlers/player.js
+import { existsSync } from 'fs';
 import { getExistingSession } from '../../utils/core/audio-state.js';
 import { playerStateManager } from '../../utils/core/player-state-manager.js';
 import { unifiedYtdlpService } from '../../utils/processors/unified-ytdlp-service.js';
+import { setResourceVolume } from '../../utils/processors/ffmpeg-processor.js';
+import { fileNamingService } from '../../utils/services/file-naming-service.js';
 
 /**
  * Centralized Player System
@@ -24,6 +27,10 @@ class Player {
     async playSong(guildId, song, djsClient, session, interactionDetails = null, displayPref = null) {
         console.log(`[Player] 🎵 Starting playback for: "${song.title}" in guild ${guildId}`);
         
+        // A new song is starting, so any pending skip/stop request has been handled
+        session.skipRequested = false;
+        session.stopRequested = false;
+        
         // CLEANUP: Clean up the current song before starting a new one
         const currentSong = playerStateManager.getNowPlaying(guildId);
         console.log(`[Player] 🔍 DEBUG: Current song: "${currentSong?.title || 'none'}", New song: "${song.title}"`);
@@ -93,6 +100,8 @@ class Player {
             // Note: Loading sequence is handled by ImmediateProcessor or Preloader
             // Player only handles audio playback
             
+            playerStateManager.setPlaybackOffset(guildId, 0);
+            setResourceVolume(audioResource, session.volume ?? 100);
             session.player.play(audioResource);
             console.log(`[Player] 🔍 DEBUG: Player state after play: ${session.player.state.status}`);
             
@@ -117,6 +126,14 @@ class Player {
                 console.log(`[Player] Loading sequence completion error:`, loadingCompleteError.message);
             }
             
+            // Podcast episodes pick up where the guild stopped them last time
+            if (song.podcastEpisodeId) {
+                const { podcastService } = await import('../../utils/services/podcast-service.js');
+                podcastService.resumeEpisode(guildId, song, session).catch(error => {
+                    console.error(`[Player] Failed to resume podcast episode "${song.title}":`, error.message);
+                });
+            }
+            
             console.log(`[Player] ✅ Successfully started playing: "${song.title}"`);
             
             // Emit events for UI updates
@@ -186,6 +203,102 @@ class Player {
         }
     }
 
+    /**
+     * Get the un-cut temp file a song's audio can be re-encoded from
+     * Only the original download qualifies: the processed file already has loudnorm, volume and the
+     * filter applied, and running it through FFmpeg again would apply them twice
+     * @param {Object} song - Song with stream details
+     * @returns {string|null} Temp file path, or null if the original download is gone
+     */
+    getSourceTempFile(song) {
+        const streamDetails = song?.streamDetails;
+        if (!streamDetails?.tempFile) {
+            return null;
+        }
+        if (streamDetails.seekSourceFile) {
+            return streamDetails.seekSourceFile;
+        }
+        const originalFile = fileNamingService.getOriginalFileName(streamDetails.tempFile);
+        return existsSync(originalFile) ? originalFile : null;
+    }
+
+    /**
+     * Seek within the current song
+     * Re-runs the FFmpeg stage from the song's temp file at the new offset instead of downloading again
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @param {number} position - Target position in seconds
+     * @returns {Promise<number>} Position playback continues from
+     */
+    async seekSong(guildId, session, position) {
+        const song = this.getCurrentSong(guildId);
+        const streamDetails = song?.streamDetails;
+        if (streamDetails?.streamed) {
+            throw new Error('Songs played in streaming mode can\'t be seeked');
+        }
+        if (!song || !streamDetails?.tempFile || !session?.player) {
+            throw new Error('Nothing is playing that can be seeked');
+        }
+        if (session.isSeeking) {
+            throw new Error('A seek is already in progress');
+        }
+
+        const target = Math.max(0, Math.floor(position));
+        const duration = streamDetails.metadata?.duration; // Seconds, from yt-dlp metadata
+        if (duration && target >= duration) {
+            throw new Error('That position is past the end of the song');
+        }
+
+        // Remember the un-cut file on the first seek so later seeks always start from position 0
+        if (!streamDetails.seekSourceFile) {
+            streamDetails.seekSourceFile = this.getSourceTempFile(song);
+        }
+        const sourceFile = streamDetails.seekSourceFile;
+        if (!sourceFile || !existsSync(sourceFile)) {
+            throw new Error('The audio file for this song is no longer available');
+        }
+
+        console.log(`[Player] ⏩ Seeking "${song.title}" to ${target}s in guild ${guildId} (source: ${sourceFile})`);
+        session.isSeeking = true;
+
+        try {
+            const { processAudioWithFFmpeg } = await import('../../utils/processors/ffmpeg-processor.js');
+            // Processed at 100%; the session volume is set on the resource
+            const result = await processAudioWithFFmpeg(sourceFile, guildId, 100, false, streamDetails.metadata || song, {
+                startOffset: target,
+                outputFile: fileNamingService.generateSeekFileName(sourceFile)
+            });
+
+            const { fileDeletionService } = await import('../../utils/services/file-deletion-service.js');
+
+            // The song may have been skipped or finished while FFmpeg was running
+            if (this.getCurrentSong(guildId) !== song) {
+                fileDeletionService.deleteFiles([result.tempFile], `stale seek: ${song.title}`);
+                throw new Error('The song changed before the seek completed');
+            }
+
+            const previousFile = streamDetails.tempFile;
+            streamDetails.audioResource = result.audioResource;
+            streamDetails.tempFile = result.tempFile;
+
+            // Replacing the resource does not fire Idle, so auto-advance is not triggered
+            playerStateManager.setPlaybackOffset(guildId, target);
+            setResourceVolume(result.audioResource, session.volume ?? 100);
+            session.player.play(result.audioResource);
+            session.audioResource = result.audioResource;
+
+            // The previous cut is no longer read; the source file stays for further seeks
+            if (previousFile && previousFile !== sourceFile) {
+                fileDeletionService.deleteFiles([previousFile], `seek: ${song.title}`);
+            }
+
+            console.log(`[Player] ✅ Seeked "${song.title}" to ${target}s`);
+            return target;
+        } finally {
+            session.isSeeking = false;
+        }
+    }
+
     /**
      * Get currently playing song
      * @param {string} guildId - Guild ID
@@ -226,9 +339,6 @@ class Player {
             playerStateManager.setNowPlaying(guildId, song);
             playerStateManager.setLoading(guildId, true);
             
-            // Get current volume from session
-            const currentVolume = session?.volume || 100;
-            
             // Use query, originalQuery, or searchQuery as fallback
             const audioQuery = song.query || song.originalQuery || song.searchQuery;
             if (!audioQuery) {
@@ -239,7 +349,8 @@ class Player {
             
             // Get audio stream using unified service
             const { unifiedYtdlpService } = await import('../../utils/processors/unified-ytdlp-service.js');
-            const streamData = await unifiedYtdlpService.getAudioStream(audioQuery, guildId, currentVolume);
+            // Processed at 100%; the session volume is set on the resource
+            const streamData = await unifiedYtdlpService.getAudioStream(audioQuery, guildId, 100, null, { playingNow: true });
             
             if (!streamData || !streamData.audioResource) {
                 throw new Error('Failed to get audio stream for direct playback');
@@ -249,6 +360,8 @@ class Player {
             song.streamDetails = streamData;
             
             // Play the audio
+            playerStateManager.setPlaybackOffset(guildId, 0);
+            setResourceVolume(streamData.audioResource, session.volume ?? 100);
             session.player.play(streamData.audioResource);
             session.audioResource = streamData.audioResource;
             session.startTime = Date.now();
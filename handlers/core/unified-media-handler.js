@@ -8,7 +8,7 @@ import { MessageFormatters } from '../../errors/error-utils.js';
 /**
  * Unified Media Handler
  * 
- * Single entry point for all media types (Spotify, YouTube, search)
+ * Single entry point for all media types (Spotify, YouTube, SoundCloud, Bandcamp, live radio, audio files, podcasts, search)
  * Handles loading, delegation, and user feedback consistently
  */
 export class UnifiedMediaHandler {
@@ -31,12 +31,17 @@ export class UnifiedMediaHandler {
         // Register media processors
         this.mediaProcessors.set('spotify-track', await import('../media/spotify-tracks.js'));
         this.mediaProcessors.set('youtube-track', await import('../../utils/processors/unified-ytdlp-service.js'));
+        this.mediaProcessors.set('soundcloud-track', await import('../../utils/processors/unified-ytdlp-service.js'));
+        this.mediaProcessors.set('bandcamp-track', await import('../../utils/processors/unified-ytdlp-service.js'));
+        this.mediaProcessors.set('live-stream', await import('../../utils/processors/live-stream-service.js'));
+        this.mediaProcessors.set('direct-media', await import('../../utils/processors/direct-media-service.js'));
+        this.mediaProcessors.set('podcast-episode', await import('../../utils/processors/direct-media-service.js'));
         this.mediaProcessors.set('search', await import('../../utils/processors/unified-ytdlp-service.js'));
     }
 
     /**
      * Handle any media type with unified loading and delegation
-     * @param {string} mediaType - Type of media (spotify-track, youtube-track, search)
+     * @param {string} mediaType - Type of media (spotify-track, youtube-track, soundcloud-track, bandcamp-track, live-stream, direct-media, podcast-episode, search)
      * @param {Object} params - Parameters for the specific media type
      * @param {Object} context - Common context (djsClient, guildId, member, etc.)
      */
@@ -50,6 +55,17 @@ export class UnifiedMediaHandler {
             // STEP 1: Blue loading state is already handled by the modal submission
             // No need to start unified loading here as it conflicts with StateCoordinator
 
+            // Check the requester's queue limit before anything is downloaded
+            const { getExistingSession } = await import('../../utils/core/audio-state.js');
+            const { queuePolicyManager } = await import('../../utils/services/queue-policy-manager.js');
+            const requester = { addedById: member?.user?.id, addedBy: member?.user?.username };
+            const limitMessage = await queuePolicyManager.checkUserLimit(guildId, getExistingSession(guildId), requester);
+            if (limitMessage) {
+                await queuePolicyManager.notify(interactionDetails, limitMessage);
+                await this.handleError(guildId, limitMessage, interactionDetails);
+                return;
+            }
+
             // STEP 2: Process media based on type (fetch metadata/stream)
             const songObject = await this.processMedia(mediaType, params, context);
             
@@ -57,6 +73,12 @@ export class UnifiedMediaHandler {
                 throwError.media(ErrorCodes.MEDIA_PROCESSING.FAILED_TO_PROCESS, { mediaType });
             }
 
+            // Interaction details don't carry the user, so take the requester from the member
+            if ((!songObject.addedById || songObject.addedById === 'unknown') && member?.user) {
+                songObject.addedById = member.user.id;
+                songObject.addedBy = member.user.username || member.user.global_name || songObject.addedBy;
+            }
+
             console.log(`[UnifiedMediaHandler] ✅ Processed media: "${songObject.title}"`);
 
             // STEP 3: Check for active processes BEFORE setting any state
@@ -128,15 +150,27 @@ export class UnifiedMediaHandler {
      * Process different media types
      */
     async processMedia(mediaType, params, context) {
-        const { query, searchQuery } = params;
+        const { query, searchQuery, liveStream, directMedia, episode, feed } = params;
 
         switch (mediaType) {
             case 'spotify-track':
                 return await this.processSpotifyTrack(query, context);
             
             case 'youtube-track':
+            case 'soundcloud-track':
+            case 'bandcamp-track':
+                // yt-dlp resolves SoundCloud and Bandcamp URLs the same way as YouTube ones
                 return await this.processYouTubeTrack(query, context);
             
+            case 'live-stream':
+                return this.processLiveStream(query, liveStream, context);
+            
+            case 'direct-media':
+                return await this.processDirectMedia(query, directMedia, context);
+            
+            case 'podcast-episode':
+                return await this.processPodcastEpisode(query, episode, feed, context);
+            
             case 'search':
                 return await this.processSearchQuery(searchQuery, context);
             
@@ -170,7 +204,8 @@ export class UnifiedMediaHandler {
         const trackInfo = {
             title: trackDetails.title,
             artist: trackDetails.artist,
-            duration: trackDetails.duration,
+            // Spotify reports milliseconds; songs carry seconds like every other source
+            duration: trackDetails.duration ? Math.round(trackDetails.duration / 1000) : 0,
             imageUrl: trackDetails.albumArtUrl || trackDetails.artistImageUrl,
             spotifyData: trackDetails
         };
@@ -185,7 +220,7 @@ export class UnifiedMediaHandler {
     }
 
     /**
-     * Process YouTube track
+     * Process YouTube track (or any other URL yt-dlp resolves, like SoundCloud and Bandcamp)
      */
     async processYouTubeTrack(youtubeUrl, context) {
         const { interactionDetails } = context;
@@ -195,13 +230,14 @@ export class UnifiedMediaHandler {
         
         return {
             title: streamData.metadata.title,
-            artist: streamData.metadata.artist || 'Unknown Artist',
+            artist: streamData.metadata.artist || streamData.metadata.uploader || 'Unknown Artist',
             duration: streamData.metadata.duration || 'Unknown Duration',
             query: youtubeUrl,
             addedBy: interactionDetails?.user?.username || 'Unknown User',
             addedById: interactionDetails?.user?.id || 'unknown',
             addedByAvatar: interactionDetails?.user?.avatar || null,
-            imageUrl: streamData.metadata.thumbnailUrl,
+            imageUrl: streamData.metadata.thumbnailUrl || streamData.metadata.thumbnail,
+            thumbnailUrl: streamData.metadata.thumbnail || null,
             youtubeUrl: youtubeUrl,
             streamDetails: {
                 audioResource: streamData.audioResource,
@@ -211,6 +247,73 @@ export class UnifiedMediaHandler {
         };
     }
 
+    /**
+     * Process a live radio stream
+     * Nothing is opened here: the stream starts when the song plays, and having no duration it skips the duration limit
+     */
+    processLiveStream(streamUrl, liveStream, context) {
+        const { interactionDetails } = context;
+
+        return {
+            title: liveStream.name || new URL(liveStream.url).hostname,
+            artist: liveStream.genre || 'Live Radio',
+            duration: 0,
+            query: streamUrl,
+            addedBy: interactionDetails?.user?.username || 'Unknown User',
+            addedById: interactionDetails?.user?.id || 'unknown',
+            addedByAvatar: interactionDetails?.user?.avatar || null,
+            imageUrl: null,
+            thumbnailUrl: null,
+            isLive: true,
+            streamTitle: null
+        };
+    }
+
+    /**
+     * Process an audio file URL (or attachment) that ffprobe has already read
+     * The file is downloaded when it plays or preloads, like yt-dlp songs
+     * @param {Object} options - { podcast } validates against the podcast limits instead of the song ones
+     */
+    async processDirectMedia(mediaUrl, directMedia, context, options = {}) {
+        const { interactionDetails } = context;
+
+        const { directMediaService } = await import('../../utils/processors/direct-media-service.js');
+        const media = await directMediaService.validate(directMedia, context.guildId, options);
+
+        return {
+            title: media.title,
+            artist: media.artist || new URL(mediaUrl).hostname,
+            duration: media.duration || 'Unknown Duration',
+            query: mediaUrl,
+            addedBy: interactionDetails?.user?.username || 'Unknown User',
+            addedById: interactionDetails?.user?.id || 'unknown',
+            addedByAvatar: interactionDetails?.user?.avatar || null,
+            imageUrl: null,
+            thumbnailUrl: null,
+            isDirectMedia: true
+        };
+    }
+
+    /**
+     * Process a podcast episode picked from /podcast
+     * Episodes are audio files, with the feed's title and artwork and an ID their resume position is saved under
+     */
+    async processPodcastEpisode(episodeUrl, episode, feed, context) {
+        const { directMediaService } = await import('../../utils/processors/direct-media-service.js');
+        const media = await directMediaService.probe(episodeUrl);
+        const songObject = await this.processDirectMedia(episodeUrl, media, context, { podcast: true });
+
+        return {
+            ...songObject,
+            title: episode.title,
+            artist: feed.title,
+            duration: media.duration || episode.duration || songObject.duration,
+            imageUrl: episode.imageUrl || null,
+            thumbnailUrl: episode.imageUrl || null,
+            podcastEpisodeId: episode.id
+        };
+    }
+
     /**
      * Process search query
      */
@@ -238,7 +341,7 @@ export class UnifiedMediaHandler {
         console.log(`[UnifiedMediaHandler] 🔍 Delegating playback decision to QueueManager`);
         
         const { queueManager } = await import('../../utils/services/queue-manager.js');
-        await queueManager.addSongsToQueue(
+        const result = await queueManager.addSongsToQueue(
             guildId, 
             [songObject], 
             djsClient, 
@@ -253,6 +356,11 @@ export class UnifiedMediaHandler {
             }
         );
         
+        // The queue manager already told the user if a queue limit stopped the song
+        if (result.addedCount === 0) {
+            return;
+        }
+
         // Send success message
         await this.sendSuccessMessage(interactionDetails, `📋 Added to queue: **${songObject.title}**`);
     }
@@ -333,6 +441,54 @@ export async function handleYouTubeTrack(djsClient, guildId, member, channelId,
     }
 }
 
+export async function handleSoundCloudTrack(djsClient, guildId, member, channelId, query, interactionDetails, displayPref) {
+    try {
+        await unifiedMediaHandler.initialize();
+        return await unifiedMediaHandler.handleMedia('soundcloud-track', { query }, {
+            djsClient, guildId, member, channelId, interactionDetails, displayPref
+        });
+    } catch (error) {
+        console.error('[UnifiedMediaHandler] Error in handleSoundCloudTrack:', error);
+        throw error;
+    }
+}
+
+export async function handleBandcampTrack(djsClient, guildId, member, channelId, query, interactionDetails, displayPref) {
+    try {
+        await unifiedMediaHandler.initialize();
+        return await unifiedMediaHandler.handleMedia('bandcamp-track', { query }, {
+            djsClient, guildId, member, channelId, interactionDetails, displayPref
+        });
+    } catch (error) {
+        console.error('[UnifiedMediaHandler] Error in handleBandcampTrack:', error);
+        throw error;
+    }
+}
+
+export async function handleLiveStream(djsClient, guildId, member, channelId, query, liveStream, interactionDetails, displayPref) {
+    try {
+        await unifiedMediaHandler.initialize();
+        return await unifiedMediaHandler.handleMedia('live-stream', { query, liveStream }, {
+            djsClient, guildId, member, channelId, interactionDetails, displayPref
+        });
+    } catch (error) {
+        console.error('[UnifiedMediaHandler] Error in handleLiveStream:', error);
+        throw error;
+    }
+}
+
+export async function handleDirectMedia(djsClient, guildId, member, channelId, query, directMedia, interactionDetails, displayPref) {
+    try {
+        await unifiedMediaHandler.initialize();
+        return await unifiedMediaHandler.handleMedia('direct-media', { query, directMedia }, {
+            djsClient, guildId, member, channelId, interactionDetails, displayPref
+        });
+    } catch (error) {
+        console.error('[UnifiedMediaHandler] Error in handleDirectMedia:', error);
+        throw error;
+    }
+}
+
 export async function handleSearchQuery(djsClient, guildId, member, channelId, searchQuery, interactionDetails, displayPref) {
     try {
         await unifiedMediaHandler.initialize();
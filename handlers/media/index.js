@@ -5,7 +5,10 @@
  */
 
 export { handleSpotifyTrack } from '../core/unified-media-handler.js';
-export { handleSpotifyPlaylist } from './spotify-playlist.js';
+export { handleSpotifyPlaylist, handleSpotifyAlbum, handleSpotifyArtist } from './spotify-playlist.js';
 export { handleYouTubeTrack } from '../core/unified-media-handler.js';
 export { handleYouTubePlaylist } from './youtube-playlist.js';
+export { handleSoundCloudTrack } from '../core/unified-media-handler.js';
+export { handleSoundCloudPlaylist, handleBandcampAlbum } from './ytdlp-playlist.js';
+export { handleBandcampTrack } from '../core/unified-media-handler.js';
 
@@ -1,5 +1,5 @@
 // handlers/spotify-playlist-handler.js
-import { getPlaylistTracks, getPlaylistInfo } from './spotify-playlists.js';
+import { getPlaylistTracks, getPlaylistInfo, getAlbumTracks, getArtistTopTracks } from './spotify-playlists.js';
 import { getOrCreateVoiceConnection, getOrCreateAudioSession } from '../common/audio-session.js';
 import { unifiedYtdlpService } from '../../utils/processors/unified-ytdlp-service.js';
 import { getExistingSession, hasValidSession } from '../../utils/core/audio-state.js';
@@ -8,8 +8,61 @@ import { AudioPlayerStatus } from '@discordjs/voice';
 import { isGuildLocked, acquireGuildLock, releaseGuildLock } from '../../utils/core/processing-locks.js';
 import { addToPendingQueue, transferPendingQueue } from '../../utils/core/pending-queue.js';
 import { queueManager } from '../../utils/services/queue-manager.js';
+import { getYouTubeSearchQuery } from '../../utils/services/song-search-service.js';
 
 export async function handleSpotifyPlaylist(djsClient, guildId, member, channelId, query, interactionDetails) {
+    return handleSpotifyCollection(djsClient, guildId, member, channelId, query, interactionDetails, {
+        defaultTitle: 'Spotify Playlist',
+        load: async () => {
+            // Extract Spotify playlist ID
+            const spotifyPlaylistRegex = /spotify\.com\/(?:embed\/)?playlist\/([a-zA-Z0-9]+)/;
+            const playlistId = query.match(spotifyPlaylistRegex)[1];
+            console.log(`[SpotifyPlaylist] Extracted playlist ID: ${playlistId}`);
+
+            // Get playlist info and tracks from Spotify API
+            const [tracks, info] = await Promise.all([
+                getPlaylistTracks(playlistId),
+                getPlaylistInfo(playlistId)
+            ]);
+            return { tracks, info };
+        }
+    });
+}
+
+/**
+ * Queue every track of a Spotify album
+ */
+export async function handleSpotifyAlbum(djsClient, guildId, member, channelId, query, interactionDetails) {
+    return handleSpotifyCollection(djsClient, guildId, member, channelId, query, interactionDetails, {
+        defaultTitle: 'Spotify Album',
+        load: async () => {
+            const albumId = query.match(/spotify\.com\/(?:intl-[\w-]+\/)?(?:embed\/)?album\/([a-zA-Z0-9]+)/)[1];
+            console.log(`[SpotifyPlaylist] Extracted album ID: ${albumId}`);
+            return getAlbumTracks(albumId);
+        }
+    });
+}
+
+/**
+ * Queue a Spotify artist's top tracks
+ */
+export async function handleSpotifyArtist(djsClient, guildId, member, channelId, query, interactionDetails) {
+    return handleSpotifyCollection(djsClient, guildId, member, channelId, query, interactionDetails, {
+        defaultTitle: 'Spotify Top Tracks',
+        load: async () => {
+            const artistId = query.match(/spotify\.com\/(?:intl-[\w-]+\/)?(?:embed\/)?artist\/([a-zA-Z0-9]+)/)[1];
+            console.log(`[SpotifyPlaylist] Extracted artist ID: ${artistId}`);
+            return getArtistTopTracks(artistId);
+        }
+    });
+}
+
+/**
+ * Queue a list of Spotify tracks (playlist, album or artist top tracks)
+ * Each track is matched on YouTube with the same search as single Spotify tracks when it's played
+ * @param {Object} collection - { defaultTitle, load } where load() resolves to { tracks, info }
+ */
+async function handleSpotifyCollection(djsClient, guildId, member, channelId, query, interactionDetails, collection) {
     console.log(`[SpotifyPlaylist] Starting playlist processing for guild ${guildId}`);
     console.log(`[SpotifyPlaylist] Query: ${query}`);
     
@@ -40,22 +93,13 @@ export async function handleSpotifyPlaylist(djsClient, guildId, member, channelI
     }
     
     try {
-        // Extract Spotify playlist ID
-        const spotifyPlaylistRegex = /spotify\.com\/(?:embed\/)?playlist\/([a-zA-Z0-9]+)/;
-        const playlistId = query.match(spotifyPlaylistRegex)[1];
-        console.log(`[SpotifyPlaylist] Extracted playlist ID: ${playlistId}`);
-        
-        // Get playlist info and tracks from Spotify API
-        const [tracks, playlistInfo] = await Promise.all([
-            getPlaylistTracks(playlistId),
-            getPlaylistInfo(playlistId)
-        ]);
+        const { tracks, info: playlistInfo } = await collection.load();
         
         console.log(`[SpotifyPlaylist] Fetched ${tracks?.length || 0} tracks from playlist`);
         console.log(`[SpotifyPlaylist] Playlist info:`, playlistInfo);
 
         if (!tracks || tracks.length === 0) {
-            console.log(`[SpotifyPlaylist] No tracks found for playlist ${playlistId}`);
+            console.log(`[SpotifyPlaylist] No tracks found for ${query}`);
             return;
         }
 
@@ -97,7 +141,7 @@ export async function handleSpotifyPlaylist(djsClient, guildId, member, channelI
         console.log(`[SpotifyPlaylist] Is currently playing: ${isPlaying}`);
 
         // Get playlist title for display
-        const playlistTitle = playlistInfo?.name || 'Spotify Playlist';
+        const playlistTitle = playlistInfo?.name || collection.defaultTitle;
 
         // FIXED: Memory management for large playlists
         const maxPlaylistSize = 100; // Limit playlist size to prevent memory issues
@@ -112,12 +156,15 @@ export async function handleSpotifyPlaylist(djsClient, guildId, member, channelI
             .filter(track => track && track.title && track.artist)
             .map(track => ({
                 title: `${track.title} - ${track.artist}`,
-                query: `ytsearch1:${track.title} ${track.artist}`, // YouTube search query for unified service
+                artist: track.artist,
+                query: `ytsearch1:${getYouTubeSearchQuery(track)}`, // YouTube search query for unified service
                 addedBy: member.user?.username || member.user?.global_name || 'Unknown User',
+                addedById: member.user?.id || 'unknown',
                 thumbnailUrl: track.albumArtUrl || track.artistImageUrl || null,
                 // Include duration data from Spotify API
                 duration: track.duration ? Math.floor(track.duration / 1000) : null, // Convert ms to seconds
                 spotifyId: track.id || null,
+                spotifyTitle: track.title, // Bare title for matching; the display title carries the artist
                 album: track.album || null
                 // REMOVED: spotifyData - this is heavy and not needed in queue
             }));
@@ -200,7 +247,8 @@ export async function handleSpotifyPlaylist(djsClient, guildId, member, channelI
             const result = await queueManager.addSongsToQueue(guildId, songObjects, djsClient, session, {
                 shouldPreload: true,
                 preloadOnlyNext: true,
-                emitQueueChanged: true
+                emitQueueChanged: true,
+                interactionDetails
             });
             
             console.log(`[SpotifyPlaylist] Added ${result.addedCount} songs to existing queue. Queue length: ${result.totalQueueLength}`);
@@ -232,7 +280,7 @@ export async function handleSpotifyPlaylist(djsClient, guildId, member, channelI
                 source: query,
                 owner: playlistInfo?.owner || 'Unknown',
                 description: playlistInfo?.description || null
-            });
+            }, { interactionDetails });
             
             console.log(`[SpotifyPlaylist] Added playlist: ${result.inMemoryCount} in memory, ${result.databaseCount} in database`);
             console.log(`[SpotifyPlaylist] Playback started: ${result.startedPlayback ? 'Yes' : 'No'}`);
@@ -35,6 +35,52 @@ async function getSpotifyToken() {
     return spotifyToken.value;
 }
 
+// Simplify a Spotify track object into the fields the queue needs
+// Album tracks come without their album, so callers pass it in
+function simplifyTrack(track, album = track.album) {
+    const mainArtist = track.artists[0];
+    
+    // Prioritize album art over artist images for better 4:3 ratio
+    let albumArtUrl = null;
+    let artistImageUrl = null;
+    
+    if (album?.images && album.images.length > 0) {
+        // Look for the largest image that's not too square (prefer 4:3 ratio)
+        const albumImages = album.images;
+        let bestImage = albumImages[0]; // Default to largest
+        
+        // Look for images that might be more rectangular
+        for (const img of albumImages) {
+            if (img.width && img.height) {
+                const ratio = img.width / img.height;
+                // Prefer images closer to 4:3 ratio (1.33) over square (1.0)
+                if (ratio > 1.1) { // Wider than square
+                    bestImage = img;
+                    break;
+                }
+            }
+        }
+        
+        albumArtUrl = bestImage.url;
+    }
+    
+    // Fallback to artist image if no album art
+    if (!albumArtUrl && mainArtist?.images && mainArtist.images.length > 0) {
+        artistImageUrl = mainArtist.images[0].url;
+    }
+    
+    return {
+        title: track.name,
+        artist: track.artists.map(a => a.name).join(', '),
+        // Add enhanced metadata
+        id: track.id,
+        album: album?.name || null,
+        albumArtUrl: albumArtUrl,
+        artistImageUrl: artistImageUrl,
+        duration: track.duration_ms
+    };
+}
+
 export async function getPlaylistTracks(playlistId) {
     let token;
     try {
@@ -59,50 +105,7 @@ export async function getPlaylistTracks(playlistId) {
             }
             const simplifiedTracks = data.items
                 .filter(item => item.track && item.track.name && item.track.artists)
-                .map(item => {
-                    const track = item.track;
-                    const mainArtist = track.artists[0];
-                    
-                    // Prioritize album art over artist images for better 4:3 ratio
-                    let albumArtUrl = null;
-                    let artistImageUrl = null;
-                    
-                    if (track.album?.images && track.album.images.length > 0) {
-                        // Look for the largest image that's not too square (prefer 4:3 ratio)
-                        const albumImages = track.album.images;
-                        let bestImage = albumImages[0]; // Default to largest
-                        
-                        // Look for images that might be more rectangular
-                        for (const img of albumImages) {
-                            if (img.width && img.height) {
-                                const ratio = img.width / img.height;
-                                // Prefer images closer to 4:3 ratio (1.33) over square (1.0)
-                                if (ratio > 1.1) { // Wider than square
-                                    bestImage = img;
-                                    break;
-                                }
-                            }
-                        }
-                        
-                        albumArtUrl = bestImage.url;
-                    }
-                    
-                    // Fallback to artist image if no album art
-                    if (!albumArtUrl && mainArtist?.images && mainArtist.images.length > 0) {
-                        artistImageUrl = mainArtist.images[0].url;
-                    }
-                    
-                    return {
-                        title: track.name,
-                        artist: track.artists.map(a => a.name).join(', '),
-                        // Add enhanced metadata
-                        id: track.id,
-                        album: track.album?.name || null,
-                        albumArtUrl: albumArtUrl,
-                        artistImageUrl: artistImageUrl,
-                        duration: track.duration_ms
-                    };
-                });
+                .map(item => simplifyTrack(item.track));
             allTracks = allTracks.concat(simplifiedTracks);
             nextUrl = data.next;
         } catch (error) {
@@ -148,3 +151,115 @@ export async function getPlaylistInfo(playlistId) {
         return null;
     }
 }
+
+/**
+ * Fetches an album and all of its tracks (paginated like playlists).
+ * @param {string} albumId The ID of the Spotify album.
+ * @returns {Promise<object>} { info: { name, owner, description, totalTracks }, tracks }, info is null on error.
+ */
+export async function getAlbumTracks(albumId) {
+    let token;
+    try {
+        token = await getSpotifyToken();
+    } catch (error) {
+        console.error('[SpotifyAPI] Error obtaining token for album:', error.message);
+        return { info: null, tracks: [] };
+    }
+
+    let info = null;
+    let allTracks = [];
+    try {
+        const response = await fetch(`https://api.spotify.com/v1/albums/${albumId}`, {
+            headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const album = await response.json();
+        if (!response.ok) {
+            console.error(`[SpotifyAPI] Error fetching album. Status: ${response.status}`, album);
+            if (response.status === 401) spotifyToken.value = null; // Invalidate token on auth error
+            return { info: null, tracks: [] };
+        }
+
+        info = {
+            name: album.name,
+            owner: album.artists?.map(a => a.name).join(', ') || 'Unknown',
+            description: null,
+            totalTracks: album.total_tracks
+        };
+
+        // The album response holds the first page of tracks; the rest are fetched like playlist pages
+        let page = album.tracks;
+        while (page) {
+            allTracks = allTracks.concat(
+                page.items
+                    .filter(track => track && track.name && track.artists)
+                    .map(track => simplifyTrack(track, album))
+            );
+            if (!page.next) break;
+
+            const pageResponse = await fetch(page.next, {
+                headers: { 'Authorization': `Bearer ${token}` },
+            });
+            page = await pageResponse.json();
+            if (!pageResponse.ok) {
+                console.error(`[SpotifyAPI] Error fetching album page. Status: ${pageResponse.status}`, page);
+                if (pageResponse.status === 401) spotifyToken.value = null;
+                break;
+            }
+        }
+    } catch (error) {
+        console.error(`[SpotifyAPI] Network error fetching album: ${error.message}`);
+    }
+
+    console.log(`[SpotifyAPI] Fetched ${allTracks.length} tracks for album ID: ${albumId}.`);
+    return { info, tracks: allTracks };
+}
+
+/**
+ * Fetches an artist's top tracks.
+ * @param {string} artistId The ID of the Spotify artist.
+ * @returns {Promise<object>} { info: { name, owner, description, totalTracks }, tracks }, info is null on error.
+ */
+export async function getArtistTopTracks(artistId) {
+    let token;
+    try {
+        token = await getSpotifyToken();
+    } catch (error) {
+        console.error('[SpotifyAPI] Error obtaining token for artist:', error.message);
+        return { info: null, tracks: [] };
+    }
+
+    try {
+        const headers = { 'Authorization': `Bearer ${token}` };
+        // Top tracks are per market; the artist lookup gives us the name for the playlist title
+        const market = process.env.SPOTIFY_MARKET || 'US';
+        const [artistResponse, topTracksResponse] = await Promise.all([
+            fetch(`https://api.spotify.com/v1/artists/${artistId}`, { headers }),
+            fetch(`https://api.spotify.com/v1/artists/${artistId}/top-tracks?market=${market}`, { headers })
+        ]);
+        const artist = await artistResponse.json();
+        const data = await topTracksResponse.json();
+        if (!artistResponse.ok || !topTracksResponse.ok) {
+            const status = artistResponse.ok ? topTracksResponse.status : artistResponse.status;
+            console.error(`[SpotifyAPI] Error fetching artist top tracks. Status: ${status}`, artistResponse.ok ? data : artist);
+            if (status === 401) spotifyToken.value = null; // Invalidate token on auth error
+            return { info: null, tracks: [] };
+        }
+
+        const tracks = (data.tracks || [])
+            .filter(track => track && track.name && track.artists)
+            .map(track => simplifyTrack(track));
+        console.log(`[SpotifyAPI] Fetched ${tracks.length} top tracks for artist ID: ${artistId}.`);
+        return {
+            info: {
+                name: `${artist.name} - Top Tracks`,
+                owner: artist.name,
+                description: null,
+                totalTracks: tracks.length
+            },
+            tracks
+        };
+    } catch (error) {
+        console.error(`[SpotifyAPI] Network error fetching artist top tracks: ${error.message}`);
+        return { info: null, tracks: [] };
+    }
+}
@@ -140,6 +140,7 @@ export async function handleYouTubePlaylist(djsClient, guildId, member, channelI
                         title: track.title,
                         query: track.url,
                         addedBy: member.user?.username || member.user?.global_name || 'Unknown User',
+                        addedById: member.user?.id || 'unknown',
                         thumbnailUrl: thumbnailUrl,
                         youtubeData: {
                             videoId: videoId,
@@ -237,6 +238,7 @@ export async function handleYouTubePlaylist(djsClient, guildId, member, channelI
                     title: track.title,
                     query: track.url, // Use the YouTube URL as the query for unified service
                     addedBy: member.user?.username || member.user?.global_name || 'Unknown User',
+                    addedById: member.user?.id || 'unknown',
                     thumbnailUrl: thumbnailUrl,
                     // Store YouTube-specific metadata
                     youtubeData: {
@@ -266,7 +268,8 @@ export async function handleYouTubePlaylist(djsClient, guildId, member, channelI
                 const result = await queueManager.addSongsToQueue(guildId, songObjects, djsClient, session, {
                     shouldPreload: true,
                     preloadOnlyNext: true,
-                    emitQueueChanged: true
+                    emitQueueChanged: true,
+                    interactionDetails
                 });
                 
                 console.log(`[YouTubePlaylist] ✅ Centralized queue management completed:`, {
@@ -309,7 +312,7 @@ export async function handleYouTubePlaylist(djsClient, guildId, member, channelI
                     totalTracks: songObjects.length,
                     owner: 'Unknown',
                     description: null
-                });
+                }, { interactionDetails });
                 
                 console.log(`[YouTubePlaylist] ✅ Centralized playlist management completed:`, {
                     addedCount: result.addedCount,
@@ -0,0 +1,140 @@
+// handlers/media/ytdlp-playlist.js
+import { unifiedYtdlpService } from '../../utils/processors/unified-ytdlp-service.js';
+import { acquireGuildLock, releaseGuildLock } from '../../utils/core/processing-locks.js';
+import { queueManager } from '../../utils/services/queue-manager.js';
+
+// Same cap as Spotify playlists; every track is resolved individually
+const MAX_PLAYLIST_TRACKS = 100;
+
+/**
+ * Queue every track of a playlist that yt-dlp resolves (SoundCloud sets, Bandcamp albums)
+ * Tracks are resolved up front so title, duration, uploader and artwork are known before they're queued
+ * @param {Object} source - { name, defaultTitle } used for logs and the playlist info
+ */
+async function handleYtdlpPlaylist(djsClient, guildId, member, channelId, query, interactionDetails, source) {
+    console.log(`[YtdlpPlaylist] Starting ${source.name} playlist processing for guild ${guildId}`);
+    console.log(`[YtdlpPlaylist] Query: ${query}`);
+
+    const lockAcquired = acquireGuildLock(guildId);
+    if (!lockAcquired) {
+        console.log(`[YtdlpPlaylist] Another song is being processed for guild ${guildId}, playlist will be added to the queue`);
+    }
+
+    try {
+        // yt-dlp's own timeout keeps whatever tracks resolved in time
+        const { title, tracks } = await unifiedYtdlpService.getPlaylistTrackDetails(query, guildId, MAX_PLAYLIST_TRACKS);
+        if (!tracks || tracks.length === 0) {
+            throw new Error(`No tracks found in ${source.name} playlist`);
+        }
+
+        const { getOrCreateSession } = await import('../../utils/helpers/session-helper.js');
+        const { session, error } = await getOrCreateSession(djsClient, guildId, member, channelId);
+        if (error) {
+            throw new Error(error);
+        }
+
+        // Ensure the channel ID is set for queue message creation
+        session.lastPlayCommandChannelId = channelId;
+
+        let songObjects = tracks.map(track => ({
+            title: track.title,
+            artist: track.uploader,
+            query: track.url, // yt-dlp resolves the track URL again when it plays
+            addedBy: member.user?.username || member.user?.global_name || 'Unknown User',
+            addedById: member.user?.id || 'unknown',
+            thumbnailUrl: track.thumbnail,
+            imageUrl: track.thumbnail,
+            duration: track.duration || null
+        }));
+
+        // Drop tracks over the guild's duration limit up front, like Spotify playlists
+        try {
+            const { getGuildSettings } = await import('../../utils/database/guildSettings.js');
+            const { checkDurationLimit } = await import('../../utils/functions/duration-limits.js');
+            const maxDuration = (await getGuildSettings(guildId)).max_duration_seconds || 0;
+            if (maxDuration > 0) {
+                const validSongs = songObjects.filter(song => !song.duration || checkDurationLimit(song.duration, maxDuration).isAllowed);
+                if (validSongs.length < songObjects.length) {
+                    console.log(`[YtdlpPlaylist] Rejected ${songObjects.length - validSongs.length} tracks due to duration limits`);
+                }
+                songObjects = validSongs;
+            }
+        } catch (durationError) {
+            console.error('[YtdlpPlaylist] Duration limit check failed:', durationError.message);
+        }
+
+        if (songObjects.length === 0) {
+            throw new Error('Every track in the playlist exceeds the duration limit');
+        }
+
+        const playlistTitle = title || source.defaultTitle;
+        session.currentPlaylist = {
+            title: playlistTitle,
+            source: query,
+            totalTracks: songObjects.length,
+            addedAt: new Date().toISOString()
+        };
+        session.lastQueueProcessingMessage = interactionDetails;
+
+        if (session.nowPlaying || session.queue.length > 0) {
+            const result = await queueManager.addSongsToQueue(guildId, songObjects, djsClient, session, {
+                shouldPreload: true,
+                preloadOnlyNext: true,
+                emitQueueChanged: true,
+                interactionDetails
+            });
+            console.log(`[YtdlpPlaylist] Added ${result.addedCount} tracks to existing queue. Queue length: ${result.totalQueueLength}`);
+        } else {
+            const result = await queueManager.addPlaylistToQueue(guildId, songObjects, djsClient, session, {
+                name: playlistTitle,
+                source: source.name,
+                totalTracks: songObjects.length,
+                owner: tracks[0].uploader || 'Unknown',
+                description: null
+            }, { interactionDetails });
+            console.log(`[YtdlpPlaylist] Added playlist: ${result.inMemoryCount} in memory, ${result.databaseCount} in database`);
+        }
+
+        // Clear any existing voice timeout since there's now music in the queue
+        const { clearVoiceTimeout, updatePlaybackControlsEmbed } = await import('../menu-component-handlers.js');
+        clearVoiceTimeout(guildId);
+        updatePlaybackControlsEmbed(guildId, djsClient, session).catch(error => {
+            console.error('[YtdlpPlaylist] Error updating playback controls embed:', error);
+        });
+
+        console.log(`[YtdlpPlaylist] Successfully processed ${source.name} playlist: ${playlistTitle} with ${songObjects.length} tracks`);
+    } catch (error) {
+        console.error(`[YtdlpPlaylist] ${source.name} playlist error:`, error);
+        try {
+            const { handleUnifiedLoadingError } = await import('../../utils/services/unified-loading-service.js');
+            await handleUnifiedLoadingError(guildId, error.message);
+        } catch (loadingError) {
+            console.error('[YtdlpPlaylist] Error clearing loading state:', loadingError.message);
+        }
+    } finally {
+        if (lockAcquired) {
+            releaseGuildLock(guildId);
+            console.log(`[YtdlpPlaylist] Released processing lock for guild ${guildId}`);
+        }
+    }
+}
+
+/**
+ * Queue every track of a SoundCloud set (playlist or album)
+ */
+export async function handleSoundCloudPlaylist(djsClient, guildId, member, channelId, query, interactionDetails) {
+    return handleYtdlpPlaylist(djsClient, guildId, member, channelId, query, interactionDetails, {
+        name: 'SoundCloud',
+        defaultTitle: 'SoundCloud Set'
+    });
+}
+
+/**
+ * Queue every track of a Bandcamp album, with the album art as each track's image
+ */
+export async function handleBandcampAlbum(djsClient, guildId, member, channelId, query, interactionDetails) {
+    return handleYtdlpPlaylist(djsClient, guildId, member, channelId, query, interactionDetails, {
+        name: 'Bandcamp',
+        defaultTitle: 'Bandcamp Album'
+    });
+}
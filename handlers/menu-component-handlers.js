@@ -9,6 +9,12 @@ export * from './core/play-command.js';
 // UI handlers
 export * from './ui/handlers/bot-control-handlers.js';
 export * from './ui/handlers/remote-controls.js';
+export * from './ui/handlers/saved-playlist-handlers.js';
+export * from './ui/handlers/audio-filter-handlers.js';
+export * from './ui/handlers/search-handlers.js';
+export * from './ui/handlers/podcast-handlers.js';
+export * from './ui/handlers/lyrics-handlers.js';
+export * from './ui/handlers/queue-page-handlers.js';
 
 // Modal handlers
 export * from './ui/modals/add-song-modal.js';
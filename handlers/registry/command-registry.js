@@ -10,17 +10,17 @@ export class CommandRegistry {
     // Register components command
     await this.registerCommand(commandHandlers, 'components', '../../commands/components.js', 'handleComponentsCommand');
     
-    // Register play command
-    await this.registerCommand(commandHandlers, 'play', '../core/play-command.js', 'handlePlayCommand');
+    // Register play command - open to everyone unless a level is set for the play action
+    await this.registerCommandWithPermissions(commandHandlers, 'play', '../core/play-command.js', 'handlePlayCommand', 'mod', 'play');
     
     // Register stop command with mod permissions
-    await this.registerCommandWithPermissions(commandHandlers, 'stop', '../../commands/stop.js', 'handleStopCommand', 'mod');
+    await this.registerCommandWithPermissions(commandHandlers, 'stop', '../../commands/stop.js', 'handleStopCommand', 'mod', 'stop');
     
-    // Register skip command with mod permissions
-    await this.registerCommandWithPermissions(commandHandlers, 'skip', '../../commands/skip.js', 'handleSkipCommand', 'mod');
+    // Register skip command - permissions are checked inside so listeners can vote to skip
+    await this.registerCommand(commandHandlers, 'skip', '../../commands/skip.js', 'handleSkipCommand');
     
     // Register shuffle command with mod permissions
-    await this.registerCommandWithPermissions(commandHandlers, 'shuffle', '../../commands/shuffle.js', 'handleShuffleCommand', 'mod');
+    await this.registerCommandWithPermissions(commandHandlers, 'shuffle', '../../commands/shuffle.js', 'handleShuffleCommand', 'mod', 'shuffle');
     
     // Register reset command with admin permissions
     await this.registerCommandWithPermissions(commandHandlers, 'reset', '../../commands/reset.js', 'handleResetCommand', 'admin');
@@ -29,12 +29,54 @@ export class CommandRegistry {
     await this.registerCommand(commandHandlers, 'memory', '../../commands/inspect-memory.js', 'handleInspectMemoryCommand');
     
     // Register volume commands with mod permissions
-    await this.registerCommandWithPermissions(commandHandlers, 'volumeup', '../../commands/volume-up.js', 'handleVolumeUpCommand', 'mod');
-    await this.registerCommandWithPermissions(commandHandlers, 'volumedown', '../../commands/volume-down.js', 'handleVolumeDownCommand', 'mod');
-    await this.registerCommandWithPermissions(commandHandlers, 'volumetest', '../../commands/volume-test.js', 'handleVolumeTestCommand', 'mod');
+    await this.registerCommandWithPermissions(commandHandlers, 'volume', '../../commands/volume.js', 'handleVolumeCommand', 'mod', 'volume');
+    await this.registerCommandWithPermissions(commandHandlers, 'volumeup', '../../commands/volume-up.js', 'handleVolumeUpCommand', 'mod', 'volume');
+    await this.registerCommandWithPermissions(commandHandlers, 'volumedown', '../../commands/volume-down.js', 'handleVolumeDownCommand', 'mod', 'volume');
+    await this.registerCommandWithPermissions(commandHandlers, 'volumetest', '../../commands/volume-test.js', 'handleVolumeTestCommand', 'mod', 'volume');
     
     // Register mute command with mod permissions
-    await this.registerCommandWithPermissions(commandHandlers, 'mute', '../../commands/mute.js', 'handleMuteCommand', 'mod');
+    await this.registerCommandWithPermissions(commandHandlers, 'mute', '../../commands/mute.js', 'handleMuteCommand', 'mod', 'volume');
+    
+    // Register playlist command - permissions are checked inside because loading and editing are different actions
+    await this.registerCommand(commandHandlers, 'playlist', '../../commands/playlist.js', 'handlePlaylistCommand');
+    
+    // Register queue command - permissions are checked inside because viewing is open and editing is not
+    await this.registerCommand(commandHandlers, 'queue', '../../commands/queue.js', 'handleQueueCommand');
+
+    // Register loop mode command with mod permissions
+    await this.registerCommandWithPermissions(commandHandlers, 'loop', '../../commands/loop.js', 'handleLoopCommand', 'mod', 'queue');
+
+    // Register autoplay command with mod permissions
+    await this.registerCommandWithPermissions(commandHandlers, 'autoplay', '../../commands/autoplay.js', 'handleAutoplayCommand', 'mod', 'queue');
+
+    // Register seek commands with mod permissions
+    await this.registerCommandWithPermissions(commandHandlers, 'seek', '../../commands/seek.js', 'handleSeekCommand', 'mod', 'stop');
+    await this.registerCommandWithPermissions(commandHandlers, 'forward', '../../commands/seek.js', 'handleForwardCommand', 'mod', 'stop');
+    await this.registerCommandWithPermissions(commandHandlers, 'rewind', '../../commands/seek.js', 'handleRewindCommand', 'mod', 'stop');
+
+    // Register audio filter command with mod permissions
+    await this.registerCommandWithPermissions(commandHandlers, 'filter', '../../commands/filter.js', 'handleFilterCommand', 'mod', 'settings');
+
+    // Register back command with mod permissions
+    await this.registerCommandWithPermissions(commandHandlers, 'back', '../../commands/back.js', 'handleBackCommand', 'mod', 'queue');
+
+    // Register vote-skip settings command - checks bot controls access itself
+    await this.registerCommand(commandHandlers, 'voteskip', '../../commands/voteskip.js', 'handleVoteSkipCommand');
+
+    // Register queue limits settings command - checks bot controls access itself
+    await this.registerCommand(commandHandlers, 'queuelimits', '../../commands/queuelimits.js', 'handleQueueLimitsCommand');
+
+    // Register search command with mod permissions
+    await this.registerCommandWithPermissions(commandHandlers, 'search', '../../commands/search.js', 'handleSearchCommand', 'mod', 'play');
+
+    // Register podcast command with mod permissions
+    await this.registerCommandWithPermissions(commandHandlers, 'podcast', '../../commands/podcast.js', 'handlePodcastCommand', 'mod', 'play');
+
+    // Register lyrics command - read-only and ephemeral, so open to everyone
+    await this.registerCommand(commandHandlers, 'lyrics', '../../commands/lyrics.js', 'handleLyricsCommand');
+
+    // Register playback mode settings command - checks bot controls access itself
+    await this.registerCommand(commandHandlers, 'playbackmode', '../../commands/playbackmode.js', 'handlePlaybackModeCommand');
     
     // Register pause/resume commands with mod permissions
     await this.registerPauseResumeCommands(commandHandlers);
@@ -45,6 +87,15 @@ export class CommandRegistry {
     return commandHandlers;
   }
 
+  static async registerAutocompleteHandlers() {
+    const autocompleteHandlers = {};
+
+    // Suggest songs from history and past plays for /play
+    await this.registerCommand(autocompleteHandlers, 'play', '../core/play-autocomplete.js', 'handlePlayAutocomplete');
+
+    return autocompleteHandlers;
+  }
+
   static async registerCommand(commandHandlers, commandName, modulePath, handlerName) {
     try {
       const module = await import(modulePath);
@@ -59,14 +110,14 @@ export class CommandRegistry {
     }
   }
 
-  static async registerCommandWithPermissions(commandHandlers, commandName, modulePath, handlerName, permissionLevel) {
+  static async registerCommandWithPermissions(commandHandlers, commandName, modulePath, handlerName, permissionLevel, action = null) {
     try {
       const module = await import(modulePath);
       if (module && typeof module[handlerName] === 'function') {
         const { requireModPermissions, requireAdminPermissions } = await import('../../../middleware/permissionMiddleware.js');
         const permissionMiddleware = permissionLevel === 'admin' ? requireAdminPermissions : requireModPermissions;
-        commandHandlers[commandName] = permissionMiddleware((req, res) => module[handlerName](req, res, ClientService.getClient()));
-        console.log(`[COMMAND_REGISTRY] Successfully registered "${commandName}" command handler with ${permissionLevel} permissions.`);
+        commandHandlers[commandName] = permissionMiddleware((req, res) => module[handlerName](req, res, ClientService.getClient()), action);
+        console.log(`[COMMAND_REGISTRY] Successfully registered "${commandName}" command handler with ${action ? `${action} action` : permissionLevel} permissions.`);
       } else {
         console.warn(`[COMMAND_REGISTRY] ${modulePath} did not export ${handlerName} correctly or is missing.`);
       }
@@ -82,12 +133,12 @@ export class CommandRegistry {
         const { requireModPermissions } = await import('../../../middleware/permissionMiddleware.js');
         
         if (typeof pauseCommandModule.handlePauseCommand === 'function') {
-          commandHandlers['pause'] = requireModPermissions((req, res) => pauseCommandModule.handlePauseCommand(req, res, ClientService.getClient()));
+          commandHandlers['pause'] = requireModPermissions((req, res) => pauseCommandModule.handlePauseCommand(req, res, ClientService.getClient()), 'stop');
           console.log('[COMMAND_REGISTRY] Successfully registered "pause" command handler with mod permissions.');
         }
         
         if (typeof pauseCommandModule.handleResumeCommand === 'function') {
-          commandHandlers['resume'] = requireModPermissions((req, res) => pauseCommandModule.handleResumeCommand(req, res, ClientService.getClient()));
+          commandHandlers['resume'] = requireModPermissions((req, res) => pauseCommandModule.handleResumeCommand(req, res, ClientService.getClient()), 'stop');
           console.log('[COMMAND_REGISTRY] Successfully registered "resume" command handler with mod permissions.');
         }
       }
@@ -66,6 +66,10 @@ export class ComponentRegistry {
     messageComponentHandlers['menu_nav_bot_voice_controls'] = (req, res, data) => routeMenuNavigation('menu_nav_bot_voice_controls', req, res, ClientService.getClient());
     messageComponentHandlers['menu_nav_queue_history'] = (req, res, data) => routeMenuNavigation('menu_nav_queue_history', req, res, ClientService.getClient());
     messageComponentHandlers['menu_nav_quick_tips'] = (req, res, data) => handleMenuNavTips(req, res, data, ClientService.getClient());
+    messageComponentHandlers['menu_nav_saved_playlists'] = (req, res, data) => routeMenuNavigation('menu_nav_saved_playlists', req, res, ClientService.getClient());
+
+    // Saved playlist handlers
+    messageComponentHandlers['saved_playlist_load_select'] = (req, res, data) => menuNavHandlers.handleSavedPlaylistLoadSelect(req, res, data, ClientService.getClient());
 
     // Bot voice control handlers
     messageComponentHandlers['bot_join_vc'] = (req, res, data) => menuNavHandlers.handleBotJoinVC(req, res, data, ClientService.getClient());
@@ -108,6 +112,13 @@ export class ComponentRegistry {
     // Access control handler
     messageComponentHandlers['mod_access_granter'] = (req, res, data) => handleModAccessGranter(req, res, data, ClientService.getClient());
 
+    // Per-action permission handlers
+    messageComponentHandlers['access_action_permissions'] = (req, res, data) => menuNavHandlers.handleAccessActionPermissions(req, res, data, ClientService.getClient());
+    messageComponentHandlers['action_permission_action_select'] = (req, res, data) => menuNavHandlers.handleActionPermissionActionSelect(req, res, data, ClientService.getClient());
+    messageComponentHandlers['action_permission_level_select'] = (req, res, data) => menuNavHandlers.handleActionPermissionLevelSelect(req, res, data, ClientService.getClient());
+    messageComponentHandlers['action_permission_dj_role_select'] = (req, res, data) => menuNavHandlers.handleActionPermissionDjRoleSelect(req, res, data, ClientService.getClient());
+    messageComponentHandlers['action_permission_reset'] = (req, res, data) => menuNavHandlers.handleActionPermissionReset(req, res, data, ClientService.getClient());
+
     console.log('[COMPONENT_REGISTRY] Successfully registered access control handlers.');
   }
 
@@ -208,6 +219,20 @@ export class ComponentRegistry {
     messageComponentHandlers['remote_skip'] = (req, res, data) => menuNavHandlers.handleRemoteSkip(req, res, data, ClientService.getClient());
     messageComponentHandlers['remote_stop'] = (req, res, data) => menuNavHandlers.handleRemoteStop(req, res, data, ClientService.getClient());
     messageComponentHandlers['remote_shuffle'] = (req, res, data) => menuNavHandlers.handleRemoteShuffle(req, res, data, ClientService.getClient());
+    messageComponentHandlers['remote_loop'] = (req, res, data) => menuNavHandlers.handleRemoteLoop(req, res, data, ClientService.getClient());
+    messageComponentHandlers['remote_autoplay'] = (req, res, data) => menuNavHandlers.handleRemoteAutoplay(req, res, data, ClientService.getClient());
+    messageComponentHandlers['remote_back'] = (req, res, data) => menuNavHandlers.handleRemoteBack(req, res, data, ClientService.getClient());
+    messageComponentHandlers['audio_filter_select'] = (req, res, data) => menuNavHandlers.handleAudioFilterSelect(req, res, data, ClientService.getClient());
+    messageComponentHandlers['search_result_select'] = (req, res, data) => menuNavHandlers.handleSearchResultSelect(req, res, data, ClientService.getClient());
+    messageComponentHandlers['podcast_episode_select'] = (req, res, data) => menuNavHandlers.handlePodcastEpisodeSelect(req, res, data, ClientService.getClient());
+    messageComponentHandlers['remote_lyrics'] = (req, res, data) => menuNavHandlers.handleRemoteLyrics(req, res, data, ClientService.getClient());
+    messageComponentHandlers['lyrics_prev'] = (req, res, data) => menuNavHandlers.handleLyricsPrev(req, res, data, ClientService.getClient());
+    messageComponentHandlers['lyrics_next'] = (req, res, data) => menuNavHandlers.handleLyricsNext(req, res, data, ClientService.getClient());
+    messageComponentHandlers['lyrics_sync'] = (req, res, data) => menuNavHandlers.handleLyricsSync(req, res, data, ClientService.getClient());
+    messageComponentHandlers['queue_page_first'] = (req, res, data) => menuNavHandlers.handleQueuePageFirst(req, res, data, ClientService.getClient());
+    messageComponentHandlers['queue_page_prev'] = (req, res, data) => menuNavHandlers.handleQueuePagePrev(req, res, data, ClientService.getClient());
+    messageComponentHandlers['queue_page_next'] = (req, res, data) => menuNavHandlers.handleQueuePageNext(req, res, data, ClientService.getClient());
+    messageComponentHandlers['queue_page_last'] = (req, res, data) => menuNavHandlers.handleQueuePageLast(req, res, data, ClientService.getClient());
 
     console.log('[COMPONENT_REGISTRY] Successfully registered remote control handlers.');
   }
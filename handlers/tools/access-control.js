@@ -4,8 +4,9 @@
  */
 
 import { InteractionResponseType, MessageComponentTypes, ButtonStyleTypes } from 'discord-interactions';
-import { checkModPermissions, checkAdminPermissions } from '../../middleware/permissionMiddleware.js';
+import { checkModPermissions, checkAdminPermissions, getActionPermissionLevel, PERMISSION_ACTIONS, PERMISSION_LEVELS } from '../../middleware/permissionMiddleware.js';
 import { hasModPermissions } from '../../utils/functions/permission-utils.js';
+import { getGuildSettings, updateGuildSettings } from '../../utils/database/guildSettings.js';
 
 /**
  * Handle access control menu
@@ -47,7 +48,8 @@ export async function handleModAccessGranter(req, res, _data, djsClient) {
                     { name: 'Unified Roles', value: 'Manage roles for all bot features', inline: false },
                     { name: 'Slash Commands', value: 'Control who can use slash commands', inline: false },
                     { name: 'Components', value: 'Control who can use button/menu components', inline: false },
-                    { name: 'Bot Controls', value: 'Control who can manage bot settings', inline: false }
+                    { name: 'Bot Controls', value: 'Control who can manage bot settings', inline: false },
+                    { name: 'Action Permissions', value: 'Set who can play, skip, stop, change volume, shuffle, edit the queue and change settings', inline: false }
                 ]
             }],
             components: [
@@ -83,6 +85,12 @@ export async function handleModAccessGranter(req, res, _data, djsClient) {
                 {
                     type: MessageComponentTypes.ACTION_ROW,
                     components: [
+                        {
+                            type: MessageComponentTypes.BUTTON,
+                            style: ButtonStyleTypes.PRIMARY,
+                            label: 'Action Permissions',
+                            custom_id: 'access_action_permissions'
+                        },
                         {
                             type: MessageComponentTypes.BUTTON,
                             style: ButtonStyleTypes.SECONDARY,
@@ -112,3 +120,290 @@ export async function handleModAccessGranter(req, res, _data, djsClient) {
         });
     }
 }
+
+/**
+ * Check if the user may edit access settings (same rule as the access control menu)
+ */
+async function canManageAccess(djsClient, guildId, userId) {
+    try {
+        const guild = await djsClient.guilds.fetch(guildId);
+        const member = await guild.members.fetch(userId);
+        return hasModPermissions(member, guild);
+    } catch (error) {
+        console.error('[AccessControl] Error checking access control permissions:', error);
+        return false;
+    }
+}
+
+function sendAccessDenied(res) {
+    return res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: '❌ You need moderator permissions to access this feature.',
+            flags: 64
+        }
+    });
+}
+
+/**
+ * Build the action permissions menu
+ * @param {Object} settings - Guild settings
+ * @param {string|null} selectedAction - Action whose level select should be shown
+ * @returns {Object} Message data with embeds and components
+ */
+function buildActionPermissionsMenu(settings, selectedAction = null) {
+    const fields = Object.entries(PERMISSION_ACTIONS).map(([action, { label, description }]) => ({
+        name: label,
+        value: `${PERMISSION_LEVELS[getActionPermissionLevel(settings, action)].label} - ${description}`,
+        inline: false
+    }));
+    fields.push({
+        name: 'DJ Role',
+        value: settings.dj_role_id ? `<@&${settings.dj_role_id}>` : 'Not set',
+        inline: false
+    });
+
+    const components = [
+        {
+            type: MessageComponentTypes.ACTION_ROW,
+            components: [{
+                type: MessageComponentTypes.STRING_SELECT,
+                custom_id: 'action_permission_action_select',
+                placeholder: 'Choose an action to edit',
+                options: Object.entries(PERMISSION_ACTIONS).map(([action, { label, description }]) => ({
+                    label,
+                    value: action,
+                    description,
+                    default: action === selectedAction
+                }))
+            }]
+        }
+    ];
+
+    if (selectedAction) {
+        const currentLevel = getActionPermissionLevel(settings, selectedAction);
+        components.push({
+            type: MessageComponentTypes.ACTION_ROW,
+            components: [{
+                type: MessageComponentTypes.STRING_SELECT,
+                custom_id: 'action_permission_level_select',
+                placeholder: `Who can use ${PERMISSION_ACTIONS[selectedAction].label}?`,
+                // The action travels in the value since custom IDs are matched exactly
+                options: Object.entries(PERMISSION_LEVELS).map(([level, { label, description }]) => ({
+                    label,
+                    value: `${selectedAction}:${level}`,
+                    description,
+                    default: level === currentLevel
+                }))
+            }]
+        });
+    }
+
+    components.push(
+        {
+            type: MessageComponentTypes.ACTION_ROW,
+            components: [{
+                type: MessageComponentTypes.ROLE_SELECT,
+                custom_id: 'action_permission_dj_role_select',
+                placeholder: 'Choose the DJ role',
+                min_values: 0,
+                max_values: 1,
+                default_values: settings.dj_role_id ? [{ id: settings.dj_role_id, type: 'role' }] : []
+            }]
+        },
+        {
+            type: MessageComponentTypes.ACTION_ROW,
+            components: [
+                {
+                    type: MessageComponentTypes.BUTTON,
+                    style: ButtonStyleTypes.DANGER,
+                    label: 'Reset to Defaults',
+                    custom_id: 'action_permission_reset'
+                },
+                {
+                    type: MessageComponentTypes.BUTTON,
+                    style: ButtonStyleTypes.SECONDARY,
+                    label: 'Back to Access Control',
+                    custom_id: 'mod_access_granter'
+                }
+            ]
+        }
+    );
+
+    return {
+        embeds: [{
+            title: 'Action Permissions',
+            description: 'Choose who can use each action. Moderators and the server owner are always included in lower levels.',
+            color: 0x506098,
+            fields
+        }],
+        components
+    };
+}
+
+/**
+ * Save new action permission settings and redraw the menu
+ */
+async function saveActionPermissions(req, res, changes, selectedAction = null) {
+    const guildId = req.body.guild_id;
+    const currentSettings = await getGuildSettings(guildId);
+    const newSettings = { ...currentSettings, ...changes };
+    await updateGuildSettings(guildId, newSettings);
+
+    return res.send({
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: buildActionPermissionsMenu(newSettings, selectedAction)
+    });
+}
+
+/**
+ * Handle the action permissions menu
+ */
+export async function handleAccessActionPermissions(req, res, _data, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+
+    if (!await canManageAccess(djsClient, guildId, userId)) {
+        return sendAccessDenied(res);
+    }
+
+    try {
+        const settings = await getGuildSettings(guildId);
+        return res.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: buildActionPermissionsMenu(settings)
+        });
+    } catch (error) {
+        console.error('[AccessControl] Error loading action permissions:', error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ An error occurred while loading action permissions.',
+                flags: 64
+            }
+        });
+    }
+}
+
+/**
+ * Handle picking the action to edit
+ */
+export async function handleActionPermissionActionSelect(req, res, data, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const action = data?.values?.[0];
+
+    if (!await canManageAccess(djsClient, guildId, userId)) {
+        return sendAccessDenied(res);
+    }
+
+    try {
+        const settings = await getGuildSettings(guildId);
+        return res.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: buildActionPermissionsMenu(settings, PERMISSION_ACTIONS[action] ? action : null)
+        });
+    } catch (error) {
+        console.error('[AccessControl] Error selecting action:', error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ An error occurred while loading action permissions.',
+                flags: 64
+            }
+        });
+    }
+}
+
+/**
+ * Handle setting the permission level of an action
+ */
+export async function handleActionPermissionLevelSelect(req, res, data, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const [action, level] = (data?.values?.[0] || '').split(':');
+
+    if (!await canManageAccess(djsClient, guildId, userId)) {
+        return sendAccessDenied(res);
+    }
+
+    if (!PERMISSION_ACTIONS[action] || !PERMISSION_LEVELS[level]) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Unknown action or permission level.',
+                flags: 64
+            }
+        });
+    }
+
+    try {
+        const settings = await getGuildSettings(guildId);
+        console.log(`[AccessControl] Setting ${action} permission to ${level} for guild ${guildId}`);
+        return await saveActionPermissions(req, res, {
+            action_permissions: { ...settings.action_permissions, [action]: level }
+        }, action);
+    } catch (error) {
+        console.error('[AccessControl] Error saving action permission:', error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ An error occurred while saving the permission.',
+                flags: 64
+            }
+        });
+    }
+}
+
+/**
+ * Handle choosing or clearing the DJ role
+ */
+export async function handleActionPermissionDjRoleSelect(req, res, data, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const roleId = data?.values?.[0] || null;
+
+    if (!await canManageAccess(djsClient, guildId, userId)) {
+        return sendAccessDenied(res);
+    }
+
+    try {
+        console.log(`[AccessControl] Setting DJ role to ${roleId || 'none'} for guild ${guildId}`);
+        return await saveActionPermissions(req, res, { dj_role_id: roleId });
+    } catch (error) {
+        console.error('[AccessControl] Error saving DJ role:', error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ An error occurred while saving the DJ role.',
+                flags: 64
+            }
+        });
+    }
+}
+
+/**
+ * Handle resetting every action to its default level
+ */
+export async function handleActionPermissionReset(req, res, _data, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+
+    if (!await canManageAccess(djsClient, guildId, userId)) {
+        return sendAccessDenied(res);
+    }
+
+    try {
+        console.log(`[AccessControl] Resetting action permissions for guild ${guildId}`);
+        return await saveActionPermissions(req, res, { action_permissions: {} });
+    } catch (error) {
+        console.error('[AccessControl] Error resetting action permissions:', error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ An error occurred while resetting action permissions.',
+                flags: 64
+            }
+        });
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Audio filter component handlers
+ */
+
+import { InteractionResponseType } from 'discord-interactions';
+
+export async function handleAudioFilterSelect(req, res, data, djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+    const preset = data?.values?.[0];
+
+    const { checkModPermissions } = await import('../../../middleware/permissionMiddleware.js');
+    if (!await checkModPermissions(djsClient, guildId, userId, 'settings')) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ You need moderator permissions to use this control.',
+                flags: 64
+            }
+        });
+    }
+
+    const { audioFilterManager } = await import('../../../utils/services/audio-filter-manager.js');
+    if (!audioFilterManager.isValidPreset(preset)) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Unknown filter preset.',
+                flags: 64
+            }
+        });
+    }
+
+    // Re-encoding the current song can take longer than Discord allows, so defer the panel update
+    res.send({
+        type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE
+    });
+
+    try {
+        const { guildAudioSessions } = await import('../../../utils/core/audio-state.js');
+        await audioFilterManager.applyFilter(guildId, guildAudioSessions.get(guildId), preset);
+
+        const { updatePlaybackControlsEmbed } = await import('../../../message/update-handlers.js');
+        await updatePlaybackControlsEmbed(guildId, djsClient);
+    } catch (error) {
+        console.error(`[AudioFilter] Error applying filter "${preset}" for guild ${guildId}:`, error);
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Lyrics viewer handlers
+ * Used by /lyrics and the Lyrics button on the playback controls to page through lyrics in an ephemeral embed
+ */
+
+import { InteractionResponseType, MessageComponentTypes } from 'discord-interactions';
+import { lyricsService, LINES_PER_PAGE } from '../../../utils/services/lyrics-service.js';
+import { playerStateManager } from '../../../utils/core/player-state-manager.js';
+
+// Keeps a page comfortably inside the 4096 character embed description limit
+const MAX_LINE_LENGTH = 180;
+
+function formatTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = Math.floor(totalSeconds % 60).toString().padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Position in the song the viewer's lyrics belong to, or null when that song is no longer playing
+ */
+function getElapsedSeconds(viewer) {
+    const nowPlaying = playerStateManager.getNowPlaying(viewer.guildId);
+    if (!viewer.song || !viewer.lyrics.synced || !nowPlaying || nowPlaying.query !== viewer.song.query) {
+        return null;
+    }
+    return playerStateManager.getPlaybackPosition(viewer.guildId);
+}
+
+/**
+ * Move the viewer to the page holding the line being sung, if the lyrics are synced to the playing song
+ */
+function jumpToCurrentLine(viewer) {
+    const elapsed = getElapsedSeconds(viewer);
+    if (elapsed === null) {
+        return;
+    }
+    const currentIndex = lyricsService.getCurrentLineIndex(viewer.lyrics, elapsed);
+    viewer.page = Math.max(0, Math.floor(currentIndex / LINES_PER_PAGE));
+}
+
+/**
+ * Build the lyrics embed and paging buttons for a viewer's current page
+ * The line being sung is highlighted while the song the lyrics belong to is playing
+ * @param {Object} viewer - Viewer from lyricsService.openViewer
+ * @returns {Object} Message data with embeds and components
+ */
+export function buildLyricsMessage(viewer) {
+    const { lyrics } = viewer;
+    const pageCount = lyricsService.getPageCount(lyrics);
+    viewer.page = Math.min(Math.max(viewer.page, 0), pageCount - 1);
+
+    const elapsed = getElapsedSeconds(viewer);
+    const currentIndex = elapsed === null ? -1 : lyricsService.getCurrentLineIndex(lyrics, elapsed);
+    const start = viewer.page * LINES_PER_PAGE;
+    const description = lyrics.lines.slice(start, start + LINES_PER_PAGE).map((line, i) => {
+        // Empty synced lines are instrumental breaks; empty plain lines separate verses
+        const text = truncate(line.text || (lyrics.synced ? '♪' : ''), MAX_LINE_LENGTH);
+        return start + i === currentIndex ? `**▶ ${text}**` : text;
+    }).join('\n');
+
+    const footer = [`Page ${viewer.page + 1}/${pageCount}`, `Lyrics from ${lyrics.source}`];
+    if (elapsed !== null) {
+        footer.push(`Synced at ${formatTime(elapsed)}`);
+    }
+
+    const buttons = [
+        {
+            type: MessageComponentTypes.BUTTON,
+            custom_id: 'lyrics_prev',
+            label: 'Previous',
+            style: 2, // SECONDARY
+            disabled: viewer.page === 0
+        },
+        {
+            type: MessageComponentTypes.BUTTON,
+            custom_id: 'lyrics_next',
+            label: 'Next',
+            style: 2, // SECONDARY
+            disabled: viewer.page >= pageCount - 1
+        }
+    ];
+    if (elapsed !== null) {
+        buttons.push({
+            type: MessageComponentTypes.BUTTON,
+            custom_id: 'lyrics_sync',
+            label: 'Now Playing Line',
+            emoji: { name: '🎯' },
+            style: 1 // PRIMARY
+        });
+    }
+
+    return {
+        content: '',
+        embeds: [{
+            color: 0x506098,
+            title: truncate(`🎤 ${lyrics.title}${lyrics.artist ? ` - ${lyrics.artist}` : ''}`, 256),
+            description: description || '*No lyrics on this page*',
+            footer: { text: footer.join(' • ') }
+        }],
+        components: [{ type: MessageComponentTypes.ACTION_ROW, components: buttons }]
+    };
+}
+
+/**
+ * Look up lyrics and open a viewer on them for the user
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {string|null} query - What to look up; the playing song when empty
+ * @returns {Promise<Object>} Message data for the viewer, or an error message
+ */
+export async function openLyricsViewer(guildId, userId, query) {
+    const song = query ? null : playerStateManager.getNowPlaying(guildId);
+    if (!query && !song) {
+        return { content: '❌ Nothing is playing. Use `/lyrics` with a song name to look one up.', embeds: [], components: [] };
+    }
+
+    const track = lyricsService.getTrackQuery(song || { title: query });
+    const lyrics = await lyricsService.findLyrics(track);
+    if (!lyrics) {
+        return { content: `❌ No lyrics found for **${truncate(track.title, 100)}**.`, embeds: [], components: [] };
+    }
+
+    const viewer = lyricsService.openViewer(guildId, userId, lyrics, song);
+    jumpToCurrentLine(viewer);
+    return buildLyricsMessage(viewer);
+}
+
+export async function handleRemoteLyrics(req, res, _data, _djsClient) {
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+
+    // Providers can be slow, so acknowledge with an ephemeral message and fill it in afterwards
+    res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: '🎤 Looking up lyrics...',
+            flags: 64
+        }
+    });
+
+    let messageData;
+    try {
+        messageData = await openLyricsViewer(guildId, userId, null);
+    } catch (error) {
+        console.error(`[Lyrics] Error opening lyrics for guild ${guildId}:`, error);
+        messageData = { content: '❌ Could not load lyrics.' };
+    }
+
+    const { updateOriginalMessage } = await import('../../../utils/helpers/discord-api.js');
+    await updateOriginalMessage(req.body.application_id, req.body.token, messageData).catch(error => {
+        console.error('[Lyrics] Error sending lyrics:', error.message);
+    });
+}
+
+/**
+ * Page the user's lyrics viewer
+ * @param {number|null} step - Pages to move, or null to jump to the line being sung
+ */
+async function pageLyrics(req, res, step) {
+    const viewer = lyricsService.getViewer(req.body.guild_id, req.body.member?.user?.id);
+    if (!viewer) {
+        return res.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: {
+                content: '❌ These lyrics have expired. Open them again to keep reading.',
+                embeds: [],
+                components: []
+            }
+        });
+    }
+
+    if (step === null) {
+        jumpToCurrentLine(viewer);
+    } else {
+        viewer.page += step;
+    }
+
+    return res.send({
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: buildLyricsMessage(viewer)
+    });
+}
+
+export async function handleLyricsPrev(req, res, _data, _djsClient) {
+    return await pageLyrics(req, res, -1);
+}
+
+export async function handleLyricsNext(req, res, _data, _djsClient) {
+    return await pageLyrics(req, res, 1);
+}
+
+export async function handleLyricsSync(req, res, _data, _djsClient) {
+    return await pageLyrics(req, res, null);
+}
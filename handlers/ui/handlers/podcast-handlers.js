@@ -0,0 +1,133 @@
+/**
+ * Podcast episode picker handlers
+ * Used by /podcast to list a feed's latest episodes and queue the one that's picked
+ */
+
+import { InteractionResponseType, MessageComponentTypes } from 'discord-interactions';
+
+function formatDuration(totalSeconds) {
+    if (!totalSeconds) {
+        return 'Unknown length';
+    }
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60).toString().padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+function formatDate(publishedAt) {
+    const date = new Date(publishedAt);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Build the message that lists a feed's latest episodes in a select menu
+ * @param {Object} feed - Result of podcastService.loadFeed
+ * @param {number} maxEpisodes - How many episodes to list
+ * @returns {Object} Message data with content and components
+ */
+export function buildEpisodePickerMessage(feed, maxEpisodes) {
+    return {
+        content: `🎙️ Latest episodes of **${truncate(feed.title, 100)}** - pick one to add it to the queue:`,
+        components: [
+            {
+                type: MessageComponentTypes.ACTION_ROW,
+                components: [
+                    {
+                        type: MessageComponentTypes.STRING_SELECT,
+                        custom_id: 'podcast_episode_select',
+                        placeholder: 'Choose an episode',
+                        options: feed.episodes.slice(0, maxEpisodes).map((episode, index) => ({
+                            label: truncate(episode.title, 100),
+                            description: truncate([formatDate(episode.publishedAt), formatDuration(episode.duration)].filter(Boolean).join(' • '), 100),
+                            // Enclosure URLs can exceed the 100 character value limit, so the feed is looked up by key
+                            value: `${feed.feedKey}:${index}`
+                        }))
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+export async function handlePodcastEpisodeSelect(req, res, data, djsClient) {
+    const guildId = req.body.guild_id;
+    const member = req.body.member;
+    const [feedKey, episodeIndex] = (data?.values?.[0] || '').split(':');
+
+    const { checkModPermissions } = await import('../../../middleware/permissionMiddleware.js');
+    if (!await checkModPermissions(djsClient, guildId, member?.user?.id, 'play')) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ You need appropriate permissions to add songs.',
+                flags: 64
+            }
+        });
+    }
+
+    const { podcastService } = await import('../../../utils/services/podcast-service.js');
+    const picked = feedKey ? podcastService.getEpisode(feedKey, parseInt(episodeIndex, 10)) : null;
+    if (!picked) {
+        return res.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: {
+                content: '❌ This episode list has expired. Run `/podcast` again to get a fresh one.',
+                components: []
+            }
+        });
+    }
+    const { feed, episode } = picked;
+
+    // Swap the picker for a status line so the same episode can't be queued twice
+    res.send({
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: {
+            content: `🎙️ Adding **${truncate(episode.title, 100)}** to the queue...`,
+            components: []
+        }
+    });
+
+    try {
+        const { StateCoordinator } = await import('../../../services/state-coordinator.js');
+        await StateCoordinator.setQueryingState(guildId, {
+            query: episode.url,
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        console.log('[Podcast] Failed to start querying state:', error.message);
+    }
+
+    const interactionDetails = {
+        id: req.body.id,
+        interactionToken: req.body.token,
+        applicationId: req.body.application_id,
+        guild_id: guildId,
+        channel_id: req.body.channel_id,
+        user: member?.user
+    };
+
+    try {
+        const { unifiedMediaHandler } = await import('../../core/unified-media-handler.js');
+        await unifiedMediaHandler.initialize();
+        await unifiedMediaHandler.handleMedia('podcast-episode', { query: episode.url, episode, feed }, {
+            djsClient,
+            guildId,
+            member,
+            channelId: req.body.channel_id,
+            interactionDetails
+        });
+    } catch (error) {
+        console.error(`[Podcast] Error queuing episode ${episode.url} for guild ${guildId}:`, error);
+        const { updateOriginalMessage } = await import('../../../utils/helpers/discord-api.js');
+        await updateOriginalMessage(req.body.application_id, req.body.token, {
+            content: `❌ Could not add that episode: ${error.message}`
+        }).catch(() => {});
+    }
+}
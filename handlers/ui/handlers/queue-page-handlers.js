@@ -0,0 +1,49 @@
+/**
+ * Queue page handlers
+ * First/previous/next/last buttons on the queue page, used by both the menu panel and /queue view
+ */
+
+import { InteractionResponseType } from 'discord-interactions';
+import { createQueueMessageData, getQueuePageFromMessage } from '../../../ui/pages/queue-management.js';
+
+/**
+ * Re-render the queue on another page
+ * @param {Function} getTargetPage - (currentPage) => page to show; out of range pages are clamped
+ */
+async function pageQueue(req, res, getTargetPage) {
+    const guildId = req.body.guild_id;
+    const message = req.body.message;
+    // The menu panel carries Back to Main Menu, the /queue view doesn't
+    const includeMenuButton = (message?.components || []).some(row =>
+        (row.components || []).some(component => component.custom_id === 'menu_nav_main')
+    );
+
+    try {
+        const targetPage = getTargetPage(getQueuePageFromMessage(message));
+        const pageData = await createQueueMessageData(guildId, targetPage, { includeMenuButton });
+        return res.send({ type: InteractionResponseType.UPDATE_MESSAGE, data: pageData });
+    } catch (error) {
+        console.error(`[QueuePages] Error paging queue for guild ${guildId}:`, error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { content: '❌ Could not load that queue page.', flags: 64 }
+        });
+    }
+}
+
+export async function handleQueuePageFirst(req, res, _data, _djsClient) {
+    return await pageQueue(req, res, () => 0);
+}
+
+export async function handleQueuePagePrev(req, res, _data, _djsClient) {
+    return await pageQueue(req, res, page => page - 1);
+}
+
+export async function handleQueuePageNext(req, res, _data, _djsClient) {
+    return await pageQueue(req, res, page => page + 1);
+}
+
+export async function handleQueuePageLast(req, res, _data, _djsClient) {
+    // createQueueMessageData clamps to the last page that exists
+    return await pageQueue(req, res, () => Number.MAX_SAFE_INTEGER);
+}
@@ -28,8 +28,8 @@ export async function handleRemotePlayPause(req, res, _data, djsClient) {
     const guildId = req.body.guild_id;
     const userId = req.body.member?.user?.id;
 
-    // Check mod permissions
-    if (!await checkModPermissions(djsClient, guildId, userId)) {
+    // Check permissions for this action
+    if (!await checkModPermissions(djsClient, guildId, userId, 'stop')) {
         return res.send({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
@@ -82,18 +82,6 @@ export async function handleRemoteSkip(req, res, _data, djsClient) {
     await getImports();
     
     const guildId = req.body.guild_id;
-    const userId = req.body.member?.user?.id;
-
-    // Check mod permissions
-    if (!await checkModPermissions(djsClient, guildId, userId)) {
-        return res.send({
-            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-            data: {
-                content: '❌ You need moderator permissions to use this control.',
-                flags: 64
-            }
-        });
-    }
 
     if (!guildAudioSessions) {
         console.error(`[RemoteSkip] guildAudioSessions is still undefined after getImports()`);
@@ -107,7 +95,34 @@ export async function handleRemoteSkip(req, res, _data, djsClient) {
     }
 
     const session = guildAudioSessions.get(guildId);
-    if (session?.player) {
+    if (session?.player && session.nowPlaying) {
+        // Mods skip directly, the requester can skip their own song, everyone else votes
+        const { voteSkipManager } = await import('../../../utils/services/vote-skip-manager.js');
+        const skipRequest = await voteSkipManager.requestSkip(djsClient, guildId, session, req.body.member, 'components');
+
+        if (skipRequest.action === 'denied') {
+            return res.send({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                    content: skipRequest.message,
+                    flags: 64
+                }
+            });
+        }
+
+        if (skipRequest.action === 'vote') {
+            const { updatePlaybackControlsEmbed } = await import('../../../message/update-handlers.js');
+            await updatePlaybackControlsEmbed(guildId, djsClient);
+            return res.send({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                    content: `🗳️ ${skipRequest.alreadyVoted ? 'You already voted' : 'Vote counted'} to skip (${skipRequest.votes}/${skipRequest.required}).`,
+                    flags: 64
+                }
+            });
+        }
+
+        session.skipRequested = true; // Skip past a looped track instead of repeating it
         session.player.stop();
     }
 
@@ -143,8 +158,8 @@ export async function handleRemoteStop(req, res, _data, djsClient) {
     const guildId = req.body.guild_id;
     const userId = req.body.member?.user?.id;
 
-    // Check mod permissions
-    if (!await checkModPermissions(djsClient, guildId, userId)) {
+    // Check permissions for this action
+    if (!await checkModPermissions(djsClient, guildId, userId, 'stop')) {
         return res.send({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
@@ -158,6 +173,7 @@ export async function handleRemoteStop(req, res, _data, djsClient) {
     if (session) {
         // Stop the player
         if (session.player) {
+            session.stopRequested = true; // Don't let loop mode re-queue the stopped song
             session.player.stop();
         }
 
@@ -201,8 +217,8 @@ export async function handleRemoteShuffle(req, res, _data, djsClient) {
         const guildId = req.body.guild_id;
         const userId = req.body.member?.user?.id;
 
-        // Check mod permissions
-        if (!await checkModPermissions(djsClient, guildId, userId)) {
+        // Check permissions for this action
+        if (!await checkModPermissions(djsClient, guildId, userId, 'shuffle')) {
             return res.send({
                 type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
                 data: {
@@ -251,14 +267,165 @@ export async function handleRemoteShuffle(req, res, _data, djsClient) {
     }
 }
 
+export async function handleRemoteBack(req, res, _data, djsClient) {
+    await getImports();
+
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+
+    // Check permissions for this action
+    if (!await checkModPermissions(djsClient, guildId, userId, 'queue')) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ You need moderator permissions to use this control.',
+                flags: 64
+            }
+        });
+    }
+
+    const session = guildAudioSessions.get(guildId);
+    if (!session) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ There is no active audio session.',
+                flags: 64
+            }
+        });
+    }
+
+    try {
+        const { historyManager } = await import('../../../utils/services/history-manager.js');
+        const previousSong = await historyManager.playPrevious(guildId, session);
+        if (!previousSong) {
+            return res.send({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                    content: '❌ There is no previous song to go back to.',
+                    flags: 64
+                }
+            });
+        }
+
+        // Reset voice timeout when user interacts with the bot
+        resetVoiceTimeout(guildId, djsClient);
+
+        const { updatePlaybackControlsEmbed } = await import('../../../message/update-handlers.js');
+        await updatePlaybackControlsEmbed(guildId, djsClient);
+
+        return res.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: { content: "" }
+        });
+    } catch (error) {
+        console.error(`[RemoteBack] Error going back:`, error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Error occurred while going back to the previous song.',
+                flags: 64
+            }
+        });
+    }
+}
+
+export async function handleRemoteLoop(req, res, _data, djsClient) {
+    await getImports();
+
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+
+    // Check permissions for this action
+    if (!await checkModPermissions(djsClient, guildId, userId, 'queue')) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ You need moderator permissions to use this control.',
+                flags: 64
+            }
+        });
+    }
+
+    try {
+        const { loopManager } = await import('../../../utils/services/loop-manager.js');
+        const mode = await loopManager.cycleLoopMode(guildId);
+        console.log(`[RemoteLoop] Loop mode for guild ${guildId} is now ${mode}`);
+
+        // Reset voice timeout when user interacts with the bot
+        resetVoiceTimeout(guildId, djsClient);
+
+        const { updatePlaybackControlsEmbed } = await import('../../../message/update-handlers.js');
+        await updatePlaybackControlsEmbed(guildId, djsClient);
+
+        return res.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: { content: "" }
+        });
+    } catch (error) {
+        console.error(`[RemoteLoop] Error changing loop mode:`, error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Error occurred while changing the loop mode.',
+                flags: 64
+            }
+        });
+    }
+}
+
+export async function handleRemoteAutoplay(req, res, _data, djsClient) {
+    await getImports();
+
+    const guildId = req.body.guild_id;
+    const userId = req.body.member?.user?.id;
+
+    // Check permissions for this action
+    if (!await checkModPermissions(djsClient, guildId, userId, 'queue')) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ You need moderator permissions to use this control.',
+                flags: 64
+            }
+        });
+    }
+
+    try {
+        const { autoplayManager } = await import('../../../utils/services/autoplay-manager.js');
+        const enabled = await autoplayManager.toggle(guildId);
+        console.log(`[RemoteAutoplay] Autoplay for guild ${guildId} is now ${enabled ? 'on' : 'off'}`);
+
+        // Reset voice timeout when user interacts with the bot
+        resetVoiceTimeout(guildId, djsClient);
+
+        const { updatePlaybackControlsEmbed } = await import('../../../message/update-handlers.js');
+        await updatePlaybackControlsEmbed(guildId, djsClient);
+
+        return res.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: { content: "" }
+        });
+    } catch (error) {
+        console.error(`[RemoteAutoplay] Error toggling autoplay:`, error);
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ Error occurred while toggling autoplay.',
+                flags: 64
+            }
+        });
+    }
+}
+
 export async function handleRemoteVolumeUp(req, res, _data, djsClient) {
     await getImports();
     
     const guildId = req.body.guild_id;
     const userId = req.body.member?.user?.id;
 
-    // Check mod permissions
-    if (!await checkModPermissions(djsClient, guildId, userId)) {
+    // Check permissions for this action
+    if (!await checkModPermissions(djsClient, guildId, userId, 'volume')) {
         return res.send({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
@@ -270,8 +437,8 @@ export async function handleRemoteVolumeUp(req, res, _data, djsClient) {
 
     const session = guildAudioSessions.get(guildId);
     if (session) {
-        const currentVolume = session.volume || 100;
-        const newVolume = Math.min(currentVolume + 10, 200); // Increase by 10, max 200%
+        const currentVolume = session.volume ?? 100;
+        const newVolume = currentVolume + 10; // Increase by 10, capped at the guild's max volume
         
         const { applyVolumeToSession } = await import('../../common/audio-session.js');
         const success = await applyVolumeToSession(guildId, newVolume, false, djsClient);
@@ -297,8 +464,8 @@ export async function handleRemoteVolumeDown(req, res, _data, djsClient) {
     const guildId = req.body.guild_id;
     const userId = req.body.member?.user?.id;
 
-    // Check mod permissions
-    if (!await checkModPermissions(djsClient, guildId, userId)) {
+    // Check permissions for this action
+    if (!await checkModPermissions(djsClient, guildId, userId, 'volume')) {
         return res.send({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
@@ -310,7 +477,7 @@ export async function handleRemoteVolumeDown(req, res, _data, djsClient) {
 
     const session = guildAudioSessions.get(guildId);
     if (session) {
-        const currentVolume = session.volume || 100;
+        const currentVolume = session.volume ?? 100;
         const newVolume = Math.max(currentVolume - 10, 0); // Decrease by 10, min 0%
         
         const { applyVolumeToSession } = await import('../../common/audio-session.js');
@@ -0,0 +1,56 @@
+/**
+ * Saved playlist component handlers
+ */
+
+import { InteractionResponseType } from 'discord-interactions';
+
+export async function handleSavedPlaylistLoadSelect(req, res, data, djsClient) {
+    const guildId = req.body.guild_id;
+    const member = req.body.member;
+    const userId = member?.user?.id;
+    const playlistName = data?.values?.[0];
+
+    const { checkModPermissions } = await import('../../../middleware/permissionMiddleware.js');
+    if (!await checkModPermissions(djsClient, guildId, userId, 'play')) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ You need moderator permissions to use this control.',
+                flags: 64
+            }
+        });
+    }
+
+    if (!playlistName) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ No playlist selected.',
+                flags: 64
+            }
+        });
+    }
+
+    // Acknowledge immediately - the voice connection and first song can take longer than Discord allows
+    res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: `📂 Loading playlist **${playlistName}**...`,
+            flags: 64
+        }
+    });
+
+    try {
+        const { loadSavedPlaylist } = await import('../../../commands/playlist.js');
+        const result = await loadSavedPlaylist(djsClient, guildId, member, req.body.channel_id, playlistName);
+
+        const { updateOriginalMessage } = await import('../../../utils/helpers/discord-api.js');
+        await updateOriginalMessage(req.body.application_id, req.body.token, {
+            content: result.success
+                ? `📂 Added **${result.songCount}** song${result.songCount === 1 ? '' : 's'} from **${playlistName}** to the queue.`
+                : `❌ Could not load playlist: ${result.error}`
+        });
+    } catch (error) {
+        console.error(`[SavedPlaylists] Error loading playlist "${playlistName}" for guild ${guildId}:`, error);
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Search result picker handlers
+ * Shared by /search and the add song modal's "pick from results" option
+ */
+
+import { InteractionResponseType, MessageComponentTypes } from 'discord-interactions';
+
+export const DEFAULT_SEARCH_RESULTS = 5;
+
+function formatDuration(totalSeconds) {
+    if (!totalSeconds) {
+        return 'Live';
+    }
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60).toString().padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Build the message that lists search results in a select menu
+ * @param {string} query - Search terms
+ * @param {Array} results - Results from unifiedYtdlpService.searchResults
+ * @returns {Object} Message data with content and components
+ */
+export function buildSearchResultsMessage(query, results) {
+    return {
+        content: `🔎 Results for **${truncate(query, 100)}** - pick one to add it to the queue:`,
+        components: [
+            {
+                type: MessageComponentTypes.ACTION_ROW,
+                components: [
+                    {
+                        type: MessageComponentTypes.STRING_SELECT,
+                        custom_id: 'search_result_select',
+                        placeholder: 'Choose a song',
+                        options: results.map((result, index) => ({
+                            label: truncate(`${index + 1}. ${result.title}`, 100),
+                            description: truncate(`${result.channel} • ${formatDuration(result.duration)}`, 100),
+                            value: result.id
+                        }))
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+/**
+ * Search YouTube and replace an acknowledged interaction response with the result picker
+ * @param {string} applicationId - Application ID
+ * @param {string} interactionToken - Token of the acknowledged interaction
+ * @param {string} query - Search terms
+ * @param {number} count - Number of results to show
+ * @param {string} guildId - Guild ID
+ */
+export async function sendSearchResults(applicationId, interactionToken, query, count, guildId) {
+    const { updateOriginalMessage } = await import('../../../utils/helpers/discord-api.js');
+
+    let messageData;
+    try {
+        const { unifiedYtdlpService } = await import('../../../utils/processors/unified-ytdlp-service.js');
+        const results = await unifiedYtdlpService.searchResults(query, count, guildId);
+        messageData = results.length > 0
+            ? buildSearchResultsMessage(query, results)
+            : { content: `❌ No results found for **${truncate(query, 100)}**.` };
+    } catch (error) {
+        console.error(`[Search] Error searching for "${query}" in guild ${guildId}:`, error.message);
+        messageData = { content: '❌ Search failed. Please try again.' };
+    }
+
+    await updateOriginalMessage(applicationId, interactionToken, messageData).catch(error => {
+        console.error('[Search] Error sending search results:', error.message);
+    });
+}
+
+export async function handleSearchResultSelect(req, res, data, djsClient) {
+    const guildId = req.body.guild_id;
+    const member = req.body.member;
+    const videoId = data?.values?.[0];
+
+    const { checkModPermissions } = await import('../../../middleware/permissionMiddleware.js');
+    if (!await checkModPermissions(djsClient, guildId, member?.user?.id, 'play')) {
+        return res.send({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: '❌ You need appropriate permissions to add songs.',
+                flags: 64
+            }
+        });
+    }
+
+    if (!videoId) {
+        return res.send({
+            type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE
+        });
+    }
+
+    const youtubeUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    const chosenLabel = req.body.message?.components?.[0]?.components?.[0]?.options?.find(option => option.value === videoId)?.label;
+
+    // Swap the picker for a status line so the same results can't be queued twice
+    res.send({
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: {
+            content: `🎵 Adding ${chosenLabel ? `**${chosenLabel}**` : 'your pick'} to the queue...`,
+            components: []
+        }
+    });
+
+    try {
+        const { StateCoordinator } = await import('../../../services/state-coordinator.js');
+        await StateCoordinator.setQueryingState(guildId, {
+            query: youtubeUrl,
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        console.log('[Search] Failed to start querying state:', error.message);
+    }
+
+    const interactionDetails = {
+        id: req.body.id,
+        interactionToken: req.body.token,
+        applicationId: req.body.application_id,
+        guild_id: guildId,
+        channel_id: req.body.channel_id,
+        user: member?.user
+    };
+
+    try {
+        const { unifiedMediaHandler } = await import('../../core/unified-media-handler.js');
+        await unifiedMediaHandler.initialize();
+        await unifiedMediaHandler.handleMedia('youtube-track', { query: youtubeUrl }, {
+            djsClient,
+            guildId,
+            member,
+            channelId: req.body.channel_id,
+            interactionDetails
+        });
+    } catch (error) {
+        console.error(`[Search] Error queuing search result ${youtubeUrl} for guild ${guildId}:`, error);
+        const { updateOriginalMessage } = await import('../../../utils/helpers/discord-api.js');
+        await updateOriginalMessage(req.body.application_id, req.body.token, {
+            content: `❌ Could not add that song: ${error.message}`
+        }).catch(() => {});
+    }
+}
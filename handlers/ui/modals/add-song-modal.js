@@ -32,6 +32,7 @@ function isValidSongQuery(query) {
         /^https?:\/\/.*youtu\.be/,     // YouTube short URLs
         /^https?:\/\/.*spotify\.com/,  // Spotify URLs
         /^spotify:track:/,             // Spotify URI
+        /^https?:\/\/\S+$/,            // Any other link: the query router probes it for radio streams and audio files
         /^[a-zA-Z0-9\s\-'"]+$/        // Basic song names (letters, numbers, spaces, hyphens, quotes)
     ];
     
@@ -60,11 +61,38 @@ export function getAddSongModalData() {
                         max_length: 200
                     }
                 ]
+            },
+            {
+                type: 1, // ACTION_ROW
+                components: [
+                    {
+                        type: 4, // TEXT_INPUT
+                        custom_id: 'pick_from_results',
+                        label: 'Pick from search results? (yes/no)',
+                        style: 1, // SHORT
+                        placeholder: 'Leave empty to play the top result',
+                        required: false,
+                        max_length: 3
+                    }
+                ]
             }
         ]
     };
 }
 
+/**
+ * Get a text input value from submitted modal data by its custom_id
+ */
+function getModalValue(data, customId) {
+    for (const row of data.components || []) {
+        const input = (row.components || []).find(component => component.custom_id === customId);
+        if (input) {
+            return input.value;
+        }
+    }
+    return undefined;
+}
+
 /**
  * Handle submission of the add song modal
  */
@@ -79,7 +107,8 @@ export async function handleSubmitAddSongModal(req, res, data, djsClient) {
     
     try {
         // Extract the song query from modal data
-        const songQuery = data.components?.[0]?.components?.[0]?.value;
+        const songQuery = getModalValue(data, 'song_query');
+        const pickFromResults = /^y(es)?$/i.test((getModalValue(data, 'pick_from_results') || '').trim());
         
         if (!songQuery || songQuery.trim().length === 0) {
             return res.send({
@@ -87,6 +116,18 @@ export async function handleSubmitAddSongModal(req, res, data, djsClient) {
             });
         }
         
+        // The modal queues songs just like /play, so it follows the play action's level
+        const { checkModPermissions } = await import('../../../middleware/permissionMiddleware.js');
+        if (!await checkModPermissions(djsClient, guildId, userId, 'play')) {
+            return res.send({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                    content: '❌ You need appropriate permissions to add songs.',
+                    flags: 64
+                }
+            });
+        }
+        
         // Create interaction details for the query router
         const interactionDetails = {
             id: req.body.id,
@@ -103,12 +144,27 @@ export async function handleSubmitAddSongModal(req, res, data, djsClient) {
             return res.send({
                 type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
                 data: {
-                    content: '❌ Invalid query. Please provide a valid song name, YouTube URL, or Spotify URL.',
+                    content: '❌ Invalid query. Please provide a valid song name or a link to a song, playlist, stream or audio file.',
                     flags: 64
                 }
             });
         }
 
+        // Search terms can be shown as a result picker instead of playing the top hit
+        if (pickFromResults && !/^(https?:\/\/|spotify:)/.test(songQuery.trim())) {
+            res.send({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                    content: `🔎 Searching for **${songQuery.trim()}**...`,
+                    flags: 64
+                }
+            });
+
+            const { DEFAULT_SEARCH_RESULTS, sendSearchResults } = await import('../handlers/search-handlers.js');
+            await sendSearchResults(req.body.application_id, req.body.token, songQuery.trim(), DEFAULT_SEARCH_RESULTS, guildId);
+            return;
+        }
+
         // CRITICAL FIX: Register embed update listeners immediately
         try {
             const { EmbedUpdateService } = await import('../../../services/embed-update-service.js');
@@ -50,7 +50,8 @@ export async function handleLoadingPage(guildId, djsClient, trackedState) {
     const currentTime = 0; // Loading state doesn't have current time
     const volumeLevel = session?.volume || 100;
     const isMuted = session?.isMuted || false;
-    const volumeBarCount = Math.ceil(volumeLevel / 10);
+    // Boosted volumes above 100% fill the whole bar
+    const volumeBarCount = Math.min(10, Math.ceil(volumeLevel / 10));
     const filledBars = '█'.repeat(volumeBarCount);
     const emptyBars = '░'.repeat(10 - volumeBarCount);
     const volumeBar = isMuted ? '░░░░░░░░░░' : `${filledBars}${emptyBars}`;
@@ -67,8 +68,7 @@ export async function handleLoadingPage(guildId, djsClient, trackedState) {
                         if (!currentSong.duration || currentSong.duration <= 0) {
                             return `\`Unknown\``;
                         }
-                        // Convert milliseconds to seconds
-                        const durationSeconds = Math.floor(currentSong.duration / 1000);
+                        const durationSeconds = Math.floor(currentSong.duration);
                         // Handle unusually long durations (more than 10 hours)
                         if (durationSeconds > 36000) {
                             return `\`${Math.floor(durationSeconds / 3600)}:${Math.floor((durationSeconds % 3600) / 60).toString().padStart(2, '0')}:${(durationSeconds % 60).toString().padStart(2, '0')}\``;
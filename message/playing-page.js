@@ -7,6 +7,39 @@ import { InteractionResponseType } from 'discord-interactions';
 import { stateFactory } from '../states/index.js';
 import { guildAudioSessions } from '../utils/core/audio-state.js';
 
+const PROGRESS_BAR_LENGTH = 15;
+
+function formatTime(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60).toString().padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+/**
+ * Length of the playing song in seconds
+ * The stream metadata is exact; the queued duration is a fallback
+ */
+function getDurationSeconds(nowPlaying, songData) {
+    const metadataDuration = Number(nowPlaying?.streamDetails?.metadata?.duration);
+    if (metadataDuration > 0) {
+        return Math.floor(metadataDuration);
+    }
+    return Math.floor(Number(songData.duration) || 0);
+}
+
+/**
+ * Build a textual progress bar like "━━━━━●────────── `1:23 / 3:45`"
+ */
+function buildProgressBar(elapsedSeconds, durationSeconds) {
+    const progress = Math.min(elapsedSeconds / durationSeconds, 1);
+    const position = Math.min(Math.floor(progress * PROGRESS_BAR_LENGTH), PROGRESS_BAR_LENGTH - 1);
+    const bar = '━'.repeat(position) + '●' + '─'.repeat(PROGRESS_BAR_LENGTH - position - 1);
+    return `${bar} \`${formatTime(Math.min(elapsedSeconds, durationSeconds))} / ${formatTime(durationSeconds)}\``;
+}
+
 /**
  * Handle playing page generation
  * @param {string} guildId - Guild ID
@@ -51,12 +84,35 @@ export async function handlePlayingPage(guildId, djsClient, trackedState) {
     if (queueInfo.totalCount > 0) {
         musicDisplay += `\n\nQueue: ${queueInfo.totalCount} song${queueInfo.totalCount === 1 ? '' : 's'} in line`;
     }
+
+    const { voteSkipManager } = await import('../utils/services/vote-skip-manager.js');
+    const voteStatus = voteSkipManager.getVoteStatus(guildId, session?.nowPlaying);
+    if (voteStatus) {
+        musicDisplay += `\n🗳️ Skip votes: ${voteStatus.votes}/${voteStatus.required}`;
+    }
     
-    // Let the state determine the volume and duration display
-    const currentTime = session?.startTime ? Math.floor((Date.now() - session.startTime) / 1000) : 0;
+    const { loopManager } = await import('../utils/services/loop-manager.js');
+    const loopMode = await loopManager.getLoopMode(guildId);
+    if (loopMode !== 'off') {
+        musicDisplay += `\n${loopManager.getEmoji(loopMode)} Loop: ${loopManager.getLabel(loopMode)}`;
+    }
+    
+    // Elapsed time comes from the audio resource's playbackDuration (plus any seek offset)
+    const { playerStateManager } = await import('../utils/core/player-state-manager.js');
+    const currentTime = playerStateManager.getPlaybackPosition(guildId);
+    const durationSeconds = getDurationSeconds(playerStateManager.getNowPlaying(guildId), currentSong);
+    let progressDisplay;
+    if (currentSong.isLive) {
+        progressDisplay = '🔴 `LIVE`';
+    } else if (durationSeconds > 0) {
+        progressDisplay = buildProgressBar(currentTime, durationSeconds);
+    } else {
+        progressDisplay = currentTime > 0 ? `\`${formatTime(currentTime)}\`` : '`Unknown`';
+    }
     const volumeLevel = session?.volume || 100;
     const isMuted = session?.isMuted || false;
-    const volumeBarCount = Math.ceil(volumeLevel / 10);
+    // Boosted volumes above 100% fill the whole bar
+    const volumeBarCount = Math.min(10, Math.ceil(volumeLevel / 10));
     const filledBars = '█'.repeat(volumeBarCount);
     const emptyBars = '░'.repeat(10 - volumeBarCount);
     const volumeBar = isMuted ? '░░░░░░░░░░' : `${filledBars}${emptyBars}`;
@@ -69,35 +125,8 @@ export async function handlePlayingPage(guildId, djsClient, trackedState) {
             fields: [
                 {
                     name: '',
-                    value: (() => {
-                        const statusEmoji = '⏸'; // Pause icon for playing state
-                        if (currentSong.duration && currentTime > 0) {
-                            const currentFormatted = Math.floor(currentTime / 60) + ':' + (currentTime % 60).toString().padStart(2, '0');
-                            // Convert milliseconds to seconds
-                            const durationSeconds = Math.floor(currentSong.duration / 1000);
-                            // Handle unusually long durations (more than 10 hours)
-                            let totalFormatted;
-                            if (durationSeconds > 36000) {
-                                totalFormatted = `${Math.floor(durationSeconds / 3600)}:${Math.floor((durationSeconds % 3600) / 60).toString().padStart(2, '0')}:${(durationSeconds % 60).toString().padStart(2, '0')}`;
-                            } else {
-                                totalFormatted = Math.floor(durationSeconds / 60) + ':' + (durationSeconds % 60).toString().padStart(2, '0');
-                            }
-                            return `${statusEmoji} \`${currentFormatted} / ${totalFormatted}\``;
-                        }
-                        if (currentSong.duration) {
-                            // Convert milliseconds to seconds
-                            const durationSeconds = Math.floor(currentSong.duration / 1000);
-                            let totalFormatted;
-                            if (durationSeconds > 36000) {
-                                totalFormatted = `${Math.floor(durationSeconds / 3600)}:${Math.floor((durationSeconds % 3600) / 60).toString().padStart(2, '0')}:${(durationSeconds % 60).toString().padStart(2, '0')}`;
-                            } else {
-                                totalFormatted = Math.floor(durationSeconds / 60) + ':' + (durationSeconds % 60).toString().padStart(2, '0');
-                            }
-                            return `${statusEmoji} \`${totalFormatted}\``;
-                        }
-                        return `${statusEmoji} \`Unknown\``;
-                    })(),
-                    inline: true
+                    value: `⏸ ${progressDisplay}`,
+                    inline: false // The progress bar needs the full width
                 },
                 {
                     name: '',
@@ -11,7 +11,11 @@ export {
   canChangeSlashAccessType,
   checkModPermissions,
   checkAdminPermissions,
-  checkBotControlsPermissions
+  checkBotControlsPermissions,
+  checkActionPermission,
+  getActionPermissionLevel,
+  PERMISSION_ACTIONS,
+  PERMISSION_LEVELS
 } from './permissionMiddleware.js';
 
 export {
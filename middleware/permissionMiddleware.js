@@ -1,7 +1,37 @@
 import { InteractionResponseType } from 'discord-interactions';
-import { canUseModCommands, canUseAdminCommands } from '../utils/functions/permission-utils.js';
+import { canUseModCommands, canUseAdminCommands, hasModPermissions } from '../utils/functions/permission-utils.js';
 import { getGuildSettings } from '../utils/database/guildSettings.js';
 
+/**
+ * Actions that can be given their own permission level in the access control tool
+ */
+export const PERMISSION_ACTIONS = {
+    play: { label: 'Play', description: 'Add songs with /play, Add Song and saved playlists' },
+    skip: { label: 'Skip', description: 'Skip without voting' },
+    stop: { label: 'Stop & Pause', description: 'Stop, pause, resume and seek playback' },
+    volume: { label: 'Volume', description: 'Change volume and mute' },
+    shuffle: { label: 'Shuffle', description: 'Shuffle the queue' },
+    queue: { label: 'Queue Edit', description: 'Remove, move, loop, go back and edit saved playlists' },
+    settings: { label: 'Settings', description: 'Change bot settings and filters' }
+};
+
+/**
+ * Permission levels an action can be set to
+ * 'access' keeps the action on the slash command/component/bot control access settings
+ */
+export const PERMISSION_LEVELS = {
+    access: { label: 'Access Settings', description: 'Follow the slash command/component access settings' },
+    everyone: { label: 'Everyone', description: 'Anyone in the server' },
+    dj: { label: 'DJ Role', description: 'Members with the DJ role, moderators and the owner' },
+    mod: { label: 'Moderators', description: 'Members with moderation permissions and the owner' },
+    owner: { label: 'Server Owner', description: 'Only the server owner' }
+};
+
+// /play has never required access, so it stays open until a level is picked for it
+const DEFAULT_ACTION_LEVELS = {
+    play: 'everyone'
+};
+
 /**
  * Helper function to check if a user has access based on server owner or role-based permissions
  * @param {Object} djsClient - Discord.js client
@@ -52,12 +82,72 @@ export async function checkAccessPermissions(djsClient, guildId, userId, accessT
     }
 }
 
+/**
+ * Get the permission level configured for an action
+ * @param {Object} settings - Guild settings
+ * @param {string} action - Action key from PERMISSION_ACTIONS
+ * @returns {string} - Level key from PERMISSION_LEVELS
+ */
+export function getActionPermissionLevel(settings, action) {
+    const level = settings?.action_permissions?.[action] || DEFAULT_ACTION_LEVELS[action] || 'access';
+    return PERMISSION_LEVELS[level] ? level : 'access';
+}
+
+/**
+ * Check if a user may perform an action
+ * @param {Object} djsClient - Discord.js client
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {string} action - Action key from PERMISSION_ACTIONS
+ * @param {string} accessType - Access setting used while the action is on 'access' ('slash_commands', 'components', 'bot_controls')
+ * @returns {Promise<boolean>} - True if user has access
+ */
+export async function checkActionPermission(djsClient, guildId, userId, action, accessType) {
+    try {
+        const settings = await getGuildSettings(guildId);
+        const level = getActionPermissionLevel(settings, action);
+
+        console.log(`[PERMISSION_DEBUG] ${action} check for user ${userId} in guild ${guildId}: ${level}`);
+
+        if (level === 'access') {
+            return await checkAccessPermissions(djsClient, guildId, userId, accessType);
+        }
+
+        if (level === 'everyone') {
+            return true;
+        }
+
+        const guild = await djsClient.guilds.fetch(guildId);
+        const member = await guild.members.fetch(userId);
+
+        // Each level also admits everyone above it
+        if (member.id === guild.ownerId) {
+            return true;
+        }
+        if (level === 'owner') {
+            return false;
+        }
+        if (hasModPermissions(member, guild)) {
+            return true;
+        }
+        if (level === 'mod') {
+            return false;
+        }
+
+        return !!settings.dj_role_id && member.roles.cache.has(settings.dj_role_id);
+    } catch (error) {
+        console.error(`Error checking ${action} permissions:`, error);
+        return false;
+    }
+}
+
 /**
  * Wrapper function to check permissions before executing a command
  * @param {Function} commandHandler - The original command handler function
+ * @param {string} [action] - Action key from PERMISSION_ACTIONS; without one only the slash command access is checked
  * @returns {Function} - Wrapped command handler with permission check
  */
-export function requireModPermissions(commandHandler) {
+export function requireModPermissions(commandHandler, action = null) {
     return async (req, res, djsClient) => {
         const guildId = req.body.guild_id;
         const userId = req.body.member?.user?.id;
@@ -73,7 +163,9 @@ export function requireModPermissions(commandHandler) {
         }
 
         try {
-            const hasAccess = await checkAccessPermissions(djsClient, guildId, userId, 'slash_commands');
+            const hasAccess = action
+                ? await checkActionPermission(djsClient, guildId, userId, action, 'slash_commands')
+                : await checkAccessPermissions(djsClient, guildId, userId, 'slash_commands');
             
             if (!hasAccess) {
                 return res.send({
@@ -154,9 +246,13 @@ export function requireAdminPermissions(commandHandler) {
  * @param {Object} djsClient - Discord.js client
  * @param {string} guildId - Guild ID
  * @param {string} userId - User ID
+ * @param {string} [action] - Action key from PERMISSION_ACTIONS; without one only the component access is checked
  * @returns {Promise<boolean>} - True if user has component permissions
  */
-export async function checkModPermissions(djsClient, guildId, userId) {
+export async function checkModPermissions(djsClient, guildId, userId, action = null) {
+    if (action) {
+        return await checkActionPermission(djsClient, guildId, userId, action, 'components');
+    }
     return await checkAccessPermissions(djsClient, guildId, userId, 'components');
 }
 
@@ -186,7 +282,7 @@ export async function checkAdminPermissions(djsClient, guildId, userId) {
  * @returns {Promise<boolean>} - True if user has config permissions
  */
 export async function checkBotControlsPermissions(djsClient, guildId, userId) {
-    return await checkAccessPermissions(djsClient, guildId, userId, 'bot_controls');
+    return await checkActionPermission(djsClient, guildId, userId, 'settings', 'bot_controls');
 }
 
 /**
@@ -9,6 +9,7 @@ import { handleMainMenuPage } from '../ui/pages/main-menu.js';
 import { handleBotVoiceControlsPage } from '../handlers/ui/handlers/bot-voice-controls-handler.js';
 import { handleQueueHistoryPage } from '../ui/pages/queue-history.js';
 import { handleToolsPage } from '../ui/pages/tools.js';
+import { handleSavedPlaylistsPage } from '../ui/pages/saved-playlists.js';
 import { checkConfigMenuAccess, sendPermissionDeniedResponse, sendErrorResponse } from '../utils/middleware/menu-permissions.js';
 
 // Import tools handlers
@@ -53,6 +54,9 @@ export async function routeMenuNavigation(customId, req, res, djsClient) {
             case 'menu_nav_tools':
                 return await handleToolsPage(req, res, guildId, djsClient);
                 
+            case 'menu_nav_saved_playlists':
+                return await handleSavedPlaylistsPage(req, res, guildId, djsClient);
+                
             case 'menu_nav_mod':
                 return await handleMenuNavMod(req, res, req.body.data, djsClient);
                 
@@ -3,13 +3,26 @@
  * Query Router
  * 
  * Routes play queries to appropriate handlers based on URL patterns
- * - Spotify playlists → spotify-playlist-handler.js
+ * - Spotify playlists, albums and artists → spotify-playlist-handler.js
  * - Spotify tracks → unified-media-handler.js
  * - YouTube playlists → youtube-playlist-handler.js
  * - YouTube tracks → unified-media-handler.js
+ * - SoundCloud sets → ytdlp-playlist.js
+ * - SoundCloud tracks → unified-media-handler.js
+ * - Bandcamp albums → ytdlp-playlist.js
+ * - Bandcamp tracks → unified-media-handler.js
+ * - Radio streams (Icecast/Shoutcast, .m3u/.pls, live HLS) → unified-media-handler.js
+ * - Direct audio file URLs and attachments → unified-media-handler.js
  * - Search queries → unified-media-handler.js
  */
 
+// SoundCloud sets are playlists/albums; any other soundcloud.com/<user>/<track> path (or on.soundcloud.com share link) is a track
+const soundCloudSetRegex = /^https?:\/\/(?:www\.|m\.)?soundcloud\.com\/[\w-]+\/sets\/[\w-]+/i;
+const soundCloudTrackRegex = /^https?:\/\/(?:(?:www\.|m\.)?soundcloud\.com\/[\w-]+\/[\w-]+|on\.soundcloud\.com\/\w+)/i;
+// Bandcamp pages live on <artist>.bandcamp.com
+const bandcampAlbumRegex = /^https?:\/\/[\w-]+\.bandcamp\.com\/album\/[\w-]+/i;
+const bandcampTrackRegex = /^https?:\/\/[\w-]+\.bandcamp\.com\/track\/[\w-]+/i;
+
 /**
  * Route play query to appropriate handler
  * @param {Object} djsClient - Discord client
@@ -36,6 +49,30 @@ export async function routePlayQuery(djsClient, guildId, member, channelId, quer
         }
     }
     
+    // Check if this is a Spotify album URL (/intl-xx/ links come from localized pages)
+    if (/open\.spotify\.com\/(?:intl-[\w-]+\/)?album\//.test(query)) {
+        console.log(`[QueryRouter] Detected Spotify album, routing to Spotify handler`);
+        try {
+            const { handleSpotifyAlbum } = await import('../handlers/media/spotify-playlist.js');
+            return await handleSpotifyAlbum(djsClient, guildId, member, channelId, query, interactionDetails);
+        } catch (error) {
+            console.error('[QueryRouter] Error importing Spotify handler:', error);
+            return { success: false, error: 'Failed to load Spotify album handler' };
+        }
+    }
+    
+    // Check if this is a Spotify artist URL - queues the artist's top tracks
+    if (/open\.spotify\.com\/(?:intl-[\w-]+\/)?artist\//.test(query)) {
+        console.log(`[QueryRouter] Detected Spotify artist, routing to Spotify handler`);
+        try {
+            const { handleSpotifyArtist } = await import('../handlers/media/spotify-playlist.js');
+            return await handleSpotifyArtist(djsClient, guildId, member, channelId, query, interactionDetails);
+        } catch (error) {
+            console.error('[QueryRouter] Error importing Spotify handler:', error);
+            return { success: false, error: 'Failed to load Spotify artist handler' };
+        }
+    }
+    
     // Check if this is a Spotify track URL or URI
     if (query.includes('open.spotify.com/track/') || query.startsWith('spotify:track:')) {
         console.log(`[QueryRouter] Detected Spotify track, routing to unified media handler`);
@@ -72,6 +109,83 @@ export async function routePlayQuery(djsClient, guildId, member, channelId, quer
         }
     }
     
+    // Check if this is a SoundCloud set URL
+    if (soundCloudSetRegex.test(query)) {
+        console.log(`[QueryRouter] Detected SoundCloud set, routing to SoundCloud handler`);
+        try {
+            const { handleSoundCloudPlaylist } = await import('../handlers/media/ytdlp-playlist.js');
+            return await handleSoundCloudPlaylist(djsClient, guildId, member, channelId, query, interactionDetails);
+        } catch (error) {
+            console.error('[QueryRouter] Error importing SoundCloud handler:', error);
+            return { success: false, error: 'Failed to load SoundCloud handler' };
+        }
+    }
+    
+    // Check if this is a SoundCloud single track URL
+    if (soundCloudTrackRegex.test(query)) {
+        console.log(`[QueryRouter] Detected SoundCloud track, routing to unified media handler`);
+        try {
+            const { handleSoundCloudTrack } = await import('../handlers/core/unified-media-handler.js');
+            return await handleSoundCloudTrack(djsClient, guildId, member, channelId, query, interactionDetails, displayPref);
+        } catch (error) {
+            console.error('[QueryRouter] Error importing unified media handler:', error);
+            return { success: false, error: 'Failed to load unified media handler' };
+        }
+    }
+    
+    // Check if this is a Bandcamp album URL
+    if (bandcampAlbumRegex.test(query)) {
+        console.log(`[QueryRouter] Detected Bandcamp album, routing to Bandcamp handler`);
+        try {
+            const { handleBandcampAlbum } = await import('../handlers/media/ytdlp-playlist.js');
+            return await handleBandcampAlbum(djsClient, guildId, member, channelId, query, interactionDetails);
+        } catch (error) {
+            console.error('[QueryRouter] Error importing Bandcamp handler:', error);
+            return { success: false, error: 'Failed to load Bandcamp handler' };
+        }
+    }
+    
+    // Check if this is a Bandcamp single track URL
+    if (bandcampTrackRegex.test(query)) {
+        console.log(`[QueryRouter] Detected Bandcamp track, routing to unified media handler`);
+        try {
+            const { handleBandcampTrack } = await import('../handlers/core/unified-media-handler.js');
+            return await handleBandcampTrack(djsClient, guildId, member, channelId, query, interactionDetails, displayPref);
+        } catch (error) {
+            console.error('[QueryRouter] Error importing unified media handler:', error);
+            return { success: false, error: 'Failed to load unified media handler' };
+        }
+    }
+    
+    // Any other URL might be a radio station or an audio file; only probe it when nothing above matched
+    if (/^https?:\/\//i.test(query)) {
+        const { liveStreamService } = await import('../utils/processors/live-stream-service.js');
+        const liveStream = await liveStreamService.probe(query);
+        if (liveStream) {
+            console.log(`[QueryRouter] Detected ${liveStream.type} live stream, routing to unified media handler`);
+            try {
+                const { handleLiveStream } = await import('../handlers/core/unified-media-handler.js');
+                return await handleLiveStream(djsClient, guildId, member, channelId, query, liveStream, interactionDetails, displayPref);
+            } catch (error) {
+                console.error('[QueryRouter] Error importing unified media handler:', error);
+                return { success: false, error: 'Failed to load unified media handler' };
+            }
+        }
+
+        const { directMediaService } = await import('../utils/processors/direct-media-service.js');
+        const directMedia = await directMediaService.probe(query);
+        if (directMedia) {
+            console.log(`[QueryRouter] Detected direct media file (${directMedia.format}), routing to unified media handler`);
+            try {
+                const { handleDirectMedia } = await import('../handlers/core/unified-media-handler.js');
+                return await handleDirectMedia(djsClient, guildId, member, channelId, query, directMedia, interactionDetails, displayPref);
+            } catch (error) {
+                console.error('[QueryRouter] Error importing unified media handler:', error);
+                return { success: false, error: 'Failed to load unified media handler' };
+            }
+        }
+    }
+    
     // Default: route to unified media handler for search queries
     console.log(`[QueryRouter] Routing to unified media handler for search query`);
     try {
@@ -25,6 +25,7 @@ export class ApplicationService {
       // Initialize handlers (no need to pass client anymore)
       const commandHandlers = await CommandRegistry.registerAll();
       const { messageComponentHandlers, modalSubmitHandlers } = await ComponentRegistry.registerAll();
+      const autocompleteHandlers = await CommandRegistry.registerAutocompleteHandlers();
 
       // Initialize database
       const dbInitialized = await DatabaseService.initialize();
@@ -36,7 +37,7 @@ export class ApplicationService {
       await this.setupVoiceChannelChecks();
 
       // Create and configure Express app
-      const app = this.createExpressApp(commandHandlers, messageComponentHandlers, modalSubmitHandlers);
+      const app = this.createExpressApp(commandHandlers, messageComponentHandlers, modalSubmitHandlers, autocompleteHandlers);
       
       // Start server
       const port = EnvironmentValidator.getPort();
@@ -52,7 +53,7 @@ export class ApplicationService {
     }
   }
 
-  static createExpressApp(commandHandlers, messageComponentHandlers, modalSubmitHandlers) {
+  static createExpressApp(commandHandlers, messageComponentHandlers, modalSubmitHandlers, autocompleteHandlers = {}) {
     const app = express();
 
     app.post('/interactions', verifyKeyMiddleware(EnvironmentValidator.getPublicKey()), async (req, res) => {
@@ -75,6 +76,11 @@ export class ApplicationService {
             console.log(new Date().toISOString(), `[APP_DEBUG] ID: ${interactionId} | Cmd: ${data.name} | Dispatching to command handler.`);
             return handler(req, res, ClientService.getClient());
           }
+        } else if (type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+          const handler = autocompleteHandlers[data.name];
+          if (handler) {
+            return handler(req, res, ClientService.getClient());
+          }
         } else if (type === InteractionType.MESSAGE_COMPONENT) {
           // console.log(new Date().toISOString(), `[APP_DEBUG] ID: ${interactionId} | MESSAGE_COMPONENT interaction received. Full body:`, JSON.stringify(req.body, null, 2));
           const handler = messageComponentHandlers[data.custom_id];
@@ -4,6 +4,7 @@
  */
 import { ClientService } from './client-service.js';
 import { StateCoordinator } from './state-coordinator.js';
+import { ProgressUpdateService } from './progress-update-service.js';
 
 export class EmbedUpdateService {
     static initialized = false;
@@ -72,11 +73,13 @@ export class EmbedUpdateService {
                     break;
                 case 'playing':
                     await this.updatePlayingState(guildId, client, data);
+                    ProgressUpdateService.start(guildId);
                     break;
                 case 'paused':
                     await this.updatePausedState(guildId, client, data);
                     break;
                 case 'idle':
+                    ProgressUpdateService.stop(guildId);
                     await this.updateIdleState(guildId, client, data);
                     break;
                 case 'queue':
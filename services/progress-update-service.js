@@ -0,0 +1,59 @@
+/**
+ * Progress Update Service
+ * Re-renders the playing embed on a fixed schedule so its progress bar and elapsed time move along
+ */
+import { ClientService } from './client-service.js';
+import { StateCoordinator } from './state-coordinator.js';
+
+// Discord allows about 5 message edits per 5 seconds per channel; one progress edit every 15 seconds
+// leaves plenty of room for the edits that state changes and button presses make
+const PROGRESS_UPDATE_INTERVAL_MS = 15000;
+
+export class ProgressUpdateService {
+    static timers = new Map(); // guildId -> interval
+
+    /**
+     * Start refreshing the playing embed for a guild (restarts the schedule if it's already running)
+     */
+    static start(guildId) {
+        this.stop(guildId);
+        const interval = setInterval(() => {
+            this.refresh(guildId).catch(error => {
+                console.error(`[ProgressUpdateService] Error refreshing progress for guild ${guildId}:`, error.message);
+            });
+        }, PROGRESS_UPDATE_INTERVAL_MS);
+        this.timers.set(guildId, interval);
+    }
+
+    static stop(guildId) {
+        const interval = this.timers.get(guildId);
+        if (interval) {
+            clearInterval(interval);
+            this.timers.delete(guildId);
+        }
+    }
+
+    /**
+     * Queue a playing embed update if the song is actually moving
+     * Paused songs, live streams and songs without a known length have nothing to advance
+     */
+    static async refresh(guildId) {
+        const trackedState = StateCoordinator.getCurrentTrackedState(guildId);
+        if (trackedState?.currentState !== 'playing' || !ClientService.isClientAvailable()) {
+            this.stop(guildId);
+            return;
+        }
+
+        const { playerStateManager } = await import('../utils/core/player-state-manager.js');
+        const nowPlaying = playerStateManager.getNowPlaying(guildId);
+        if (!nowPlaying || nowPlaying.isLive || playerStateManager.isPaused(guildId)) {
+            return;
+        }
+
+        const client = ClientService.getClient();
+        StateCoordinator.queueEmbedUpdate(guildId, async () => {
+            const { updatePlaybackControlsEmbed } = await import('../handlers/menu-component-handlers.js');
+            await updatePlaybackControlsEmbed(guildId, client);
+        });
+    }
+}
@@ -28,6 +28,10 @@ export class PausedState extends BaseState {
         if (!song) return 'Nothing is currently playing.';
         
         let display = `**${song.title}**`;
+
+        if (song.isLive && song.streamTitle) {
+            display += `\n🎶 ${song.streamTitle}`;
+        }
         
         if (queueInfo && queueInfo.totalCount > 0) {
             display += `\n\nQueue: ${queueInfo.totalCount} song${queueInfo.totalCount === 1 ? '' : 's'} in line`;
@@ -41,6 +45,7 @@ export class PausedState extends BaseState {
      */
     getDurationDisplay(song, currentTime) {
         if (!song) return '▶ `Unknown`';
+        if (song.isLive) return '▶ `🔴 LIVE`';
         
         const duration = song.streamDetails?.metadata?.duration;
         const statusEmoji = '▶'; // Play icon for paused state
@@ -28,6 +28,11 @@ export class PlayingState extends BaseState {
         if (!song) return 'Nothing is currently playing.';
         
         let display = `**${song.title}**`;
+
+        // Radio streams announce the track on air through ICY metadata
+        if (song.isLive && song.streamTitle) {
+            display += `\n🎶 ${song.streamTitle}`;
+        }
         
         if (queueInfo && queueInfo.totalCount > 0) {
             display += `\n\nQueue: ${queueInfo.totalCount} song${queueInfo.totalCount === 1 ? '' : 's'} in line`;
@@ -41,6 +46,7 @@ export class PlayingState extends BaseState {
      */
     getDurationDisplay(song, currentTime) {
         if (!song) return '⏸ `Unknown`';
+        if (song.isLive) return '⏸ `🔴 LIVE`';
         
         const duration = song.streamDetails?.metadata?.duration;
         const statusEmoji = '⏸'; // Pause icon for playing state
@@ -11,6 +11,9 @@ import {
 import { getVoiceConnection, VoiceConnectionStatus, AudioPlayerStatus } from '@discordjs/voice';
 import { guildAudioSessions } from '../../utils/core/audio-state.js';
 import { playerStateManager } from '../../utils/core/player-state-manager.js';
+import { loopManager } from '../../utils/services/loop-manager.js';
+import { autoplayManager } from '../../utils/services/autoplay-manager.js';
+import { audioFilterManager } from '../../utils/services/audio-filter-manager.js';
 
 // Helper function to format duration from seconds to MM:SS format
 function formatDuration(seconds) {
@@ -62,7 +65,8 @@ export async function playbackcontrols(guildId, djsClient) {
     const isMuted = session?.isMuted || false;
     
     // Create Unicode volume bar (10 bars representing 0-100%)
-    const volumeBarCount = Math.ceil(volumeLevel / 10);
+    // Boosted volumes above 100% fill the whole bar
+    const volumeBarCount = Math.min(10, Math.ceil(volumeLevel / 10));
     const filledBars = '█'.repeat(volumeBarCount);
     const emptyBars = '░'.repeat(10 - volumeBarCount);
     const volumeBar = isMuted ? '░░░░░░░░░░' : `${filledBars}${emptyBars}`;
@@ -234,6 +238,9 @@ export async function getPlaybackControlButtons(guildId, djsClient, stateType) {
     const isStarting = playerStateManager.isStarting(guildId);
     const isBuffering = playerStateManager.isBuffering(guildId);
     const hasActiveAudio = isPlaying || isPaused;
+    const loopMode = await loopManager.getLoopMode(guildId);
+    const autoplayEnabled = await autoplayManager.isEnabled(guildId);
+    const filterPreset = await audioFilterManager.getFilter(guildId);
     
     return [
         {
@@ -271,13 +278,58 @@ export async function getPlaybackControlButtons(guildId, djsClient, stateType) {
                 },
             ],
         },
+        {
+            type: 1, // ACTION_ROW
+            components: [
+                {
+                    type: 2, // BUTTON
+                    custom_id: 'menu_nav_main',
+                    style: 2, // SECONDARY
+                    label: 'Back',
+                },
+                {
+                    type: 2, // BUTTON
+                    custom_id: 'remote_back',
+                    label: 'Previous',
+                    emoji: { name: '⏮️' },
+                    style: 2, // SECONDARY
+                },
+                {
+                    type: 2, // BUTTON
+                    custom_id: 'remote_loop',
+                    label: `Loop: ${loopManager.getLabel(loopMode)}`,
+                    emoji: { name: loopManager.getEmoji(loopMode) },
+                    style: loopMode === 'off' ? 2 : 3, // SUCCESS while a loop mode is active
+                },
+                {
+                    type: 2, // BUTTON
+                    custom_id: 'remote_autoplay',
+                    label: `Autoplay: ${autoplayEnabled ? 'On' : 'Off'}`,
+                    emoji: { name: '📻' },
+                    style: autoplayEnabled ? 3 : 2, // SUCCESS while autoplay is on
+                },
+                {
+                    type: 2, // BUTTON
+                    custom_id: 'remote_lyrics',
+                    label: 'Lyrics',
+                    emoji: { name: '🎤' },
+                    style: 2, // SECONDARY
+                    disabled: !hasActiveAudio,
+                },
+            ],
+        },
         {
             type: 1, // ACTION_ROW
             components: [{
-                type: 2, // BUTTON
-                custom_id: 'menu_nav_main',
-                style: 2, // SECONDARY
-                label: 'Back',
+                type: 3, // STRING_SELECT
+                custom_id: 'audio_filter_select',
+                placeholder: 'Audio filter',
+                options: audioFilterManager.getPresetNames().map(preset => ({
+                    label: audioFilterManager.getLabel(preset),
+                    value: preset,
+                    emoji: { name: audioFilterManager.getEmoji(preset) },
+                    default: preset === filterPreset,
+                })),
             }],
         },
     ];
@@ -5,6 +5,11 @@
 import { getVoiceConnection, VoiceConnectionStatus } from '@discordjs/voice';
 import { MessageComponentTypes, ButtonStyleTypes } from 'discord-interactions';
 import { getGuildQueue } from '../../utils/database/guildQueues.js';
+import { formatDuration } from '../utils/formatters.js';
+
+const QUEUE_PAGE_SIZE = 10;
+// Requesters listed by name in the queue summary before the rest are grouped
+const MAX_LISTED_REQUESTERS = 5;
 
 // Import required services and managers
 let guildAudioSessions, playerStateManager;
@@ -39,7 +44,79 @@ async function getImports() {
     return { guildAudioSessions, playerStateManager };
 }
 
-export async function createQueueMessageData(guildId) {
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Length of a queued song in seconds, or 0 when unknown
+ */
+function getSongDurationSeconds(song) {
+    const duration = Number(song?.duration) || 0;
+    if (duration <= 0 || song.isLive) {
+        return 0;
+    }
+    return Math.floor(duration);
+}
+
+/**
+ * Summarise who queued what, busiest requesters first
+ */
+function formatRequesterCounts(songs) {
+    const counts = new Map();
+    for (const song of songs) {
+        const requester = song.addedBy || 'Unknown User';
+        counts.set(requester, (counts.get(requester) || 0) + 1);
+    }
+
+    const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    const lines = sorted
+        .slice(0, MAX_LISTED_REQUESTERS)
+        .map(([requester, count]) => `${truncate(requester, 32)}: ${count}`);
+    if (sorted.length > MAX_LISTED_REQUESTERS) {
+        const otherCount = sorted.slice(MAX_LISTED_REQUESTERS).reduce((total, [, count]) => total + count, 0);
+        lines.push(`${sorted.length - MAX_LISTED_REQUESTERS} others: ${otherCount}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * First/previous/next/last buttons for the queue pages
+ * The handlers read the current page back from the embed footer, so the buttons work on any message showing the queue
+ */
+function createQueuePageButtons(currentPage, pageCount) {
+    const isFirst = currentPage === 0;
+    const isLast = currentPage >= pageCount - 1;
+    return {
+        type: MessageComponentTypes.ACTION_ROW,
+        components: [
+            { type: MessageComponentTypes.BUTTON, custom_id: 'queue_page_first', emoji: { name: '⏮️' }, style: ButtonStyleTypes.SECONDARY, disabled: isFirst },
+            { type: MessageComponentTypes.BUTTON, custom_id: 'queue_page_prev', emoji: { name: '◀️' }, style: ButtonStyleTypes.SECONDARY, disabled: isFirst },
+            { type: MessageComponentTypes.BUTTON, custom_id: 'queue_page_next', emoji: { name: '▶️' }, style: ButtonStyleTypes.SECONDARY, disabled: isLast },
+            { type: MessageComponentTypes.BUTTON, custom_id: 'queue_page_last', emoji: { name: '⏭️' }, style: ButtonStyleTypes.SECONDARY, disabled: isLast }
+        ]
+    };
+}
+
+/**
+ * Read the 0-based queue page a message is showing from its embed footer ("Page 2/5")
+ * @param {Object} message - Discord.js message or raw interaction message
+ * @returns {number} Page shown, or 0 if the message isn't showing a queue page
+ */
+export function getQueuePageFromMessage(message) {
+    const footerText = message?.embeds?.[0]?.footer?.text || '';
+    const match = footerText.match(/Page (\d+)\/(\d+)/);
+    return match ? parseInt(match[1], 10) - 1 : 0;
+}
+
+/**
+ * Build the queue page
+ * @param {string} guildId - Guild ID
+ * @param {number} page - 0-based page of the upcoming queue to show (clamped to the pages available)
+ * @param {Object} options - { includeMenuButton } adds Back to Main Menu for the menu panel
+ * @returns {Promise<Object>} Message data with embeds and components
+ */
+export async function createQueueMessageData(guildId, page = 0, { includeMenuButton = true } = {}) {
     let guildAudioSessions, playerStateManager;
     
     try {
@@ -132,6 +209,16 @@ export async function createQueueMessageData(guildId) {
         }
     }
 
+    // A live session keeps only the next few songs in memory; the rest of the queue is read from the database.
+    // A session restored above already holds the whole saved queue
+    let upcoming = session?.queue || [];
+    if (session && guildAudioSessions.has(guildId)) {
+        const { queueManager } = await import('../../utils/services/queue-manager.js');
+        upcoming = await queueManager.getFullQueue(guildId, session);
+    }
+    const pageCount = Math.max(1, Math.ceil(upcoming.length / QUEUE_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(Math.floor(page) || 0, 0), pageCount - 1);
+
     const connection = getVoiceConnection(guildId);
     const isBotConnected = connection && connection.state.status !== VoiceConnectionStatus.Destroyed && connection.state.status !== VoiceConnectionStatus.Disconnected;
 
@@ -143,7 +230,7 @@ export async function createQueueMessageData(guildId) {
 
     console.log(`[QueueMsg] Creating embed with title: "${embedData.title}" for guild ${guildId}`);
 
-    if (!session || (!session.nowPlaying && (!session.queue || session.queue.length === 0))) {
+    if (!session || (!session.nowPlaying && upcoming.length === 0)) {
         embedData.description = "The queue is empty! Use `/play` to add a song.";
     } else {
         const nowPlaying = session.nowPlaying;
@@ -161,30 +248,32 @@ export async function createQueueMessageData(guildId) {
             embedData.description = 'Bot is not connected. Nothing playing.';
         }
 
-        // Show queue information
-        const totalQueueCount = session.lazyLoadInfo?.totalCount || session.queue?.length || 0;
-        
-        if (totalQueueCount > 0) {
+        // Show queue information across the in-memory queue and the database tail
+        if (upcoming.length > 0) {
             if (!embedData.fields) embedData.fields = [];
-            
-            if (session.queue && session.queue.length > 0) {
-                // Show in-memory queue (up to 10 songs)
-                const queueString = session.queue
-                    .slice(0, 10)
-                    .map((song, index) => `${index + 1}. ${song.title}`)
-                    .join('\n');
-                embedData.fields.push({ name: '⬆ Up Next', value: queueString.substring(0, 1020) });
-                
-                // Show total count if there are more songs
-                if (totalQueueCount > 10) {
-                    embedData.footer = { text: `...and ${totalQueueCount - 10} more songs in queue.` };
-                } else if (totalQueueCount > session.queue.length) {
-                    embedData.footer = { text: `...and ${totalQueueCount - session.queue.length} more songs loading from database.` };
-                }
-            } else {
-                // No songs in memory but songs in database
-                embedData.fields.push({ name: '⬆ Up Next', value: `${totalQueueCount} songs loading from database...` });
-            }
+
+            const start = currentPage * QUEUE_PAGE_SIZE;
+            const queueString = upcoming
+                .slice(start, start + QUEUE_PAGE_SIZE)
+                .map((song, index) => {
+                    const duration = getSongDurationSeconds(song);
+                    return `${start + index + 1}. ${truncate(song.title || 'Unknown Title', 50)}` +
+                        `${duration > 0 ? ` \`${formatDuration(duration)}\`` : ''} • ${truncate(song.addedBy || 'Unknown User', 24)}`;
+                })
+                .join('\n');
+            embedData.fields.push({ name: '⬆ Up Next', value: queueString.substring(0, 1024) });
+
+            const totalSeconds = upcoming.reduce((total, song) => total + getSongDurationSeconds(song), 0);
+            const unknownCount = upcoming.filter(song => getSongDurationSeconds(song) === 0).length;
+            embedData.fields.push({
+                name: '⏱ Total Duration',
+                value: `${upcoming.length} song${upcoming.length === 1 ? '' : 's'} • ${totalSeconds > 0 ? formatDuration(totalSeconds) : 'Unknown'}` +
+                    (unknownCount > 0 ? ` (+${unknownCount} of unknown length)` : ''),
+                inline: true
+            });
+            embedData.fields.push({ name: '👥 Requested By', value: formatRequesterCounts(upcoming), inline: true });
+
+            embedData.footer = { text: `Page ${currentPage + 1}/${pageCount}` };
         } else if (isBotConnected && session.nowPlaying) {
             if (!embedData.fields) embedData.fields = [];
             embedData.fields.push({ name: '⬆ Up Next', value: 'The queue is empty.' });
@@ -209,9 +298,12 @@ export async function createQueueMessageData(guildId) {
         }
     }
 
-    // Only add the Back to Main Menu button
-    const components = [
-        {
+    const components = [];
+    if (pageCount > 1) {
+        components.push(createQueuePageButtons(currentPage, pageCount));
+    }
+    if (includeMenuButton) {
+        components.push({
             type: MessageComponentTypes.ACTION_ROW,
             components: [
                 {
@@ -221,8 +313,8 @@ export async function createQueueMessageData(guildId) {
                     style: ButtonStyleTypes.SECONDARY,
                 },
             ],
-        },
-    ];
+        });
+    }
 
     // Return the embed data directly
     console.log(`[QueueMsg] Created embed with title: "${embedData.title}" for guild ${guildId}`);
@@ -235,21 +327,7 @@ export async function createQueueMessageData(guildId) {
 }
 
 export async function getQueueHistoryPageData(guildId, djsClient) {
-    const messageData = await createQueueMessageData(guildId);
-    messageData.components = [
-        {
-            type: MessageComponentTypes.ACTION_ROW,
-            components: [
-                {
-                    type: MessageComponentTypes.BUTTON,
-                    custom_id: 'menu_nav_main',
-                    label: 'Back to Main Menu',
-                    style: ButtonStyleTypes.SECONDARY,
-                },
-            ],
-        },
-    ];
-    return messageData;
+    return await createQueueMessageData(guildId);
 }
 
 export async function updateQueuePanelIfDisplayed(guildId, djsClient, session) {
@@ -269,7 +347,7 @@ export async function updateQueuePanelIfDisplayed(guildId, djsClient, session) {
 
                         console.log(`[QueuePanel] Queue panel is currently displayed for guild ${guildId}, updating automatically...`);
                         
-                        const updatedPageData = await createQueueMessageData(guildId);
+                        const updatedPageData = await createQueueMessageData(guildId, getQueuePageFromMessage(message));
                         await message.edit(updatedPageData);
                         console.log(`[QueuePanel] Successfully updated queue panel for guild ${guildId} (display pref: ${guildQueueDisplayPreference.get(guildId) || 'chat'})`);
                     }
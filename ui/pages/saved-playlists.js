@@ -0,0 +1,77 @@
+/**
+ * Saved Playlists Page Handler
+ * Generates the saved playlists page data
+ */
+
+import { InteractionResponseType, MessageComponentTypes, ButtonStyleTypes } from 'discord-interactions';
+import { queueSaver } from '../../utils/queue-saver.js';
+
+/**
+ * Build the saved playlists page for a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object>} Discord message data
+ */
+export async function getSavedPlaylistsPageData(guildId) {
+    const playlists = await queueSaver.listPlaylists(guildId);
+
+    const embed = {
+        title: 'Saved Playlists',
+        color: 0x506098
+    };
+
+    const components = [];
+
+    if (playlists.length === 0) {
+        embed.description = 'No saved playlists yet. Use `/playlist save <name>` to save the current queue.';
+    } else {
+        embed.description = playlists
+            .slice(0, 25)
+            .map((playlist, index) => `${index + 1}. **${playlist.name}** - ${playlist.songCount} song${playlist.songCount === 1 ? '' : 's'}${playlist.createdBy ? ` (by ${playlist.createdBy})` : ''}`)
+            .join('\n')
+            .substring(0, 4000);
+        embed.footer = { text: 'Pick a playlist below to add it to the queue.' };
+
+        // Discord select menus are limited to 25 options
+        components.push({
+            type: MessageComponentTypes.ACTION_ROW,
+            components: [{
+                type: MessageComponentTypes.STRING_SELECT,
+                custom_id: 'saved_playlist_load_select',
+                placeholder: 'Load a saved playlist...',
+                options: playlists.slice(0, 25).map(playlist => ({
+                    label: playlist.name.substring(0, 100),
+                    value: playlist.name.substring(0, 100),
+                    description: `${playlist.songCount} song${playlist.songCount === 1 ? '' : 's'}`
+                }))
+            }]
+        });
+    }
+
+    components.push({
+        type: MessageComponentTypes.ACTION_ROW,
+        components: [{
+            type: MessageComponentTypes.BUTTON,
+            custom_id: 'menu_nav_main',
+            label: 'Back to Main Menu',
+            style: ButtonStyleTypes.SECONDARY,
+        }]
+    });
+
+    return {
+        embeds: [embed],
+        components
+    };
+}
+
+/**
+ * Handle saved playlists page generation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} guildId - Guild ID
+ * @param {Object} _djsClient - Discord.js client
+ * @returns {Promise<Object>} Discord message data
+ */
+export async function handleSavedPlaylistsPage(req, res, guildId, _djsClient) {
+    const pageData = await getSavedPlaylistsPageData(guildId);
+    return res.send({ type: InteractionResponseType.UPDATE_MESSAGE, data: pageData });
+}
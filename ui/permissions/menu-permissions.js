@@ -4,7 +4,7 @@
  */
 
 import { InteractionResponseType } from 'discord-interactions';
-import { checkAccessPermissions } from '../../middleware/permissionMiddleware.js';
+import { checkAccessPermissions, checkActionPermission } from '../../middleware/permissionMiddleware.js';
 
 /**
  * Check if user can access basic menu features (playback, queue, features)
@@ -17,11 +17,11 @@ export async function canAccessBasicMenus(djsClient, guildId, userId) {
 
 /**
  * Check if user can access configuration menus
- * Requires bot_controls permissions
+ * Requires the settings action (bot_controls permissions by default)
  */
 export async function canAccessConfigMenus(djsClient, guildId, userId) {
     try {
-        return await checkAccessPermissions(djsClient, guildId, userId, 'bot_controls');
+        return await checkActionPermission(djsClient, guildId, userId, 'settings', 'bot_controls');
     } catch (error) {
         console.error('[MenuPermissions] Error checking config permissions:', error);
         return false;
@@ -72,7 +72,8 @@ export async function playbackcontrols(guildId, djsClient) {
     const isMuted = session?.isMuted || false;
     
     // Create Unicode volume bar (10 bars representing 0-100%)
-    const volumeBarCount = Math.ceil(volumeLevel / 10);
+    // Boosted volumes above 100% fill the whole bar
+    const volumeBarCount = Math.min(10, Math.ceil(volumeLevel / 10));
     const filledBars = '█'.repeat(volumeBarCount);
     const emptyBars = '░'.repeat(10 - volumeBarCount);
     const volumeBar = isMuted ? '░░░░░░░░░░' : `${filledBars}${emptyBars}`;
@@ -19,7 +19,8 @@ export function getToolsMenuData() {
                 { name: 'Access Control', value: 'Manage who can use different bot features.', inline: false },
                 { name: 'Admin Panel', value: 'Moderation controls for managing the bot and users.', inline: false },
                 { name: 'GIF Management', value: 'Customize bot GIFs for your server.', inline: false },
-                { name: 'Quick Tips', value: 'Get help and learn about bot features.', inline: false }
+                { name: 'Quick Tips', value: 'Get help and learn about bot features.', inline: false },
+                { name: 'Saved Playlists', value: 'Browse and load playlists saved with `/playlist save`.', inline: false }
             ]
         }],
         components: [
@@ -49,6 +50,12 @@ export function getToolsMenuData() {
                         custom_id: 'menu_nav_tips',
                         label: 'Quick Tips',
                         style: ButtonStyleTypes.SECONDARY,
+                    },
+                    {
+                        type: MessageComponentTypes.BUTTON,
+                        custom_id: 'menu_nav_saved_playlists',
+                        label: 'Saved Playlists',
+                        style: ButtonStyleTypes.SECONDARY,
                     }
                 ]
             },
@@ -32,6 +32,8 @@ class PlayerStateManager {
             nowPlaying: null,
             currentSong: null,
             hasNowPlaying: false,
+            playbackOffset: 0, // Seconds into the song where the current audio resource starts (set by seeking)
+            endedAtPosition: 0, // Seconds into the song where the last resource stopped, kept for auto-advance
             
             // Timestamps
             lastStateChange: Date.now(),
@@ -91,7 +93,12 @@ class PlayerStateManager {
         });
 
         // Idle event
-        player.on(AudioPlayerStatus.Idle, async () => {
+        player.on(AudioPlayerStatus.Idle, async (oldState) => {
+            // The resource is gone once idle, so remember where it stopped for auto-advance
+            const lastState = this.guildStates.get(guildId);
+            const endedAtPosition = oldState?.resource
+                ? (lastState?.playbackOffset || 0) + Math.floor(oldState.resource.playbackDuration / 1000)
+                : 0;
             this.updateState(guildId, {
                 discordStatus: 'idle',
                 isPlaying: false,
@@ -100,6 +107,8 @@ class PlayerStateManager {
                 isBuffering: false,
                 nowPlaying: null,
                 currentSong: null,
+                playbackOffset: 0,
+                endedAtPosition,
                 lastStateChange: Date.now(),
                 lastActivity: Date.now()
             });
@@ -140,6 +149,7 @@ class PlayerStateManager {
                 isBuffering: false,
                 nowPlaying: null,
                 currentSong: null,
+                playbackOffset: 0,
                 lastStateChange: Date.now(),
                 lastActivity: Date.now()
             });
@@ -267,6 +277,32 @@ class PlayerStateManager {
         console.log(`[PlayerStateManager] ${isLoading ? '🔄' : '✅'} Loading state: ${isLoading} for guild ${guildId}`);
     }
 
+    /**
+     * Set the song position the current audio resource starts from
+     * Seeking plays a new resource cut at an offset, so its playback time no longer equals the song position
+     */
+    setPlaybackOffset(guildId, seconds) {
+        const state = this.guildStates.get(guildId);
+        if (!state) {
+            return;
+        }
+        state.playbackOffset = Math.max(0, Math.floor(seconds || 0));
+        console.log(`[PlayerStateManager] ⏩ Playback offset: ${state.playbackOffset}s for guild ${guildId}`);
+    }
+
+    /**
+     * Get the elapsed position in the current song, in seconds
+     */
+    getPlaybackPosition(guildId) {
+        const state = this.guildStates.get(guildId);
+        const resource = guildAudioSessions.get(guildId)?.player?.state?.resource;
+        if (!state?.nowPlaying || !resource) {
+            return 0;
+        }
+        // playbackDuration only counts audio actually sent, so pauses are excluded
+        return (state.playbackOffset || 0) + Math.floor(resource.playbackDuration / 1000);
+    }
+
     /**
      * Get current state
      */
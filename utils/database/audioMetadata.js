@@ -1,4 +1,5 @@
 // utils/database/audioMetadata.js
+import { createHash } from 'crypto';
 import { getPool } from './index.js';
 
 /**
@@ -37,10 +38,29 @@ export async function createAudioMetadataTable() {
         CREATE INDEX IF NOT EXISTS idx_audio_metadata_expires ON audio_metadata(stream_url_expires_at);
         CREATE INDEX IF NOT EXISTS idx_audio_metadata_play_count ON audio_metadata(play_count);
     `);
+
+    // Per-guild play stats, so one guild's suggestions never show what other servers played
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS guild_audio_plays (
+            guild_id TEXT NOT NULL,
+            query_hash TEXT NOT NULL REFERENCES audio_metadata(query_hash) ON DELETE CASCADE,
+            play_count INTEGER DEFAULT 0,
+            last_played_at TIMESTAMP,
+            PRIMARY KEY (guild_id, query_hash)
+        )
+    `);
+}
+
+/**
+ * Build the query_hash key for a source URL or search query
+ */
+export function hashQuery(query) {
+    return createHash('sha1').update(String(query).trim()).digest('hex');
 }
 
 /**
  * Store or update audio metadata
+ * A missing fileSizeBytes/formatInfo keeps the cached file info that is already recorded
  */
 export async function storeAudioMetadata(metadata) {
     const pool = getPool();
@@ -73,15 +93,15 @@ export async function storeAudioMetadata(metadata) {
             source_url = EXCLUDED.source_url,
             stream_url = EXCLUDED.stream_url,
             stream_url_expires_at = EXCLUDED.stream_url_expires_at,
-            file_size_bytes = EXCLUDED.file_size_bytes,
-            format_info = EXCLUDED.format_info,
+            file_size_bytes = COALESCE(EXCLUDED.file_size_bytes, audio_metadata.file_size_bytes),
+            format_info = COALESCE(EXCLUDED.format_info, audio_metadata.format_info),
             additional_metadata = EXCLUDED.additional_metadata,
             metadata_extracted_at = CURRENT_TIMESTAMP
         RETURNING id
     `, [
         queryHash, title, durationSeconds, thumbnailUrl, uploader,
         sourceUrl, streamUrl, streamUrlExpiresAt, fileSizeBytes,
-        JSON.stringify(formatInfo), JSON.stringify(additionalMetadata)
+        formatInfo ? JSON.stringify(formatInfo) : null, JSON.stringify(additionalMetadata)
     ]);
     
     return result.rows[0].id;
@@ -134,6 +154,34 @@ export async function updatePlayStats(queryHash) {
     `, [queryHash]);
 }
 
+/**
+ * Count a play of an entry for one guild
+ */
+export async function updateGuildPlayStats(guildId, queryHash) {
+    const pool = getPool();
+    
+    await pool.query(`
+        INSERT INTO guild_audio_plays (guild_id, query_hash, play_count, last_played_at)
+        VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (guild_id, query_hash) DO UPDATE SET
+            play_count = guild_audio_plays.play_count + 1,
+            last_played_at = CURRENT_TIMESTAMP
+    `, [guildId, queryHash]);
+}
+
+/**
+ * Forget the cached audio file for an entry (it was evicted from the disk cache)
+ */
+export async function clearAudioFileInfo(queryHash) {
+    const pool = getPool();
+    
+    await pool.query(`
+        UPDATE audio_metadata 
+        SET file_size_bytes = NULL, format_info = NULL
+        WHERE query_hash = $1
+    `, [queryHash]);
+}
+
 /**
  * Clean up expired stream URLs
  */
@@ -170,6 +218,7 @@ export async function searchAudioMetadata(searchTerm, limit = 10) {
         durationSeconds: row.duration_seconds,
         thumbnailUrl: row.thumbnail_url,
         uploader: row.uploader,
+        sourceUrl: row.source_url,
         playCount: row.play_count,
         lastPlayedAt: row.last_played_at
     }));
@@ -195,6 +244,7 @@ export async function getRecentlyPlayed(limit = 20) {
         durationSeconds: row.duration_seconds,
         thumbnailUrl: row.thumbnail_url,
         uploader: row.uploader,
+        sourceUrl: row.source_url,
         playCount: row.play_count,
         lastPlayedAt: row.last_played_at
     }));
@@ -220,7 +270,79 @@ export async function getMostPopular(limit = 20) {
         durationSeconds: row.duration_seconds,
         thumbnailUrl: row.thumbnail_url,
         uploader: row.uploader,
+        sourceUrl: row.source_url,
         playCount: row.play_count,
         lastPlayedAt: row.last_played_at
     }));
 }
+
+/**
+ * Map a guild_audio_plays row joined with audio_metadata, using the guild's own play stats
+ */
+function mapGuildPlayRow(row) {
+    return {
+        id: row.id,
+        queryHash: row.query_hash,
+        title: row.title,
+        durationSeconds: row.duration_seconds,
+        thumbnailUrl: row.thumbnail_url,
+        uploader: row.uploader,
+        sourceUrl: row.source_url,
+        playCount: row.guild_play_count,
+        lastPlayedAt: row.guild_last_played_at
+    };
+}
+
+const GUILD_PLAYS_SELECT = `
+    SELECT m.*, g.play_count AS guild_play_count, g.last_played_at AS guild_last_played_at
+    FROM guild_audio_plays g
+    JOIN audio_metadata m ON m.query_hash = g.query_hash
+`;
+
+/**
+ * Search the tracks a guild has played by title
+ */
+export async function searchGuildPlays(guildId, searchTerm, limit = 10) {
+    const pool = getPool();
+    
+    const result = await pool.query(`
+        ${GUILD_PLAYS_SELECT}
+        WHERE g.guild_id = $1 AND m.title ILIKE $2
+        ORDER BY g.play_count DESC, g.last_played_at DESC
+        LIMIT $3
+    `, [guildId, `%${searchTerm}%`, limit]);
+    
+    return result.rows.map(mapGuildPlayRow);
+}
+
+/**
+ * Get the tracks a guild played most recently
+ */
+export async function getGuildRecentlyPlayed(guildId, limit = 20) {
+    const pool = getPool();
+    
+    const result = await pool.query(`
+        ${GUILD_PLAYS_SELECT}
+        WHERE g.guild_id = $1 AND g.last_played_at IS NOT NULL
+        ORDER BY g.last_played_at DESC
+        LIMIT $2
+    `, [guildId, limit]);
+    
+    return result.rows.map(mapGuildPlayRow);
+}
+
+/**
+ * Get the tracks a guild played most often
+ */
+export async function getGuildMostPopular(guildId, limit = 20) {
+    const pool = getPool();
+    
+    const result = await pool.query(`
+        ${GUILD_PLAYS_SELECT}
+        WHERE g.guild_id = $1 AND g.play_count > 0
+        ORDER BY g.play_count DESC
+        LIMIT $2
+    `, [guildId, limit]);
+    
+    return result.rows.map(mapGuildPlayRow);
+}
@@ -12,7 +12,15 @@ function createSerializableSong(song) {
         title: song.title || 'Unknown Title',
         query: song.query || '',
         addedBy: song.addedBy || 'Unknown User',
+        addedById: song.addedById || null, // Queue limits and fair mode key requesters by ID
         thumbnailUrl: song.thumbnailUrl || null,
+        isLive: song.isLive || false,
+        isDirectMedia: song.isDirectMedia || false,
+        podcastEpisodeId: song.podcastEpisodeId || null,
+        spotifyId: song.spotifyId || null,
+        spotifyTitle: song.spotifyTitle || null,
+        artist: song.artist || null,
+        duration: song.duration || null,
         // PRESERVE PRELOAD DATA
         preloadedTempFile: song.preloadedTempFile || null,
         preloadedMetadata: song.preloadedMetadata || null,
@@ -66,7 +74,8 @@ export async function saveGuildQueue(guildId, sessionData) {
         queueItemsJson = JSON.stringify((sessionData.queue || []).map(song => ({
             title: song.title || 'Unknown',
             query: song.query || '',
-            addedBy: song.addedBy || 'Unknown'
+            addedBy: song.addedBy || 'Unknown',
+            addedById: song.addedById || null
         })));
         historyItemsJson = '[]';
         lazyLoadJson = '[]';
@@ -114,10 +123,75 @@ export async function getGuildQueue(guildId) {
         // --- NEW: Deserialize volume ---
         volume: row.volume || 100,
         // --- NEW: Deserialize is_muted ---
-        isMuted: row.is_muted || false
+        isMuted: row.is_muted || false,
+        loopMode: row.loop_mode || 'off'
     };
 }
 
+/**
+ * Retrieves the persisted loop mode ('off', 'track' or 'queue') for a guild.
+ */
+export async function getGuildLoopMode(guildId) {
+    const pool = getPool();
+    const result = await pool.query('SELECT loop_mode FROM guild_queues WHERE guild_id = $1', [guildId]);
+    return result.rows[0]?.loop_mode || 'off';
+}
+
+/**
+ * Persists the loop mode for a guild without touching the stored queue.
+ */
+export async function saveGuildLoopMode(guildId, loopMode) {
+    const pool = getPool();
+    return pool.query(
+        `INSERT INTO guild_queues (guild_id, loop_mode, last_updated)
+         VALUES ($1, $2, CURRENT_TIMESTAMP)
+         ON CONFLICT (guild_id) DO UPDATE SET
+         loop_mode = $2,
+         last_updated = CURRENT_TIMESTAMP`,
+        [guildId, loopMode]
+    );
+}
+
+/**
+ * Retrieves whether autoplay is enabled for a guild.
+ */
+export async function getGuildAutoplay(guildId) {
+    const pool = getPool();
+    const result = await pool.query('SELECT autoplay FROM guild_queues WHERE guild_id = $1', [guildId]);
+    return result.rows[0]?.autoplay === true;
+}
+
+/**
+ * Persists the autoplay setting for a guild without touching the stored queue.
+ */
+export async function saveGuildAutoplay(guildId, enabled) {
+    const pool = getPool();
+    return pool.query(
+        `INSERT INTO guild_queues (guild_id, autoplay, last_updated)
+         VALUES ($1, $2, CURRENT_TIMESTAMP)
+         ON CONFLICT (guild_id) DO UPDATE SET
+         autoplay = $2,
+         last_updated = CURRENT_TIMESTAMP`,
+        [guildId, enabled]
+    );
+}
+
+/**
+ * Persists the recently played songs for a guild without touching the stored queue.
+ */
+export async function saveGuildHistory(guildId, history) {
+    const pool = getPool();
+    const historyItemsJson = JSON.stringify((history || []).map(createSerializableSong));
+    return pool.query(
+        `INSERT INTO guild_queues (guild_id, history_items, last_updated)
+         VALUES ($1, $2::jsonb, CURRENT_TIMESTAMP)
+         ON CONFLICT (guild_id) DO UPDATE SET
+         history_items = $2::jsonb,
+         last_updated = CURRENT_TIMESTAMP`,
+        [guildId, historyItemsJson]
+    );
+}
+
 /**
  * --- COMPLETELY NEW FUNCTION ---
  * Atomically retrieves the first song from the lazy_load_queue and removes it.
@@ -39,7 +39,18 @@ export async function getGuildSettings(guildId) {
             slash_commands_roles: [],
             components_roles: [],
             bot_controls_roles: [],
-            max_duration_seconds: 900 // 15 minutes default
+            max_duration_seconds: 900, // 15 minutes default
+            audio_filter: 'none',
+            vote_skip_enabled: false,
+            vote_skip_ratio: 50, // Percent of listeners needed to skip
+            action_permissions: {}, // action -> permission level overrides
+            dj_role_id: null,
+            max_songs_per_user: 0, // 0 = no limit
+            max_playlist_size: 0, // 0 = no limit
+            fair_queue: false,
+            playback_mode: null, // 'download' or 'stream'; null follows the PLAYBACK_MODE env default
+            default_volume: 100, // Percent new sessions start at
+            max_volume: 100 // Percent ceiling for volume changes, up to 200
         };
         
         // Save the default settings to the database
@@ -61,7 +72,18 @@ export async function getGuildSettings(guildId) {
         slash_commands_access: settings.slash_commands_access,
         components_access: settings.components_access,
         bot_controls_access: settings.bot_controls_access,
-        max_duration_seconds: settings.max_duration_seconds
+        max_duration_seconds: settings.max_duration_seconds,
+        audio_filter: settings.audio_filter,
+        vote_skip_enabled: settings.vote_skip_enabled,
+        vote_skip_ratio: settings.vote_skip_ratio,
+        action_permissions: settings.action_permissions,
+        dj_role_id: settings.dj_role_id,
+        max_songs_per_user: settings.max_songs_per_user,
+        max_playlist_size: settings.max_playlist_size,
+        fair_queue: settings.fair_queue,
+        playback_mode: settings.playback_mode,
+        default_volume: settings.default_volume,
+        max_volume: settings.max_volume
     });
     
     // Ensure arrays are properly formatted
@@ -77,6 +99,9 @@ export async function getGuildSettings(guildId) {
         console.log(`[DATABASE_DEBUG] Converting bot_controls_roles from ${typeof settings.bot_controls_roles} to array`);
         settings.bot_controls_roles = [];
     }
+    if (!settings.action_permissions || typeof settings.action_permissions !== 'object') {
+        settings.action_permissions = {};
+    }
     
     // Cache the settings with size management
     settingsCache.set(guildId, settings);
@@ -114,7 +139,18 @@ export async function updateGuildSettings(guildId, settings) {
         slash_commands_roles: settings.slash_commands_roles || [],
         components_roles: settings.components_roles || [],
         bot_controls_roles: settings.bot_controls_roles || [],
-        max_duration_seconds: settings.max_duration_seconds || 900 // Default to 15 minutes
+        max_duration_seconds: settings.max_duration_seconds || 900, // Default to 15 minutes
+        audio_filter: settings.audio_filter || 'none',
+        vote_skip_enabled: settings.vote_skip_enabled || false,
+        vote_skip_ratio: settings.vote_skip_ratio || 50,
+        action_permissions: settings.action_permissions || {},
+        dj_role_id: settings.dj_role_id || null,
+        max_songs_per_user: settings.max_songs_per_user || 0,
+        max_playlist_size: settings.max_playlist_size || 0,
+        fair_queue: settings.fair_queue || false,
+        playback_mode: settings.playback_mode || null,
+        default_volume: settings.default_volume ?? 100,
+        max_volume: settings.max_volume || 100
     };
     
     // Only log essential update info to reduce log spam
@@ -129,8 +165,8 @@ export async function updateGuildSettings(guildId, settings) {
     });
     
     const result = await pool.query(
-        `INSERT INTO guild_settings (guild_id, voice_channel_id, voice_timeout_minutes, queue_display_mode, slash_commands_access, components_access, bot_controls_access, slash_commands_roles, components_roles, bot_controls_roles, max_duration_seconds)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `INSERT INTO guild_settings (guild_id, voice_channel_id, voice_timeout_minutes, queue_display_mode, slash_commands_access, components_access, bot_controls_access, slash_commands_roles, components_roles, bot_controls_roles, max_duration_seconds, audio_filter, vote_skip_enabled, vote_skip_ratio, action_permissions, dj_role_id, max_songs_per_user, max_playlist_size, fair_queue, playback_mode, default_volume, max_volume)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
          ON CONFLICT (guild_id) DO UPDATE SET
          voice_channel_id = $2,
          voice_timeout_minutes = $3,
@@ -141,8 +177,19 @@ export async function updateGuildSettings(guildId, settings) {
          slash_commands_roles = $8,
          components_roles = $9,
          bot_controls_roles = $10,
-         max_duration_seconds = $11`,
-        [guildId, settingsToSave.voice_channel_id, settingsToSave.voice_timeout_minutes, settingsToSave.queue_display_mode, settingsToSave.slash_commands_access, settingsToSave.components_access, settingsToSave.bot_controls_access, settingsToSave.slash_commands_roles, settingsToSave.components_roles, settingsToSave.bot_controls_roles, settingsToSave.max_duration_seconds]
+         max_duration_seconds = $11,
+         audio_filter = $12,
+         vote_skip_enabled = $13,
+         vote_skip_ratio = $14,
+         action_permissions = $15,
+         dj_role_id = $16,
+         max_songs_per_user = $17,
+         max_playlist_size = $18,
+         fair_queue = $19,
+         playback_mode = $20,
+         default_volume = $21,
+         max_volume = $22`,
+        [guildId, settingsToSave.voice_channel_id, settingsToSave.voice_timeout_minutes, settingsToSave.queue_display_mode, settingsToSave.slash_commands_access, settingsToSave.components_access, settingsToSave.bot_controls_access, settingsToSave.slash_commands_roles, settingsToSave.components_roles, settingsToSave.bot_controls_roles, settingsToSave.max_duration_seconds, settingsToSave.audio_filter, settingsToSave.vote_skip_enabled, settingsToSave.vote_skip_ratio, JSON.stringify(settingsToSave.action_permissions), settingsToSave.dj_role_id, settingsToSave.max_songs_per_user, settingsToSave.max_playlist_size, settingsToSave.fair_queue, settingsToSave.playback_mode, settingsToSave.default_volume, settingsToSave.max_volume]
     );
     
     // Invalidate cache when settings are updated
@@ -1,6 +1,7 @@
 // utils/database/index.js
 import pg from 'pg';
 import { createAudioMetadataTable } from './audioMetadata.js';
+import { createPodcastPositionsTable } from './podcastPositions.js';
 const { Pool } = pg;
 
 let pool;
@@ -26,7 +27,18 @@ async function createTables() {
         slash_commands_roles TEXT[] DEFAULT '{}',
         components_roles TEXT[] DEFAULT '{}',
         bot_controls_roles TEXT[] DEFAULT '{}',
-        max_duration_seconds INTEGER DEFAULT 900
+        max_duration_seconds INTEGER DEFAULT 900,
+        audio_filter TEXT DEFAULT 'none',
+        vote_skip_enabled BOOLEAN DEFAULT FALSE,
+        vote_skip_ratio INTEGER DEFAULT 50,
+        action_permissions JSONB DEFAULT '{}',
+        dj_role_id TEXT,
+        max_songs_per_user INTEGER DEFAULT 0,
+        max_playlist_size INTEGER DEFAULT 0,
+        fair_queue BOOLEAN DEFAULT FALSE,
+        playback_mode TEXT,
+        default_volume INTEGER DEFAULT 100,
+        max_volume INTEGER DEFAULT 100
       );
 
       CREATE TABLE IF NOT EXISTS guild_queues (
@@ -38,6 +50,8 @@ async function createTables() {
         current_playlist JSONB,
         volume JSONB DEFAULT '100',
         is_muted BOOLEAN DEFAULT FALSE,
+        loop_mode TEXT DEFAULT 'off',
+        autoplay BOOLEAN DEFAULT FALSE,
         last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
@@ -56,6 +70,13 @@ async function createTables() {
         console.log('Audio metadata table creation check completed (table may already exist)');
     }
     
+    try {
+        await createPodcastPositionsTable();
+        console.log('Podcast positions table created successfully');
+    } catch (error) {
+        console.log('Podcast positions table creation check completed (table may already exist)');
+    }
+    
     // Add migration to add new columns to existing guild_settings table
     try {
         await pool.query(`
@@ -90,6 +111,50 @@ async function createTables() {
             ALTER TABLE guild_settings 
             ADD COLUMN IF NOT EXISTS voice_timeout_minutes INTEGER DEFAULT 1
         `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS audio_filter TEXT DEFAULT 'none'
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS vote_skip_enabled BOOLEAN DEFAULT FALSE
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS vote_skip_ratio INTEGER DEFAULT 50
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS action_permissions JSONB DEFAULT '{}'
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS dj_role_id TEXT
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS max_songs_per_user INTEGER DEFAULT 0
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS max_playlist_size INTEGER DEFAULT 0
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS fair_queue BOOLEAN DEFAULT FALSE
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS playback_mode TEXT
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS default_volume INTEGER DEFAULT 100
+        `);
+        await pool.query(`
+            ALTER TABLE guild_settings 
+            ADD COLUMN IF NOT EXISTS max_volume INTEGER DEFAULT 100
+        `);
         console.log('Database migration completed successfully');
     } catch (error) {
         console.log('Database migration check completed (columns may already exist)');
@@ -139,6 +204,14 @@ async function createTables() {
             ALTER TABLE guild_queues 
             ADD COLUMN IF NOT EXISTS is_muted BOOLEAN DEFAULT FALSE
         `);
+        await pool.query(`
+            ALTER TABLE guild_queues 
+            ADD COLUMN IF NOT EXISTS loop_mode TEXT DEFAULT 'off'
+        `);
+        await pool.query(`
+            ALTER TABLE guild_queues 
+            ADD COLUMN IF NOT EXISTS autoplay BOOLEAN DEFAULT FALSE
+        `);
         console.log('Guild queues table migration completed successfully');
     } catch (error) {
         console.log('Guild queues table migration check completed (columns may already exist)');
@@ -0,0 +1,60 @@
+// utils/database/podcastPositions.js
+import { getPool } from './index.js';
+
+/**
+ * Podcast positions table structure:
+ * - One row per guild and episode (the episode's RSS guid, or its enclosure URL when it has none)
+ * - Holds how far into the episode the guild got, so a stopped episode resumes there
+ */
+
+export async function createPodcastPositionsTable() {
+    const pool = getPool();
+
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS podcast_positions (
+            guild_id TEXT NOT NULL,
+            episode_id TEXT NOT NULL,
+            position_seconds INTEGER NOT NULL DEFAULT 0,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (guild_id, episode_id)
+        )
+    `);
+}
+
+/**
+ * Get the saved position for an episode
+ * @returns {Promise<number>} Position in seconds (0 when the episode hasn't been started)
+ */
+export async function getPodcastPosition(guildId, episodeId) {
+    const pool = getPool();
+    const result = await pool.query(
+        'SELECT position_seconds FROM podcast_positions WHERE guild_id = $1 AND episode_id = $2',
+        [guildId, episodeId]
+    );
+    return result.rows[0]?.position_seconds || 0;
+}
+
+/**
+ * Save how far into an episode the guild got
+ */
+export async function savePodcastPosition(guildId, episodeId, positionSeconds) {
+    const pool = getPool();
+    await pool.query(`
+        INSERT INTO podcast_positions (guild_id, episode_id, position_seconds, updated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        ON CONFLICT (guild_id, episode_id) DO UPDATE SET
+            position_seconds = EXCLUDED.position_seconds,
+            updated_at = CURRENT_TIMESTAMP
+    `, [guildId, episodeId, Math.max(0, Math.floor(positionSeconds))]);
+}
+
+/**
+ * Forget an episode's position once it has been listened to the end
+ */
+export async function clearPodcastPosition(guildId, episodeId) {
+    const pool = getPool();
+    await pool.query(
+        'DELETE FROM podcast_positions WHERE guild_id = $1 AND episode_id = $2',
+        [guildId, episodeId]
+    );
+}
@@ -0,0 +1,232 @@
+// utils/processors/direct-media-service.js
+import { spawn } from 'child_process';
+import { createWriteStream, unlink } from 'fs';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import fetch from 'node-fetch';
+import { fileNamingService } from '../services/file-naming-service.js';
+import { URL_PROTOCOL_WHITELIST } from './ffmpeg-processor.js';
+
+const PROBE_TIMEOUT_MS = 15000;
+// Size cap in MB for audio files and attachments; Discord's own upload limit tops out around here for boosted servers
+const DEFAULT_MAX_MB = 100;
+// Podcast episodes run long: an hour at 192 kbps is already ~86 MB, so they get their own cap (~3.5 hours at 192 kbps)
+const DEFAULT_PODCAST_MAX_MB = 300;
+// Formats /play accepts as attachments
+export const ATTACHMENT_EXTENSIONS = ['mp3', 'flac', 'ogg', 'wav', 'm4a'];
+
+function getFFprobeCommand() {
+    // Same platform rule as FFmpeg: ffprobe ships next to it
+    const isDocker = process.env.DOCKER_CONTAINER || process.env.NODE_ENV === 'production';
+    return (process.platform === 'win32' && !isDocker) ? 'ffprobe.exe' : 'ffprobe';
+}
+
+/**
+ * Direct Media Service
+ * Plays audio files from plain URLs (Discord attachments, file hosts) that yt-dlp has no extractor for.
+ * ffprobe reads duration and tags, the file is downloaded to a temp file under a size cap,
+ * and from there it goes through the same FFmpeg processing as yt-dlp downloads.
+ */
+class DirectMediaService {
+    constructor() {
+        this.maxBytes = this.getMaxBytes(process.env.DIRECT_MEDIA_MAX_MB, DEFAULT_MAX_MB);
+        this.podcastMaxBytes = this.getMaxBytes(process.env.PODCAST_MAX_MB, DEFAULT_PODCAST_MAX_MB);
+    }
+
+    getMaxBytes(envValue, defaultMb) {
+        const maxMb = parseInt(envValue ?? defaultMb, 10);
+        return (Number.isFinite(maxMb) && maxMb > 0 ? maxMb : defaultMb) * 1024 * 1024;
+    }
+
+    formatSize(bytes) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * File name from the URL path, without its extension, for files that carry no title tag
+     */
+    getFileTitle(url) {
+        try {
+            const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+            return fileName.replace(/\.[a-z0-9]+$/i, '').replace(/[_]+/g, ' ').trim() || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Run ffprobe against a URL
+     * @returns {Promise<Object|null>} ffprobe's JSON output, or null if the URL isn't a media file
+     */
+    runFFprobe(url) {
+        return new Promise((resolve) => {
+            const probeProcess = spawn(getFFprobeCommand(), [
+                '-v', 'error',
+                '-show_format',
+                '-show_streams',
+                '-of', 'json',
+                '-protocol_whitelist', URL_PROTOCOL_WHITELIST,
+                url
+            ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+            let stdout = '';
+            let stderr = '';
+            const timeout = setTimeout(() => {
+                console.log(`[DirectMedia] ffprobe timed out for ${url}`);
+                probeProcess.kill('SIGKILL');
+            }, PROBE_TIMEOUT_MS);
+
+            probeProcess.stdout.on('data', (data) => { stdout += data.toString(); });
+            probeProcess.stderr.on('data', (data) => { stderr += data.toString(); });
+            // 'close' still follows a spawn error, so it alone resolves
+            probeProcess.on('error', (error) => {
+                console.error('[DirectMedia] Failed to start ffprobe:', error.message);
+            });
+            probeProcess.on('close', (code) => {
+                clearTimeout(timeout);
+                if (code !== 0) {
+                    console.log(`[DirectMedia] ffprobe could not read ${url}: ${stderr.trim().split('\n')[0] || `exit code ${code}`}`);
+                    resolve(null);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(stdout));
+                } catch {
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check whether a URL is a playable audio (or video with audio) file
+     * @param {string} url - Direct media URL
+     * @returns {Promise<Object|null>} { url, title, artist, album, duration, format, size } or null
+     */
+    async probe(url) {
+        const info = await this.runFFprobe(url);
+        if (!info?.streams?.some(stream => stream.codec_type === 'audio')) {
+            return null;
+        }
+
+        // Tag names vary in case between containers (ID3, Vorbis comments, MP4 atoms)
+        const tags = {};
+        for (const [key, value] of Object.entries(info.format?.tags || {})) {
+            tags[key.toLowerCase()] = value;
+        }
+        const duration = parseFloat(info.format?.duration);
+
+        return {
+            url,
+            title: tags.title || this.getFileTitle(url) || 'Unknown Title',
+            artist: tags.artist || tags.album_artist || null,
+            album: tags.album || null,
+            duration: Number.isFinite(duration) ? Math.round(duration) : 0,
+            format: info.format?.format_name || null,
+            size: parseInt(info.format?.size || '0', 10) || null
+        };
+    }
+
+    /**
+     * Check a file size against the cap
+     * @param {number} size - Size in bytes (unknown sizes pass; downloads stop at the cap anyway)
+     * @param {boolean} podcast - Use the podcast episode cap
+     * @returns {string|null} Error message, or null if the size is fine
+     */
+    checkSize(size, podcast = false) {
+        const maxBytes = podcast ? this.podcastMaxBytes : this.maxBytes;
+        if (size && size > maxBytes) {
+            return `File is too large: ${this.formatSize(size)} exceeds ${this.formatSize(maxBytes)}`;
+        }
+        return null;
+    }
+
+    /**
+     * Check a probed file against the size cap and the guild's duration limit
+     * Podcast episodes skip the duration limit, which is meant for songs
+     * @param {Object} media - Result of probe()
+     * @param {string} guildId - Guild ID
+     * @param {Object} options - { podcast } for podcast episodes
+     * @returns {Promise<Object>} The same probe result; throws when the file can't be played
+     */
+    async validate(media, guildId, options = {}) {
+        if (!media) {
+            throw new Error('That link is not a playable audio file');
+        }
+
+        const sizeError = this.checkSize(media.size, options.podcast);
+        if (sizeError) {
+            throw new Error(sizeError);
+        }
+
+        if (guildId && media.duration > 0 && !options.podcast) {
+            const { getGuildSettings } = await import('../database/guildSettings.js');
+            const { checkDurationLimit } = await import('../functions/duration-limits.js');
+            const settings = await getGuildSettings(guildId);
+            const durationCheck = checkDurationLimit(media.duration, settings.max_duration_seconds || 0);
+            if (!durationCheck.isAllowed) {
+                const error = new Error(`Duration limit exceeded: ${durationCheck.durationFormatted} exceeds ${durationCheck.maxDurationFormatted}`);
+                error.code = 'DURATION_LIMIT_EXCEEDED';
+                error.durationInfo = durationCheck;
+                throw error;
+            }
+        }
+
+        console.log(`[DirectMedia] ✅ "${media.title}" (${media.format}, ${media.duration}s) is playable`);
+        return media;
+    }
+
+    /**
+     * Download a direct media file to a temp file, stopping if it grows past the size cap
+     * @param {string} url - Direct media URL
+     * @param {string} guildId - Guild ID
+     * @param {Object} options - { podcast } for podcast episodes
+     * @returns {Promise<Object>} { tempFile, metadata } in the same shape as unifiedYtdlpService.downloadAudioOnly
+     */
+    async download(url, guildId, options = {}) {
+        // Checked again here: queued files may be played long after they were added
+        const media = await this.validate(await this.probe(url), guildId, options);
+        const tempFile = fileNamingService.generateTempFileName('direct', url);
+        console.log(`[DirectMedia] Downloading ${url} to ${tempFile}`);
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Download failed with HTTP ${response.status}`);
+        }
+
+        // Servers don't always send Content-Length, so count the bytes as they arrive
+        let received = 0;
+        const sizeGuard = new Transform({
+            transform: (chunk, encoding, callback) => {
+                received += chunk.length;
+                const sizeError = this.checkSize(received, options.podcast);
+                callback(sizeError ? new Error(sizeError) : null, sizeError ? undefined : chunk);
+            }
+        });
+
+        try {
+            // FFmpeg reads the input by its content, so the .opus temp name doesn't matter
+            await pipeline(response.body, sizeGuard, createWriteStream(tempFile));
+        } catch (error) {
+            unlink(tempFile, () => {});
+            throw error;
+        }
+
+        console.log(`[DirectMedia] ✅ Downloaded ${this.formatSize(received)} for guild ${guildId}`);
+        return {
+            tempFile,
+            metadata: {
+                title: media.title,
+                duration: media.duration,
+                uploader: media.artist || 'Unknown',
+                thumbnail: null,
+                imageUrl: null,
+                url,
+                source: 'Direct Media Download'
+            }
+        };
+    }
+}
+
+// Export singleton instance
+export const directMediaService = new DirectMediaService();
@@ -1,39 +1,124 @@
 // utils/ffmpeg-processor.js
 import { spawn } from 'child_process';
 import { createReadStream } from 'fs';
-import { existsSync } from 'fs';
+import { existsSync, rmSync } from 'fs';
 import { createAudioResource, StreamType } from '@discordjs/voice';
 import { processManager } from '../services/process-manager.js';
 import { fileNamingService } from '../services/file-naming-service.js';
+import { audioFilterManager } from '../services/audio-filter-manager.js';
+import { audioCacheManager } from '../services/audio-cache-manager.js';
+
+// Protocols FFmpeg/ffprobe may open for user-supplied URLs; without this a playlist or redirect could reach file:, concat: and the like
+export const URL_PROTOCOL_WHITELIST = 'http,https,tcp,tls';
+
+/**
+ * Build the -af chain shared by file processing and direct streaming
+ * @returns {string} Comma-separated filters (may be empty)
+ */
+function buildAudioFilters(presetFilters, volume) {
+    // CRITICAL: Apply volume in FFmpeg to prevent memory accumulation
+    const volumeScale = volume / 100;
+    const volumeFilter = volumeScale !== 1.0 ? `volume=${volumeScale}` : '';
+    return [
+        ...presetFilters,         // Guild filter preset (bass boost, nightcore, ...)
+        'loudnorm=I=-23:LRA=7:TP=-2.0', // More aggressive normalization (quieter)
+        volumeFilter
+    ].filter(Boolean).join(','); // Remove empty filters
+}
+
+/**
+ * Set the inline volume of a resource so it plays at the session volume
+ * Preloaded files have the volume they were processed at baked in, so only the difference is applied
+ * @param {AudioResource} audioResource - Resource created by this module
+ * @param {number} volume - Session volume percentage
+ */
+export function setResourceVolume(audioResource, volume) {
+    const bakedVolume = audioResource?._bakedVolume ?? 100;
+    audioResource?.volume?.setVolume(bakedVolume > 0 ? volume / bakedVolume : 0);
+}
+
+/**
+ * Create the audio resource for a processed file
+ * @returns {Object} { audioResource, tempFile, metadata }
+ */
+function createProcessedResult(processedTempFile, metadata, volume) {
+    // Create file stream for the processed audio
+    const fileStream = createReadStream(processedTempFile);
+    
+    // Inline volume lets volume changes reach the playing song without re-encoding it
+    const audioResource = createAudioResource(fileStream, {
+        inputType: StreamType.OggOpus,
+        inlineVolume: true,
+        metadata: {
+            title: metadata?.title || 'Processed Audio',
+            duration: metadata?.duration || 0
+        }
+    });
+    
+    // Store the processed temp file path for cleanup
+    audioResource._processedTempFile = processedTempFile;
+    audioResource._bakedVolume = volume;
+    
+    return {
+        audioResource,
+        tempFile: processedTempFile,
+        metadata: {
+            title: metadata?.title || 'Processed Audio',
+            duration: metadata?.duration || 0,
+            uploader: metadata?.uploader || 'Unknown',
+            thumbnail: metadata?.thumbnail || null
+        }
+    };
+}
+
+function getFFmpegCommand() {
+    // Use ffmpeg directly in Linux Docker, ffmpeg.exe in Windows
+    const isDocker = process.env.DOCKER_CONTAINER || process.env.NODE_ENV === 'production';
+    return (process.platform === 'win32' && !isDocker) ? 'ffmpeg.exe' : 'ffmpeg';
+}
 
 /**
  * Unified FFmpeg processing function - handles both new downloads and preloaded files
+ * @param {Object} options - Optional { startOffset, outputFile, filterPreset }; the guild's filter preset is used by default
  */
-export async function processAudioWithFFmpeg(tempFile, guildId, volume = 100, isPreloaded = false, metadata = null) {
-    console.log(`[FFmpegProcessor] 🎵 STARTING FFmpeg processing: ${tempFile} (preloaded: ${isPreloaded})`);
+export async function processAudioWithFFmpeg(tempFile, guildId, volume = 100, isPreloaded = false, metadata = null, options = {}) {
+    const startOffset = Math.max(0, Math.floor(options.startOffset || 0));
+    const filterPreset = options.filterPreset || await audioFilterManager.getFilter(guildId);
+    const presetFilters = audioFilterManager.getFilterChain(filterPreset);
+    console.log(`[FFmpegProcessor] 🎵 STARTING FFmpeg processing: ${tempFile} (preloaded: ${isPreloaded}, offset: ${startOffset}s, filter: ${filterPreset})`);
     
     return new Promise((resolve, reject) => {
         try {
-            // CRITICAL: Apply volume in FFmpeg to prevent memory accumulation
-            const volumeScale = volume / 100;
-            const volumeFilter = volumeScale !== 1.0 ? `volume=${volumeScale}` : '';
-            const audioFilters = [
-                'loudnorm=I=-23:LRA=7:TP=-2.0', // More aggressive normalization (quieter)
-                volumeFilter
-            ].filter(Boolean).join(','); // Remove empty filters
+            const audioFilters = buildAudioFilters(presetFilters, volume);
             
             // If no filters, don't use -af parameter
             const hasFilters = audioFilters && audioFilters.trim() !== '';
             
             // Create processed temp file path using centralized naming service
             // UNIFIED: Use the same naming pattern for all processed files
-            const processedTempFile = fileNamingService.generateProcessedFileName(tempFile);
+            // Seeks write to their own file so the one currently being played is never overwritten
+            const processedTempFile = options.outputFile || fileNamingService.generateProcessedFileName(tempFile);
+            
+            // Whole-song output of a cached download may already be in the audio cache (seeks are never cached)
+            const cacheable = startOffset === 0 && !options.outputFile;
+            if (cacheable && audioCacheManager.checkoutProcessed(tempFile, filterPreset, volume, processedTempFile)) {
+                resolve(createProcessedResult(processedTempFile, metadata, volume));
+                return;
+            }
+            
+            // Re-processing writes to the same path; unlink first so a file linked to the cache is never overwritten in place
+            rmSync(processedTempFile, { force: true });
             
             const ffmpegArgs = [
-                '-y',                    // CRITICAL: Automatically overwrite output files
-                '-i', tempFile
+                '-y'                     // CRITICAL: Automatically overwrite output files
             ];
             
+            // Input seeking (-ss before -i) skips straight to the offset instead of decoding from the start
+            if (startOffset > 0) {
+                ffmpegArgs.push('-ss', String(startOffset));
+            }
+            ffmpegArgs.push('-i', tempFile);
+            
             // Only add audio filters if we have them
             if (hasFilters) {
                 ffmpegArgs.push('-af', audioFilters);
@@ -60,10 +145,8 @@ export async function processAudioWithFFmpeg(tempFile, guildId, volume = 100, is
     
             console.log(`[FFmpegProcessor] FFmpeg args: ${ffmpegArgs.join(' ')}`);
             
-            // Use ffmpeg directly in Linux Docker, ffmpeg.exe in Windows
-            const isDocker = process.env.DOCKER_CONTAINER || process.env.NODE_ENV === 'production';
-            const ffmpegCmd = (process.platform === 'win32' && !isDocker) ? 'ffmpeg.exe' : 'ffmpeg';
-            console.log(`[FFmpegProcessor] Using FFmpeg command: ${ffmpegCmd} (isDocker: ${isDocker}, platform: ${process.platform})`);
+            const ffmpegCmd = getFFmpegCommand();
+            console.log(`[FFmpegProcessor] Using FFmpeg command: ${ffmpegCmd} (platform: ${process.platform})`);
             
             // Redirect stdout to /dev/null to prevent hanging, but keep stderr for error handling
             const ffmpegProcess = spawn(ffmpegCmd, ffmpegArgs, {
@@ -88,32 +171,15 @@ export async function processAudioWithFFmpeg(tempFile, guildId, volume = 100, is
                             return;
                         }
                         
-                        // Create file stream for the processed audio
-                        const fileStream = createReadStream(processedTempFile);
-                        
-                        const audioResource = createAudioResource(fileStream, {
-                            inputType: StreamType.OggOpus,
-                            metadata: {
-                                title: metadata?.title || 'Processed Audio',
-                                duration: metadata?.duration || 0
-                            }
-                        });
-                        
-                        // Store the processed temp file path for cleanup
-                        audioResource._processedTempFile = processedTempFile;
+                        if (cacheable) {
+                            audioCacheManager.storeProcessed(tempFile, filterPreset, volume, processedTempFile).catch(error => {
+                                console.error(`[FFmpegProcessor] Failed to cache processed file:`, error.message);
+                            });
+                        }
                         
+                        const result = createProcessedResult(processedTempFile, metadata, volume);
                         console.log(`[FFmpegProcessor] ✅ Audio resource created successfully for: ${metadata?.title || 'Unknown Title'}`);
-                        
-                        resolve({
-                            audioResource,
-                            tempFile: processedTempFile,
-                            metadata: {
-                                title: metadata?.title || 'Processed Audio',
-                                duration: metadata?.duration || 0,
-                                uploader: metadata?.uploader || 'Unknown',
-                                thumbnail: metadata?.thumbnail || null
-                            }
-                        });
+                        resolve(result);
                         
                     } catch (error) {
                         console.error(`[FFmpegProcessor] Error creating audio resource:`, error);
@@ -145,3 +211,69 @@ export async function processAudioWithFFmpeg(tempFile, guildId, volume = 100, is
         }
     });
 }
+
+/**
+ * Direct streaming - transcode an input stream (e.g. yt-dlp stdout) straight into an Ogg/Opus audio resource
+ * Nothing is written to disk, so playback can start as soon as the first frames arrive
+ * @param {Readable|string} inputStream - Source audio stream, or a URL FFmpeg reads itself (HLS live streams)
+ * @param {string} guildId - Guild ID (for process tracking)
+ * @param {number} volume - Volume percentage
+ * @param {Object} metadata - Song metadata for the audio resource
+ * @returns {Promise<Object>} { audioResource, ffmpegProcess }
+ */
+export async function streamAudioWithFFmpeg(inputStream, guildId, volume = 100, metadata = null) {
+    const filterPreset = await audioFilterManager.getFilter(guildId);
+    const audioFilters = buildAudioFilters(audioFilterManager.getFilterChain(filterPreset), volume);
+    console.log(`[FFmpegProcessor] 🎵 STARTING FFmpeg stream for guild ${guildId} (filter: ${filterPreset})`);
+
+    const readsUrl = typeof inputStream === 'string';
+    const ffmpegArgs = readsUrl
+        ? ['-protocol_whitelist', URL_PROTOCOL_WHITELIST, '-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5', '-i', inputStream]
+        : ['-i', 'pipe:0'];
+    if (audioFilters) {
+        ffmpegArgs.push('-af', audioFilters);
+    }
+    ffmpegArgs.push(
+        '-f', 'opus',
+        '-acodec', 'libopus',
+        '-ar', '48000',
+        '-ac', '2',
+        '-b:a', '128k',
+        '-loglevel', 'error',
+        '-threads', '1',
+        'pipe:1'
+    );
+
+    const ffmpegProcess = spawn(getFFmpegCommand(), ffmpegArgs, {
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+    processManager.addProcess(ffmpegProcess, guildId, 'ffmpeg');
+
+    // Skips and stops kill ffmpeg mid-stream, so a broken pipe here is expected
+    ffmpegProcess.stdin.on('error', (error) => {
+        if (error.code !== 'EPIPE') {
+            console.error(`[FFmpegProcessor] FFmpeg stream input error:`, error.message);
+        }
+    });
+    if (readsUrl) {
+        ffmpegProcess.stdin.end();
+    } else {
+        inputStream.on('error', (error) => {
+            console.error(`[FFmpegProcessor] Stream source error:`, error.message);
+            ffmpegProcess.stdin.end();
+        });
+        inputStream.pipe(ffmpegProcess.stdin);
+    }
+
+    const audioResource = createAudioResource(ffmpegProcess.stdout, {
+        inputType: StreamType.OggOpus,
+        inlineVolume: true,
+        metadata: {
+            title: metadata?.title || 'Streamed Audio',
+            duration: metadata?.duration || 0
+        }
+    });
+    audioResource._bakedVolume = volume;
+
+    return { audioResource, ffmpegProcess };
+}
@@ -0,0 +1,275 @@
+// utils/processors/live-stream-service.js
+import { Transform } from 'stream';
+import fetch from 'node-fetch';
+import { streamAudioWithFFmpeg } from './ffmpeg-processor.js';
+
+const PROBE_TIMEOUT_MS = 8000;
+// Playlist files are a few lines; anything bigger isn't a station playlist
+const MAX_PLAYLIST_BYTES = 64 * 1024;
+const AUDIO_CONTENT_TYPES = /^(audio\/|application\/ogg|application\/octet-stream)/i;
+
+/**
+ * Strips ICY metadata blocks out of an Icecast/Shoutcast stream
+ * Every `metaInt` audio bytes the server inserts a length byte (x16) and a metadata block like StreamTitle='...';
+ * Audio passes through untouched and each new StreamTitle is emitted as a 'title' event
+ */
+class IcyMetadataStripper extends Transform {
+    constructor(metaInt) {
+        super();
+        this.metaInt = metaInt;
+        this.bytesUntilMeta = metaInt;
+        this.metaRemaining = null;
+        this.metaChunks = [];
+        this.lastTitle = null;
+    }
+
+    _transform(chunk, encoding, callback) {
+        let offset = 0;
+        while (offset < chunk.length) {
+            if (this.bytesUntilMeta > 0) {
+                const length = Math.min(this.bytesUntilMeta, chunk.length - offset);
+                this.push(chunk.subarray(offset, offset + length));
+                offset += length;
+                this.bytesUntilMeta -= length;
+            } else if (this.metaRemaining === null) {
+                this.metaRemaining = chunk[offset] * 16;
+                this.metaChunks = [];
+                offset++;
+                if (this.metaRemaining === 0) {
+                    this.metaRemaining = null;
+                    this.bytesUntilMeta = this.metaInt;
+                }
+            } else {
+                const length = Math.min(this.metaRemaining, chunk.length - offset);
+                this.metaChunks.push(chunk.subarray(offset, offset + length));
+                offset += length;
+                this.metaRemaining -= length;
+                if (this.metaRemaining === 0) {
+                    this.handleMetadata(Buffer.concat(this.metaChunks).toString('utf8'));
+                    this.metaRemaining = null;
+                    this.bytesUntilMeta = this.metaInt;
+                }
+            }
+        }
+        callback();
+    }
+
+    handleMetadata(text) {
+        const match = text.match(/StreamTitle='(.*?)';/);
+        const title = match?.[1]?.trim();
+        if (title && title !== this.lastTitle) {
+            this.lastTitle = title;
+            this.emit('title', title);
+        }
+    }
+}
+
+/**
+ * Live Stream Service
+ * Detects internet radio (Icecast/Shoutcast, .m3u/.pls station playlists, live HLS) and plays it
+ * straight through FFmpeg, since these streams never end and can't be downloaded to a temp file first
+ */
+class LiveStreamService {
+    isStationPlaylistUrl(url) {
+        return /\.(m3u|pls)(\?|$)/i.test(url);
+    }
+
+    isHlsUrl(url) {
+        return /\.m3u8(\?|$)/i.test(url);
+    }
+
+    async fetchWithTimeout(url, options = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    async fetchText(url) {
+        const response = await this.fetchWithTimeout(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const length = parseInt(response.headers.get('content-length') || '0', 10);
+        if (length > MAX_PLAYLIST_BYTES) {
+            throw new Error('Playlist file is too large');
+        }
+        return (await response.text()).slice(0, MAX_PLAYLIST_BYTES);
+    }
+
+    /**
+     * Pick the first stream URL (and station name, if any) out of an .m3u or .pls playlist
+     */
+    parseStationPlaylist(text) {
+        let name = null;
+        let url = null;
+        // .pls lists Title1 after File1, so read the whole file before returning
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            const title = line.match(/^#EXTINF:[^,]*,(.+)$/i) || line.match(/^Title\d+=(.+)$/i);
+            if (title) {
+                name = name || title[1].trim();
+                continue;
+            }
+            const plsFile = line.match(/^File\d+=(.+)$/i);
+            const candidate = plsFile ? plsFile[1].trim() : line;
+            if (!url && /^https?:\/\//i.test(candidate)) {
+                url = candidate;
+            }
+        }
+        return url ? { url, name } : null;
+    }
+
+    /**
+     * Check whether a URL is a live audio stream
+     * @param {string} url - URL from /play
+     * @returns {Promise<Object|null>} { url, type: 'hls'|'icy'|'http', name, description, genre, metaInt } or null if it isn't live audio
+     */
+    async probe(url) {
+        try {
+            let streamUrl = url;
+            let playlistName = null;
+            if (this.isStationPlaylistUrl(url)) {
+                const entry = this.parseStationPlaylist(await this.fetchText(url));
+                if (!entry) {
+                    return null;
+                }
+                streamUrl = entry.url;
+                playlistName = entry.name;
+            }
+
+            if (this.isHlsUrl(streamUrl)) {
+                // VOD playlists end with EXT-X-ENDLIST; only live ones are handled here
+                const playlist = await this.fetchText(streamUrl);
+                if (!playlist.startsWith('#EXTM3U') || playlist.includes('#EXT-X-ENDLIST')) {
+                    return null;
+                }
+                return { url: streamUrl, type: 'hls', name: playlistName, description: null, genre: null, metaInt: 0 };
+            }
+
+            const response = await this.fetchWithTimeout(streamUrl, { headers: { 'Icy-MetaData': '1' } });
+            // Only the headers are needed; don't keep downloading the stream
+            response.body?.destroy();
+            if (!response.ok) {
+                return null;
+            }
+
+            const headers = response.headers;
+            const isIcy = !!(headers.get('icy-name') || headers.get('icy-metaint') || headers.get('icy-br'));
+            const contentType = headers.get('content-type') || '';
+            // Finite files send a Content-Length; radio streams never do
+            const isEndless = !headers.get('content-length');
+            if (!isIcy && !(AUDIO_CONTENT_TYPES.test(contentType) && isEndless)) {
+                return null;
+            }
+
+            return {
+                url: streamUrl,
+                type: isIcy ? 'icy' : 'http',
+                name: headers.get('icy-name') || playlistName,
+                description: headers.get('icy-description') || null,
+                genre: headers.get('icy-genre') || null,
+                metaInt: parseInt(headers.get('icy-metaint') || '0', 10) || 0
+            };
+        } catch (error) {
+            console.log(`[LiveStream] Probe failed for ${url}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Start playing a live stream
+     * @param {string} url - Stream URL (the song's query)
+     * @param {string} guildId - Guild ID
+     * @param {number} volume - Volume percentage
+     * @param {Function} onTitle - Called with each new ICY StreamTitle
+     * @returns {Promise<Object>} Stream data in the same shape as unifiedYtdlpService.getAudioStream
+     */
+    async openStream(url, guildId, volume = 100, onTitle = null) {
+        const stream = await this.probe(url);
+        if (!stream) {
+            throw new Error('This stream is offline or not a live audio stream');
+        }
+
+        const metadata = {
+            title: stream.name || new URL(stream.url).hostname,
+            duration: 0,
+            uploader: stream.genre || 'Live Radio',
+            thumbnail: null,
+            imageUrl: null,
+            url,
+            source: 'Live Stream + FFmpeg',
+            isLive: true
+        };
+        console.log(`[LiveStream] 📻 Opening ${stream.type} stream "${metadata.title}" at ${stream.url}`);
+
+        if (stream.type === 'hls') {
+            const { audioResource, ffmpegProcess } = await streamAudioWithFFmpeg(stream.url, guildId, volume, metadata);
+            return { audioResource, metadata, process: ffmpegProcess, ffmpegProcess, tempFile: null, streamed: true };
+        }
+
+        const controller = new AbortController();
+        const response = await fetch(stream.url, {
+            headers: { 'Icy-MetaData': stream.metaInt ? '1' : '0' },
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            controller.abort();
+            throw new Error(`Stream returned HTTP ${response.status}`);
+        }
+
+        let source = response.body;
+        const metaInt = parseInt(response.headers.get('icy-metaint') || '0', 10);
+        if (metaInt > 0) {
+            const stripper = new IcyMetadataStripper(metaInt);
+            if (onTitle) {
+                stripper.on('title', (title) => {
+                    console.log(`[LiveStream] 🎶 Now on air in guild ${guildId}: ${title}`);
+                    onTitle(title);
+                });
+            }
+            source.on('error', (error) => stripper.destroy(error));
+            source = source.pipe(stripper);
+        }
+
+        const { audioResource, ffmpegProcess } = await streamAudioWithFFmpeg(source, guildId, volume, metadata);
+
+        // A skip or stop kills FFmpeg; close the HTTP connection with it
+        ffmpegProcess.on('close', () => controller.abort());
+
+        return { audioResource, metadata, process: ffmpegProcess, ffmpegProcess, tempFile: null, streamed: true };
+    }
+
+    /**
+     * Show a new ICY StreamTitle on the playing page
+     * @param {string} guildId - Guild ID
+     * @param {Object} song - Live song the title belongs to
+     * @param {string} title - Track now on air
+     */
+    async updateStreamTitle(guildId, song, title) {
+        song.streamTitle = title;
+
+        try {
+            const { StateCoordinator } = await import('../../services/state-coordinator.js');
+            const trackedState = StateCoordinator.getCurrentTrackedState(guildId);
+            // Titles can still arrive while the next song loads; only the live song's page changes
+            if (!trackedState?.songData?.isLive || trackedState.songData.title !== song.title) {
+                return;
+            }
+            trackedState.songData.streamTitle = title;
+
+            const { ClientService } = await import('../../services/client-service.js');
+            const { getExistingSession } = await import('../core/audio-state.js');
+            const { updatePlaybackControlsEmbed } = await import('../../handlers/menu-component-handlers.js');
+            await updatePlaybackControlsEmbed(guildId, ClientService.getClient(), getExistingSession(guildId));
+        } catch (error) {
+            console.error(`[LiveStream] Failed to update stream title for guild ${guildId}:`, error.message);
+        }
+    }
+}
+
+// Export singleton instance
+export const liveStreamService = new LiveStreamService();
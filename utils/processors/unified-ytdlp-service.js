@@ -3,9 +3,10 @@ import { createAudioResource, StreamType } from '@discordjs/voice';
 import { createReadStream, unlinkSync, existsSync, mkdirSync } from 'fs';
 import { PassThrough } from 'stream';
 import { processManager } from '../services/process-manager.js';
-import { processAudioWithFFmpeg } from './ffmpeg-processor.js';
+import { processAudioWithFFmpeg, streamAudioWithFFmpeg } from './ffmpeg-processor.js';
 import { checkDurationLimit } from '../functions/index.js';
 import { fileNamingService } from '../services/file-naming-service.js';
+import { audioCacheManager } from '../services/audio-cache-manager.js';
 
 class UnifiedYtdlpService {
     constructor() {
@@ -227,6 +228,35 @@ class UnifiedYtdlpService {
         console.log(`[UnifiedYtdlp] ✅ AGGRESSIVE SONG CLEANUP COMPLETE: Cleared ${clearedCount} recently completed queries`);
     }
 
+    /**
+     * Arguments shared by every yt-dlp call made through the unified service
+     */
+    getBaseYtdlpArgs() {
+        return [
+            '--cookies', '/app/cookies/cookies.txt',
+            '--no-playlist',
+            '--no-warnings',
+            '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+            '--referer', 'https://www.youtube.com/',
+            '--socket-timeout', '30', // 30 second socket timeout
+            '--retries', '5', // Retry up to 5 times
+            '--fragment-retries', '5', // Retry fragments up to 5 times
+            '--retry-sleep', '2' // Wait 2 seconds between retries
+        ];
+    }
+
+    getYtdlpCommand() {
+        // Use yt-dlp directly in Linux Docker, yt-dlp.exe in Windows
+        if (process.platform === 'win32') {
+            return 'yt-dlp.exe';
+        }
+        if (process.env.DOCKER_ENV) {
+            // In Docker, use absolute path to ensure we find the binary
+            return '/usr/bin/yt-dlp';
+        }
+        return 'yt-dlp';
+    }
+
     /**
      * Main unified yt-dlp call that handles all modes
      */
@@ -265,17 +295,7 @@ class UnifiedYtdlpService {
             }
         }
         
-        const ytdlpArgs = [
-            '--cookies', '/app/cookies/cookies.txt',
-            '--no-playlist',
-            '--no-warnings',
-            '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            '--referer', 'https://www.youtube.com/',
-            '--socket-timeout', '30', // 30 second socket timeout
-            '--retries', '5', // Retry up to 5 times
-            '--fragment-retries', '5', // Retry fragments up to 5 times
-            '--retry-sleep', '2' // Wait 2 seconds between retries
-        ];
+        const ytdlpArgs = this.getBaseYtdlpArgs();
 
         // Add mode-specific arguments
         switch (mode) {
@@ -294,6 +314,20 @@ class UnifiedYtdlpService {
                 // For getting video info
                 ytdlpArgs.push('--dump-json', '--skip-download');
                 break;
+
+            case 'search_results':
+                // For "ytsearchN:query" and mixes - one flat JSON line per result, without resolving each video
+                ytdlpArgs.push('--dump-json', '--skip-download', '--flat-playlist');
+                if (options.maxResults) {
+                    // Mix URLs point at a video, so --yes-playlist overrides the base --no-playlist
+                    ytdlpArgs.push('--yes-playlist', '--playlist-end', String(options.maxResults));
+                }
+                break;
+
+            case 'playlist_tracks':
+                // For sets/playlists whose flat entries carry no titles (SoundCloud) - resolve each track, one JSON line each
+                ytdlpArgs.push('--dump-json', '--skip-download', '--ignore-errors', '--playlist-end', String(options.maxTracks || 100));
+                break;
         }
 
         // Add output options
@@ -310,23 +344,7 @@ class UnifiedYtdlpService {
         
         console.log(`[UnifiedYtdlp] yt-dlp args: ${ytdlpArgs.join(' ')}`);
         
-        // Use yt-dlp directly in Linux Docker, yt-dlp.exe in Windows
-        let ytdlpCmd;
-        if (process.platform === 'win32') {
-            ytdlpCmd = 'yt-dlp.exe';
-        } else if (process.env.DOCKER_ENV) {
-            // In Docker, use absolute path to ensure we find the binary
-            const possiblePaths = [
-                '/usr/bin/yt-dlp',
-                '/usr/local/bin/yt-dlp',
-                'yt-dlp'
-            ];
-            ytdlpCmd = possiblePaths[0]; // Start with the most likely path
-        } else {
-            ytdlpCmd = 'yt-dlp';
-        }
-        
-        const ytdlpProcess = spawn(ytdlpCmd, ytdlpArgs);
+        const ytdlpProcess = spawn(this.getYtdlpCommand(), ytdlpArgs);
         
         // Add to per-guild process tracking for cleanup
         this.addProcessToTracking(ytdlpProcess, guildId);
@@ -360,7 +378,7 @@ class UnifiedYtdlpService {
             let isResolved = false;
             
             // Set timeout for audio downloads (5 minutes) and search operations (2 minutes)
-            const timeoutDuration = mode === 'audio' ? 5 * 60 * 1000 : (mode === 'search' ? 2 * 60 * 1000 : 30 * 1000); // 5 min for audio, 2 min for search, 30 sec for others
+            const timeoutDuration = mode === 'audio' ? 5 * 60 * 1000 : (mode === 'search' || mode === 'search_results' || mode === 'playlist_tracks' ? 2 * 60 * 1000 : 30 * 1000); // 5 min for audio, 2 min for search and sets, 30 sec for others
             timeoutId = setTimeout(() => {
                 if (!isResolved) {
                     console.log(`[UnifiedYtdlp] ⏰ Process timeout after ${timeoutDuration/1000}s, killing PID ${ytdlpProcess.pid}`);
@@ -377,6 +395,13 @@ class UnifiedYtdlpService {
                     this.removeProcessFromTracking(ytdlpProcess, guildId);
                     this.unregisterActiveQuery(normalizedInput, mode);
                     
+                    // Large sets resolve one track per line, so keep what arrived before the timeout
+                    if (mode === 'playlist_tracks' && stdout.trim()) {
+                        console.log(`[UnifiedYtdlp] ⚠️ Playlist timed out, keeping the tracks resolved so far`);
+                        resolve({ stdout: stdout.trim(), stderr: stderr.trim(), process: ytdlpProcess });
+                        return;
+                    }
+                    
                     reject(new Error(`yt-dlp process timeout after ${timeoutDuration/1000} seconds`));
                 }
             }, timeoutDuration);
@@ -404,6 +429,10 @@ class UnifiedYtdlpService {
                 
                 if (code === 0) {
                     resolve({ stdout: stdout.trim(), stderr: stderr.trim(), process: ytdlpProcess });
+                } else if (mode === 'playlist_tracks' && stdout.trim()) {
+                    // --ignore-errors still exits non-zero when some tracks were unavailable; keep the ones that resolved
+                    console.log(`[UnifiedYtdlp] ⚠️ Some playlist tracks failed (code ${code}), keeping the resolved ones`);
+                    resolve({ stdout: stdout.trim(), stderr: stderr.trim(), process: ytdlpProcess });
                 } else {
                     // Check for specific error types
                     if (stderr.includes('Connection refused') || stderr.includes('Connection reset')) {
@@ -441,8 +470,9 @@ class UnifiedYtdlpService {
 
     /**
      * Get audio stream - now uses unified service with preload support
+     * @param {Object} options - { playingNow } songs that start right away may use direct streaming
      */
-    async getAudioStream(videoUrl, guildId, volume = 100, preloadedData = null) {
+    async getAudioStream(videoUrl, guildId, volume = 100, preloadedData = null, options = {}) {
         console.log(`[UnifiedYtdlp] getAudioStream called with: ${videoUrl}`);
         
         // CHECK FOR PRELOADED DATA FIRST - Avoid duplicate processing
@@ -518,6 +548,12 @@ class UnifiedYtdlpService {
             
             // Then process audio - pass preloaded temp file if available
             const existingTempFile = preloadedData?.preloadedTempFile || null;
+            
+            // DIRECT STREAMING: start playing while yt-dlp is still downloading (local files are already fast)
+            if (options.playingNow && !existingTempFile && !audioCacheManager.getEntry(actualVideoUrl) && await this.isStreamingEnabled(guildId)) {
+                return await this.streamAudio(actualVideoUrl, guildId, volume, videoInfo);
+            }
+
             const ffmpegResult = await this.processAudioWithBuffer(actualVideoUrl, guildId, volume, existingTempFile, videoInfo);
             
             console.log(`[UnifiedYtdlp] Successfully created AudioResource for "${videoInfo.title}"`);
@@ -545,6 +581,70 @@ class UnifiedYtdlpService {
         }
     }
 
+    /**
+     * Check whether a guild plays songs through direct streaming instead of temp files
+     * The guild's playback_mode wins; otherwise the PLAYBACK_MODE env var sets the default
+     */
+    async isStreamingEnabled(guildId) {
+        let mode = null;
+        if (guildId) {
+            try {
+                const { getGuildSettings } = await import('../database/guildSettings.js');
+                mode = (await getGuildSettings(guildId)).playback_mode;
+            } catch (error) {
+                console.warn(`[UnifiedYtdlp] Could not load playback mode for guild ${guildId}: ${error.message}`);
+            }
+        }
+        return (mode || process.env.PLAYBACK_MODE || 'download') === 'stream';
+    }
+
+    /**
+     * Pipe yt-dlp stdout through FFmpeg into an audio resource without writing temp files
+     * Both processes are tracked by the process manager, so the usual song cleanup ends them
+     */
+    async streamAudio(videoUrl, guildId, volume, videoInfo) {
+        console.log(`[UnifiedYtdlp] 📡 Streaming "${videoInfo.title}" directly from ${videoUrl}`);
+        
+        const ytdlpArgs = [...this.getBaseYtdlpArgs(), '--format', 'bestaudio/best', '--output', '-', videoUrl];
+        const ytdlpProcess = spawn(this.getYtdlpCommand(), ytdlpArgs);
+        this.addProcessToTracking(ytdlpProcess, guildId);
+        
+        ytdlpProcess.stderr.on('data', (data) => {
+            const output = data.toString().trim();
+            // Progress lines go to stderr when writing to stdout, so only surface errors
+            if (output.includes('ERROR')) {
+                console.error(`[UnifiedYtdlp] 📝 yt-dlp stream stderr: ${output}`);
+            }
+        });
+        
+        const { audioResource, ffmpegProcess } = await streamAudioWithFFmpeg(ytdlpProcess.stdout, guildId, volume, videoInfo);
+        
+        // A skip or stop kills FFmpeg; take yt-dlp down with it instead of letting it download into a dead pipe
+        ffmpegProcess.on('close', () => {
+            if (ytdlpProcess.exitCode === null && !ytdlpProcess.killed) {
+                ytdlpProcess.kill('SIGTERM');
+            }
+        });
+        
+        return {
+            audioResource,
+            metadata: {
+                title: videoInfo.title || 'Unknown Title',
+                duration: videoInfo.duration || 0,
+                uploader: videoInfo.uploader || 'Unknown',
+                thumbnail: videoInfo.thumbnail || null,
+                imageUrl: videoInfo.thumbnailUrl || null,
+                url: videoUrl,
+                source: 'yt-dlp + FFmpeg Direct Stream'
+            },
+            process: ffmpegProcess,
+            ytDlpProcess: ytdlpProcess,
+            ffmpegProcess,
+            tempFile: null,
+            streamed: true
+        };
+    }
+
     /**
      * Download audio file only (for preloading) - no streaming
      * Returns the SAME temp file that will be used for streaming
@@ -577,7 +677,7 @@ class UnifiedYtdlpService {
             
             // Use the resolved URL for audio download to ensure consistency
             console.log(`[UnifiedYtdlp] Downloading audio from resolved URL: ${actualVideoUrl}`);
-            await this.unifiedYtdlpCall(actualVideoUrl, 'audio', { tempFile }, guildId);
+            await this.downloadAudioToFile(actualVideoUrl, tempFile, guildId, videoInfo);
             
             console.log(`[UnifiedYtdlp] ✅ Audio download completed: ${tempFile}`);
             
@@ -600,39 +700,47 @@ class UnifiedYtdlpService {
         }
     }
 
+    /**
+     * Get the highest quality thumbnail from yt-dlp info (YouTube thumbnails, SoundCloud artwork)
+     */
+    getBestThumbnail(info) {
+        // Try to get the highest quality thumbnail available
+        if (info.thumbnails && Array.isArray(info.thumbnails)) {
+            // Sort by resolution (width * height) descending
+            const sortedThumbs = info.thumbnails
+                .filter(thumb => thumb.url && thumb.width && thumb.height)
+                .sort((a, b) => (b.width * b.height) - (a.width * a.height));
+        
+            if (sortedThumbs.length > 0) {
+                return sortedThumbs[0].url;
+            }
+        }
+    
+        // Fallback to standard thumbnail
+        return info.thumbnail || null;
+    }
+
     /**
      * Get video info - now uses unified service with duration limit checking
      */
     async getVideoInfo(videoUrl, guildId = null) {
         try {
-            const result = await this.unifiedYtdlpCall(videoUrl, 'metadata', {}, guildId);
-            const info = JSON.parse(result.stdout);
-            
-            // Get the highest quality thumbnail
-            const getBestThumbnail = (info) => {
-                // Try to get the highest quality thumbnail available
-                if (info.thumbnails && Array.isArray(info.thumbnails)) {
-                    // Sort by resolution (width * height) descending
-                    const sortedThumbs = info.thumbnails
-                        .filter(thumb => thumb.url && thumb.width && thumb.height)
-                        .sort((a, b) => (b.width * b.height) - (a.width * a.height));
-                    
-                    if (sortedThumbs.length > 0) {
-                        return sortedThumbs[0].url;
-                    }
-                }
-                
-                // Fallback to standard thumbnail
-                return info.thumbnail || null;
-            };
+            // Cached videos already have their metadata recorded, so skip the yt-dlp call
+            let videoInfo = await audioCacheManager.getMetadata(videoUrl);
+            if (videoInfo) {
+                console.log(`[UnifiedYtdlp] 🎯 Using cached metadata for "${videoInfo.title}"`);
+            } else {
+                const result = await this.unifiedYtdlpCall(videoUrl, 'metadata', {}, guildId);
+                const info = JSON.parse(result.stdout);
             
-            const videoInfo = {
-                title: info.title || 'Unknown Title',
-                duration: info.duration || 0,
-                uploader: info.uploader || 'Unknown',
-                thumbnail: getBestThumbnail(info),
-                imageUrl: getBestThumbnail(info)
-            };
+                videoInfo = {
+                    title: info.title || 'Unknown Title',
+                    duration: info.duration || 0,
+                    uploader: info.uploader || 'Unknown',
+                    thumbnail: this.getBestThumbnail(info),
+                    imageUrl: this.getBestThumbnail(info)
+                };
+            }
             
             // Check duration limit if guildId is provided
             if (guildId && videoInfo.duration > 0) {
@@ -701,6 +809,19 @@ class UnifiedYtdlpService {
     }
 
 
+    /**
+     * Download a video's audio to a temp file, using the audio cache when it already has the video
+     * Fresh downloads are added to the cache
+     */
+    async downloadAudioToFile(videoUrl, tempFile, guildId, videoInfo = null) {
+        if (audioCacheManager.checkout(videoUrl, tempFile)) {
+            return;
+        }
+
+        await this.unifiedYtdlpCall(videoUrl, 'audio', { tempFile }, guildId);
+        await audioCacheManager.store(videoUrl, tempFile, videoInfo);
+    }
+
     /**
      * Process audio with buffer - now uses unified service with preload support
      */
@@ -719,8 +840,8 @@ class UnifiedYtdlpService {
                 tempFile = fileNamingService.generateTempFileName('audio', input);
                 console.log(`[UnifiedYtdlp] Downloading audio to temp file: ${tempFile}`);
                 
-                // Use unified service for audio download
-                await this.unifiedYtdlpCall(input, 'audio', { tempFile }, guildId);
+                // Use unified service for audio download (or the audio cache when it has this video)
+                await this.downloadAudioToFile(input, tempFile, guildId, videoInfo);
                 
                 console.log(`[UnifiedYtdlp] ✅ Audio download completed, starting FFmpeg processing from temp file: ${tempFile}`);
                 const result = await processAudioWithFFmpeg(tempFile, guildId, volume, false, videoInfo);
@@ -757,6 +878,66 @@ class UnifiedYtdlpService {
         }
     }
 
+    /**
+     * Search YouTube and return the top results so the user can pick one
+     * @param {string} searchQuery - Search terms
+     * @param {number} count - Number of results to fetch
+     * @param {string} guildId - Guild ID (optional)
+     * @returns {Promise<Array>} [{ id, title, channel, duration, url }]
+     */
+    async searchResults(searchQuery, count = 5, guildId = null) {
+        console.log(`[UnifiedYtdlp] Fetching top ${count} results for: "${searchQuery}"`);
+
+        const result = await this.unifiedYtdlpCall(`ytsearch${count}:${searchQuery}`, 'search_results', {}, guildId);
+        const results = this.parseFlatResults(result.stdout);
+
+        console.log(`[UnifiedYtdlp] Search returned ${results.length} results for "${searchQuery}"`);
+        return results;
+    }
+
+    /**
+     * Get the videos YouTube's mix for a video lists after it, for autoplay
+     * @param {string} videoId - YouTube video ID the mix is seeded from
+     * @param {number} count - Number of mix entries to fetch (the seed video is one of them)
+     * @param {string} guildId - Guild ID (optional)
+     * @returns {Promise<Array>} [{ id, title, channel, duration, url }]
+     */
+    async getRelatedTracks(videoId, count = 15, guildId = null) {
+        console.log(`[UnifiedYtdlp] Fetching ${count} related tracks for video ${videoId}`);
+
+        const mixUrl = `https://www.youtube.com/watch?v=${videoId}&list=RD${videoId}`;
+        const result = await this.unifiedYtdlpCall(mixUrl, 'search_results', { maxResults: count }, guildId);
+        return this.parseFlatResults(result.stdout).filter(track => track.id !== videoId);
+    }
+
+    /**
+     * Parse the JSON lines yt-dlp prints for a flat search or playlist
+     */
+    parseFlatResults(stdout) {
+        const results = [];
+        for (const line of stdout.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const info = JSON.parse(line);
+                if (!info.id) {
+                    continue;
+                }
+                results.push({
+                    id: info.id,
+                    title: info.title || 'Unknown Title',
+                    channel: info.channel || info.uploader || 'Unknown',
+                    duration: info.duration || 0,
+                    url: `https://www.youtube.com/watch?v=${info.id}`
+                });
+            } catch (error) {
+                console.log(`[UnifiedYtdlp] Skipping unparseable search result line: ${error.message}`);
+            }
+        }
+        return results;
+    }
+
     extractVideoId(url) {
         if (!url) return null;
         const regex = /(?:youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
@@ -958,6 +1139,48 @@ class UnifiedYtdlpService {
             });
         });
     }
+
+    /**
+     * Get a playlist's tracks fully resolved (title, duration, uploader, artwork)
+     * Used for SoundCloud sets and Bandcamp albums, whose flat playlist entries lack durations and artwork
+     * @param {string} playlistUrl - Playlist/set URL
+     * @param {string} guildId - Guild ID (optional)
+     * @param {number} maxTracks - Stop after this many tracks
+     * @returns {Promise<Object>} { title, tracks: [{ title, url, duration, uploader, thumbnail }] }
+     */
+    async getPlaylistTrackDetails(playlistUrl, guildId = null, maxTracks = 100) {
+        console.log(`[UnifiedYtdlp] Resolving up to ${maxTracks} playlist tracks for: ${playlistUrl}`);
+
+        const result = await this.unifiedYtdlpCall(playlistUrl, 'playlist_tracks', { maxTracks }, guildId);
+        let title = null;
+        const tracks = [];
+        for (const line of result.stdout.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                // A timeout can cut the last line short; JSON.parse rejects it and it's skipped
+                const info = JSON.parse(line);
+                const url = info.webpage_url || info.original_url;
+                if (!url) {
+                    continue;
+                }
+                title = title || info.playlist_title || info.playlist || null;
+                tracks.push({
+                    title: info.title || 'Unknown Title',
+                    url,
+                    duration: info.duration || 0,
+                    uploader: info.uploader || info.artist || 'Unknown',
+                    thumbnail: this.getBestThumbnail(info)
+                });
+            } catch (error) {
+                console.log(`[UnifiedYtdlp] Skipping unparseable playlist track line: ${error.message}`);
+            }
+        }
+
+        console.log(`[UnifiedYtdlp] Resolved ${tracks.length} tracks from "${title || playlistUrl}"`);
+        return { title, tracks };
+    }
 }
 
 const unifiedYtdlpService = new UnifiedYtdlpService();
@@ -101,14 +101,39 @@ class QueueSaver {
      */
     async savePlaylist(guildId, playlistName, session, createdBy = 'Unknown') {
         try {
-            if (!session.queue || session.queue.length === 0) {
+            // Include the current song and the lazy-loaded database tail, not just the in-memory window
+            const allSongs = [];
+            if (session.nowPlaying) {
+                allSongs.push(session.nowPlaying);
+            }
+            allSongs.push(...(session.queue || []));
+            
+            if (session.lazyLoadInfo) {
+                const { getGuildQueue } = await import('./database/guildQueues.js');
+                const dbData = await getGuildQueue(guildId);
+                const databaseSongs = (dbData?.queue || []).filter(song =>
+                    !session.loadedFromDatabase?.has(song.query || song.title)
+                );
+                allSongs.push(...databaseSongs);
+            }
+            
+            if (allSongs.length === 0) {
                 throw new Error('No songs in queue to save');
             }
             
-            const songs = session.queue.map(song => ({
+            const songs = allSongs.map(song => ({
                 title: song.title,
                 query: song.query,
                 addedBy: song.addedBy,
+                thumbnailUrl: song.thumbnailUrl || null,
+                youtubeUrl: song.youtubeUrl || null,
+                duration: song.duration || null,
+                isLive: song.isLive || false,
+                isDirectMedia: song.isDirectMedia || false,
+                podcastEpisodeId: song.podcastEpisodeId || null,
+                spotifyId: song.spotifyId || null,
+                spotifyTitle: song.spotifyTitle || null,
+                artist: song.artist || null,
                 // Don't save stream details - they expire anyway
             }));
             
@@ -186,52 +211,81 @@ class QueueSaver {
     }
     
     /**
-     * Load a saved playlist into session queue
+     * Get the songs of a saved playlist (cache first, then database)
      */
-    async loadPlaylist(guildId, playlistName, session) {
+    async getPlaylistSongs(guildId, playlistName) {
+        const cached = this.savedPlaylists.get(`${guildId}-${playlistName}`);
+        if (cached) {
+            console.log(`[QueueSaver] Loaded playlist "${playlistName}" from cache for guild ${guildId}`);
+            return cached.songs;
+        }
+        
+        const pool = getPool();
+        const result = await pool.query(`
+            SELECT songs FROM saved_playlists 
+            WHERE guild_id = $1 AND playlist_name = $2
+        `, [guildId, playlistName]);
+        
+        if (result.rows.length === 0) {
+            throw new Error(`Playlist "${playlistName}" not found`);
+        }
+        
+        const songs = result.rows[0].songs;
+        
+        // Cache the result
+        this.savedPlaylists.set(`${guildId}-${playlistName}`, {
+            songs: songs,
+            createdAt: new Date(),
+            timestamp: Date.now()
+        });
+        
+        console.log(`[QueueSaver] Loaded playlist "${playlistName}" from database for guild ${guildId}`);
+        return songs;
+    }
+    
+    /**
+     * Load a saved playlist into the session queue
+     * Goes through the queue manager so saved playlists get the same lazy loading
+     * and playback start behaviour as YouTube/Spotify playlists
+     */
+    async loadPlaylist(guildId, playlistName, session, djsClient, requestedBy = null) {
         try {
-            // Check cache first
-            const cached = this.savedPlaylists.get(`${guildId}-${playlistName}`);
-            let songs;
+            const songs = await this.getPlaylistSongs(guildId, playlistName);
             
-            if (cached) {
-                songs = cached.songs;
-                console.log(`[QueueSaver] Loaded playlist "${playlistName}" from cache for guild ${guildId}`);
-            } else {
-                // Load from database
-                const pool = getPool();
-                const result = await pool.query(`
-                    SELECT songs FROM saved_playlists 
-                    WHERE guild_id = $1 AND playlist_name = $2
-                `, [guildId, playlistName]);
-                
-                if (result.rows.length === 0) {
-                    throw new Error(`Playlist "${playlistName}" not found`);
-                }
-                
-                songs = result.rows[0].songs;
-                
-                // Cache the result
-                this.savedPlaylists.set(`${guildId}-${playlistName}`, {
-                    songs: songs,
-                    createdAt: new Date()
-                });
-                
-                console.log(`[QueueSaver] Loaded playlist "${playlistName}" from database for guild ${guildId}`);
+            if (!songs || songs.length === 0) {
+                throw new Error(`Playlist "${playlistName}" is empty`);
             }
             
-            // Add songs to session queue
             if (!session.queue) session.queue = [];
             
-            // Clear existing queue and add playlist songs
-            session.queue = songs.map(song => ({
+            const songObjects = songs.map(song => ({
                 ...song,
+                addedBy: requestedBy || song.addedBy || 'Unknown User',
                 // These will be filled when the song actually plays
-                streamDetails: null
+                streamDetails: null,
+                preloadCompleted: false
             }));
             
-            console.log(`[QueueSaver] Loaded ${songs.length} songs into session queue for guild ${guildId}`);
-            return { success: true, songCount: songs.length };
+            session.currentPlaylist = {
+                title: playlistName,
+                source: 'Saved Playlist',
+                totalTracks: songObjects.length,
+                addedAt: new Date().toISOString()
+            };
+            
+            const { queueManager } = await import('./services/queue-manager.js');
+            const result = await queueManager.addPlaylistToQueue(guildId, songObjects, djsClient, session, {
+                name: playlistName,
+                source: 'Saved Playlist',
+                totalTracks: songObjects.length,
+                owner: requestedBy || 'Unknown',
+                description: null
+            });
+            
+            djsClient.emit('queueChanged', guildId, session);
+            
+            console.log(`[QueueSaver] Loaded ${songObjects.length} songs from playlist "${playlistName}" for guild ${guildId}`);
+            return { success: true, songCount: songObjects.length, startedPlayback: result?.startedPlayback || false };
             
         } catch (error) {
             console.error(`[QueueSaver] Error loading playlist:`, error);
@@ -294,6 +348,48 @@ class QueueSaver {
         }
     }
     
+    /**
+     * Rename a saved playlist
+     */
+    async renamePlaylist(guildId, oldName, newName) {
+        try {
+            const pool = getPool();
+            const existing = await pool.query(`
+                SELECT id FROM saved_playlists 
+                WHERE guild_id = $1 AND playlist_name = $2
+            `, [guildId, newName]);
+            
+            if (existing.rows.length > 0) {
+                throw new Error(`A playlist named "${newName}" already exists`);
+            }
+            
+            const result = await pool.query(`
+                UPDATE saved_playlists 
+                SET playlist_name = $3, updated_at = CURRENT_TIMESTAMP
+                WHERE guild_id = $1 AND playlist_name = $2
+                RETURNING id
+            `, [guildId, oldName, newName]);
+            
+            if (result.rows.length === 0) {
+                throw new Error(`Playlist "${oldName}" not found`);
+            }
+            
+            // Move the cache entry to the new key
+            const cached = this.savedPlaylists.get(`${guildId}-${oldName}`);
+            this.savedPlaylists.delete(`${guildId}-${oldName}`);
+            if (cached) {
+                this.savedPlaylists.set(`${guildId}-${newName}`, cached);
+            }
+            
+            console.log(`[QueueSaver] Renamed playlist "${oldName}" to "${newName}" for guild ${guildId}`);
+            return { success: true };
+            
+        } catch (error) {
+            console.error(`[QueueSaver] Error renaming playlist:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+    
     /**
      * Enable/disable auto-save for a guild
      */
@@ -0,0 +1,371 @@
+// utils/services/audio-cache-manager.js
+import { existsSync, mkdirSync, readdirSync, statSync, linkSync, copyFileSync, unlinkSync, utimesSync } from 'fs';
+import { join } from 'path';
+
+// Lives inside temp/ so it shares the temp volume (hard links work) but is skipped by the temp_audio_* sweeps
+const CACHE_DIR = process.env.AUDIO_CACHE_DIR || 'temp/cache';
+// Disk budget in MB; 0 disables the cache
+const DEFAULT_MAX_MB = 1024;
+
+/**
+ * Audio Cache Manager
+ * Keeps opus files keyed by YouTube video ID so repeat plays skip yt-dlp and FFmpeg:
+ * - the download, keyed by video ID, so seeks and filter changes still have an unprocessed source
+ * - the processed output, keyed by video ID, filter preset and volume
+ * Songs get their own hard link (or copy) of the cached file, so the usual temp file cleanup never touches the cache.
+ * The least recently used files are evicted when the cache goes over its disk budget.
+ */
+class AudioCacheManager {
+    constructor() {
+        this.entries = null; // cache key -> { file, size, lastUsed }, built on first use
+        this.downloads = new Map(); // temp file -> videoId, for downloads that came from or went into the cache
+        const maxMb = parseInt(process.env.AUDIO_CACHE_MAX_MB ?? DEFAULT_MAX_MB, 10);
+        this.maxBytes = Number.isFinite(maxMb) && maxMb > 0 ? maxMb * 1024 * 1024 : 0;
+    }
+
+    isEnabled() {
+        return this.maxBytes > 0;
+    }
+
+    getVideoId(url) {
+        const match = String(url || '').match(/(?:youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
+        return match ? match[1] : null;
+    }
+
+    getCanonicalUrl(videoId) {
+        return `https://www.youtube.com/watch?v=${videoId}`;
+    }
+
+    /**
+     * Cache key for a processed file; video IDs never contain dots, so these can't collide with download keys
+     */
+    getProcessedKey(videoId, filterPreset, volume) {
+        return `${videoId}.${filterPreset}.${Math.round(volume)}`;
+    }
+
+    /**
+     * Build the index from the cache directory; file mtimes carry the last-used time across restarts
+     */
+    loadEntries() {
+        if (this.entries) {
+            return this.entries;
+        }
+
+        this.entries = new Map();
+        try {
+            if (!existsSync(CACHE_DIR)) {
+                mkdirSync(CACHE_DIR, { recursive: true });
+            }
+            for (const fileName of readdirSync(CACHE_DIR)) {
+                if (!fileName.endsWith('.opus')) {
+                    continue;
+                }
+                const file = join(CACHE_DIR, fileName);
+                const stats = statSync(file);
+                this.entries.set(fileName.slice(0, -'.opus'.length), { file, size: stats.size, lastUsed: stats.mtimeMs });
+            }
+            console.log(`[AudioCache] Loaded ${this.entries.size} cached files (${this.formatSize(this.getTotalSize())} / ${this.formatSize(this.maxBytes)})`);
+        } catch (error) {
+            console.error('[AudioCache] Failed to load cache directory:', error.message);
+        }
+        return this.entries;
+    }
+
+    getTotalSize() {
+        let total = 0;
+        for (const entry of this.entries.values()) {
+            total += entry.size;
+        }
+        return total;
+    }
+
+    formatSize(bytes) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    getEntry(videoUrl) {
+        const videoId = this.getVideoId(videoUrl);
+        const entry = videoId ? this.getKeyEntry(videoId) : null;
+        return entry ? { videoId, ...entry } : null;
+    }
+
+    getKeyEntry(key) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+        const entry = this.loadEntries().get(key);
+        if (entry && !existsSync(entry.file)) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    touch(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+        entry.lastUsed = Date.now();
+        try {
+            const now = new Date(entry.lastUsed);
+            utimesSync(entry.file, now, now);
+        } catch (error) {
+            console.error(`[AudioCache] Failed to update last-used time for ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Link (or copy when linking isn't possible) a file to a new path
+     * An existing target is removed first, since it may itself be a link to a cached file
+     */
+    linkOrCopy(source, target) {
+        if (existsSync(target)) {
+            unlinkSync(target);
+        }
+        try {
+            linkSync(source, target);
+        } catch {
+            copyFileSync(source, target);
+        }
+    }
+
+    /**
+     * Put the cached audio for a video at the given temp file path
+     * @param {string} videoUrl - YouTube URL
+     * @param {string} tempFile - Temp file path the caller will play and later delete
+     * @returns {boolean} True if the cached file was used
+     */
+    checkout(videoUrl, tempFile) {
+        const entry = this.getEntry(videoUrl);
+        if (!entry) {
+            return false;
+        }
+
+        try {
+            this.linkOrCopy(entry.file, tempFile);
+            this.touch(entry.videoId);
+            this.trackDownload(tempFile, entry.videoId);
+            console.log(`[AudioCache] 🎯 Cache hit for ${entry.videoId} -> ${tempFile}`);
+            return true;
+        } catch (error) {
+            console.error(`[AudioCache] Failed to use cached file for ${entry.videoId}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get the metadata recorded for a cached video, so metadata lookups can skip yt-dlp too
+     * @param {string} videoUrl - YouTube URL
+     * @returns {Promise<Object|null>} { title, duration, uploader, thumbnail, imageUrl } or null
+     */
+    async getMetadata(videoUrl) {
+        const entry = this.getEntry(videoUrl);
+        if (!entry) {
+            return null;
+        }
+
+        try {
+            const { getAudioMetadata, hashQuery } = await import('../database/audioMetadata.js');
+            const row = await getAudioMetadata(hashQuery(this.getCanonicalUrl(entry.videoId)));
+            if (!row?.title) {
+                return null;
+            }
+            return {
+                title: row.title,
+                duration: row.durationSeconds || 0,
+                uploader: row.uploader || 'Unknown',
+                thumbnail: row.thumbnailUrl || null,
+                imageUrl: row.thumbnailUrl || null
+            };
+        } catch (error) {
+            console.error(`[AudioCache] Failed to load metadata for ${entry.videoId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Add a freshly downloaded file to the cache and evict old files if needed
+     * @param {string} videoUrl - YouTube URL the file was downloaded from
+     * @param {string} tempFile - Downloaded opus file
+     * @param {Object} videoInfo - { title, duration, uploader, thumbnail }
+     */
+    async store(videoUrl, tempFile, videoInfo = null) {
+        const videoId = this.getVideoId(videoUrl);
+        if (!this.isEnabled() || !videoId || !existsSync(tempFile)) {
+            return;
+        }
+        // Live streams have no duration and shouldn't be kept
+        if (!videoInfo?.duration) {
+            return;
+        }
+
+        const entries = this.loadEntries();
+        if (entries.has(videoId)) {
+            this.touch(videoId);
+            this.trackDownload(tempFile, videoId);
+            return;
+        }
+
+        const file = join(CACHE_DIR, `${videoId}.opus`);
+        let size;
+        try {
+            size = statSync(tempFile).size;
+            if (size > this.maxBytes) {
+                return;
+            }
+            this.linkOrCopy(tempFile, file);
+        } catch (error) {
+            console.error(`[AudioCache] Failed to cache ${videoId}:`, error.message);
+            return;
+        }
+
+        entries.set(videoId, { file, size, lastUsed: Date.now() });
+        this.trackDownload(tempFile, videoId);
+        console.log(`[AudioCache] 💾 Cached ${videoId} (${this.formatSize(size)}), total ${this.formatSize(this.getTotalSize())}`);
+
+        try {
+            const { storeAudioMetadata, hashQuery } = await import('../database/audioMetadata.js');
+            const sourceUrl = this.getCanonicalUrl(videoId);
+            await storeAudioMetadata({
+                queryHash: hashQuery(sourceUrl),
+                title: videoInfo.title || 'Unknown Title',
+                durationSeconds: Math.round(videoInfo.duration),
+                thumbnailUrl: videoInfo.thumbnail || videoInfo.imageUrl || null,
+                uploader: videoInfo.uploader || null,
+                sourceUrl,
+                streamUrl: null,
+                streamUrlExpiresAt: null,
+                fileSizeBytes: size,
+                formatInfo: { codec: 'opus', videoId, cacheFile: file },
+                additionalMetadata: null
+            });
+        } catch (error) {
+            console.error(`[AudioCache] Failed to record ${videoId} in audio_metadata:`, error.message);
+        }
+
+        await this.evict();
+    }
+
+    /**
+     * Remember which video a download temp file holds, so its processed output can be cached too
+     * Entries for temp files that have since been cleaned up are dropped here
+     */
+    trackDownload(tempFile, videoId) {
+        for (const file of this.downloads.keys()) {
+            if (!existsSync(file)) {
+                this.downloads.delete(file);
+            }
+        }
+        this.downloads.set(tempFile, videoId);
+    }
+
+    /**
+     * Put the cached processed audio for a download at the given path
+     * @param {string} tempFile - Download temp file the audio would be processed from
+     * @param {string} filterPreset - Filter preset the audio would be processed with
+     * @param {number} volume - Volume the audio would be processed with
+     * @param {string} processedFile - Path the processed file is expected at
+     * @returns {boolean} True if the cached file was used
+     */
+    checkoutProcessed(tempFile, filterPreset, volume, processedFile) {
+        const videoId = this.downloads.get(tempFile);
+        const key = videoId ? this.getProcessedKey(videoId, filterPreset, volume) : null;
+        const entry = key ? this.getKeyEntry(key) : null;
+        if (!entry) {
+            return false;
+        }
+
+        try {
+            this.linkOrCopy(entry.file, processedFile);
+            this.touch(key);
+            console.log(`[AudioCache] 🎯 Processed cache hit for ${key} -> ${processedFile}`);
+            return true;
+        } catch (error) {
+            console.error(`[AudioCache] Failed to use cached processed file for ${key}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Add the processed output of a cached download and evict old files if needed
+     * @param {string} tempFile - Download temp file the audio was processed from
+     * @param {string} filterPreset - Filter preset used
+     * @param {number} volume - Volume used
+     * @param {string} processedFile - Processed opus file
+     */
+    async storeProcessed(tempFile, filterPreset, volume, processedFile) {
+        const videoId = this.downloads.get(tempFile);
+        if (!this.isEnabled() || !videoId || !existsSync(processedFile)) {
+            return;
+        }
+
+        const key = this.getProcessedKey(videoId, filterPreset, volume);
+        const entries = this.loadEntries();
+        if (entries.has(key)) {
+            this.touch(key);
+            return;
+        }
+
+        const file = join(CACHE_DIR, `${key}.opus`);
+        let size;
+        try {
+            size = statSync(processedFile).size;
+            if (size > this.maxBytes) {
+                return;
+            }
+            this.linkOrCopy(processedFile, file);
+        } catch (error) {
+            console.error(`[AudioCache] Failed to cache processed ${key}:`, error.message);
+            return;
+        }
+
+        entries.set(key, { file, size, lastUsed: Date.now() });
+        console.log(`[AudioCache] 💾 Cached processed ${key} (${this.formatSize(size)}), total ${this.formatSize(this.getTotalSize())}`);
+
+        await this.evict();
+    }
+
+    /**
+     * Delete least recently used files until the cache fits its disk budget
+     */
+    async evict() {
+        let total = this.getTotalSize();
+        if (total <= this.maxBytes) {
+            return;
+        }
+
+        const byLastUsed = [...this.entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        for (const [key, entry] of byLastUsed) {
+            if (total <= this.maxBytes) {
+                break;
+            }
+
+            try {
+                unlinkSync(entry.file);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`[AudioCache] Failed to evict ${key}:`, error.message);
+                    continue;
+                }
+            }
+            this.entries.delete(key);
+            total -= entry.size;
+            console.log(`[AudioCache] 🗑️ Evicted ${key} (${this.formatSize(entry.size)})`);
+
+            // Only downloads are recorded in audio_metadata; processed keys contain dots
+            if (key.includes('.')) {
+                continue;
+            }
+            try {
+                const { clearAudioFileInfo, hashQuery } = await import('../database/audioMetadata.js');
+                await clearAudioFileInfo(hashQuery(this.getCanonicalUrl(key)));
+            } catch (error) {
+                console.error(`[AudioCache] Failed to clear audio_metadata file info for ${key}:`, error.message);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+export const audioCacheManager = new AudioCacheManager();
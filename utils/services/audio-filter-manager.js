@@ -0,0 +1,174 @@
+// utils/services/audio-filter-manager.js
+import { getGuildSettings, updateGuildSettings } from '../database/guildSettings.js';
+
+/**
+ * FFmpeg -af presets, applied before loudnorm so the output level stays consistent
+ */
+const FILTER_PRESETS = {
+    none: { label: 'None', emoji: '🎵', filters: [] },
+    bassboost: { label: 'Bass Boost', emoji: '🔊', filters: ['bass=g=10:f=110:w=0.6'] },
+    nightcore: { label: 'Nightcore', emoji: '🌙', filters: ['aresample=48000', 'asetrate=48000*1.25', 'aresample=48000'] },
+    vaporwave: { label: 'Vaporwave', emoji: '🌊', filters: ['aresample=48000', 'asetrate=48000*0.8', 'aresample=48000'] },
+    '8d': { label: '8D Audio', emoji: '🎧', filters: ['apulsator=hz=0.08'] },
+    // Vocals are usually mixed to the centre, so subtracting one channel from the other cancels them
+    karaoke: { label: 'Karaoke', emoji: '🎤', filters: ['pan=stereo|c0=c0-c1|c1=c1-c0'] },
+    treble: { label: 'Treble Boost', emoji: '🎼', filters: ['treble=g=6'] },
+    echo: { label: 'Echo', emoji: '🏔️', filters: ['aecho=0.8:0.88:60:0.4'] }
+};
+
+/**
+ * Audio Filter Manager
+ * Tracks the per-guild filter preset and builds the FFmpeg filter chain for it
+ */
+class AudioFilterManager {
+    constructor() {
+        this.guildFilters = new Map(); // guildId -> preset name
+    }
+
+    getPresetNames() {
+        return Object.keys(FILTER_PRESETS);
+    }
+
+    isValidPreset(preset) {
+        return Object.prototype.hasOwnProperty.call(FILTER_PRESETS, preset);
+    }
+
+    getLabel(preset) {
+        return (FILTER_PRESETS[preset] || FILTER_PRESETS.none).label;
+    }
+
+    getEmoji(preset) {
+        return (FILTER_PRESETS[preset] || FILTER_PRESETS.none).emoji;
+    }
+
+    /**
+     * Get the FFmpeg filters for a preset
+     * @param {string} preset - Preset name
+     * @returns {string[]} Filters to prepend to the -af chain
+     */
+    getFilterChain(preset) {
+        return [...(FILTER_PRESETS[preset] || FILTER_PRESETS.none).filters];
+    }
+
+    /**
+     * Get the filter preset for a guild (cached, falls back to guild_settings)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string>} Preset name
+     */
+    async getFilter(guildId) {
+        if (!guildId) {
+            return 'none';
+        }
+        if (this.guildFilters.has(guildId)) {
+            return this.guildFilters.get(guildId);
+        }
+
+        let preset = 'none';
+        try {
+            const settings = await getGuildSettings(guildId);
+            preset = settings?.audio_filter || 'none';
+        } catch (error) {
+            console.error(`[AudioFilterManager] Failed to load filter for guild ${guildId}:`, error.message);
+        }
+
+        if (!this.isValidPreset(preset)) {
+            preset = 'none';
+        }
+        this.guildFilters.set(guildId, preset);
+        return preset;
+    }
+
+    /**
+     * Set and persist the filter preset for a guild
+     * @param {string} guildId - Guild ID
+     * @param {string} preset - Preset name
+     * @returns {Promise<string>} The preset that was set
+     */
+    async setFilter(guildId, preset) {
+        if (!this.isValidPreset(preset)) {
+            throw new Error(`Unknown filter preset: ${preset}`);
+        }
+
+        this.guildFilters.set(guildId, preset);
+        try {
+            const currentSettings = await getGuildSettings(guildId);
+            await updateGuildSettings(guildId, { ...currentSettings, audio_filter: preset });
+        } catch (error) {
+            console.error(`[AudioFilterManager] Failed to persist filter for guild ${guildId}:`, error.message);
+        }
+
+        console.log(`[AudioFilterManager] Filter for guild ${guildId} set to ${preset}`);
+        return preset;
+    }
+
+    /**
+     * Set a guild's filter and re-process what is already prepared with the old one
+     * The current song restarts from its temp file at the same position; preloaded songs are re-encoded
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session (optional)
+     * @param {string} preset - Preset name
+     * @returns {Promise<Object>} { preset, reappliedToCurrent }
+     */
+    async applyFilter(guildId, session, preset) {
+        await this.setFilter(guildId, preset);
+
+        let reappliedToCurrent = false;
+        if (session?.nowPlaying) {
+            try {
+                const { player } = await import('../../handlers/core/player.js');
+                const { playerStateManager } = await import('../core/player-state-manager.js');
+                await player.seekSong(guildId, session, playerStateManager.getPlaybackPosition(guildId));
+                reappliedToCurrent = true;
+            } catch (error) {
+                console.error(`[AudioFilterManager] Could not re-apply filter to current song:`, error.message);
+            }
+        }
+
+        if (session?.queue?.length > 0) {
+            await this.reprocessPreloadedSongs(guildId, session);
+        }
+
+        return { preset, reappliedToCurrent };
+    }
+
+    /**
+     * Re-encode preloaded queue songs so they play with the current filter and volume
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     */
+    async reprocessPreloadedSongs(guildId, session) {
+        const { preloader } = await import('./preloader.js');
+        const { unifiedYtdlpService } = await import('../processors/unified-ytdlp-service.js');
+
+        for (const song of session.queue) {
+            if (!song.processedAudioResource) {
+                continue;
+            }
+
+            const preloadedData = preloader.getPreloadedData(guildId, song.query);
+            if (!preloadedData?.tempFile) {
+                continue;
+            }
+
+            try {
+                song.processedAudioResource.playStream?.destroy();
+                const streamData = await unifiedYtdlpService.getAudioStreamFromTempFile(
+                    preloadedData.tempFile,
+                    guildId,
+                    session.volume || 100, // Never baked at 0: silence can't be turned back up
+                    preloadedData.metadata
+                );
+                song.processedTempFile = streamData.tempFile;
+                song.processedAudioResource = streamData.audioResource;
+                console.log(`[AudioFilterManager] ✅ Re-processed "${song.title}" with the current filter and volume`);
+            } catch (error) {
+                console.error(`[AudioFilterManager] ❌ Failed to re-process "${song.title}":`, error.message);
+                // Drop the stale preload so the song is processed again when it comes up
+                preloader.cleanupSongPreload(song);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+export const audioFilterManager = new AudioFilterManager();
@@ -0,0 +1,210 @@
+// utils/services/autoplay-manager.js
+import { getGuildAutoplay, saveGuildAutoplay } from '../database/guildQueues.js';
+import { searchAudioMetadata } from '../database/audioMetadata.js';
+import { unifiedYtdlpService } from '../processors/unified-ytdlp-service.js';
+import { audioCacheManager } from './audio-cache-manager.js';
+import { playSuggestionsManager } from './play-suggestions-manager.js';
+
+const AUTOPLAY_REQUESTER = 'Autoplay';
+// Mix entries fetched per seed; the first few are usually the seed artist's own tracks
+const RELATED_CANDIDATES = 15;
+// Seeds tried before giving up: the song that just finished, then the guild's history
+const MAX_SEEDS = 3;
+// Autoplayed videos remembered per guild so a mix doesn't bounce between the same few songs
+const RECENT_AUTOPLAY_LIMIT = 50;
+
+/**
+ * Autoplay Manager
+ * Tracks the per-guild autoplay setting and, when the queue runs dry, queues a track related
+ * to what the guild just played so the music keeps going
+ */
+class AutoplayManager {
+    constructor() {
+        this.guildAutoplay = new Map(); // guildId -> boolean
+        this.recentlyAutoplayed = new Map(); // guildId -> video IDs, newest last
+    }
+
+    /**
+     * Check whether autoplay is enabled for a guild (cached, falls back to the database)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<boolean>} True if autoplay is enabled
+     */
+    async isEnabled(guildId) {
+        if (this.guildAutoplay.has(guildId)) {
+            return this.guildAutoplay.get(guildId);
+        }
+
+        let enabled = false;
+        try {
+            enabled = await getGuildAutoplay(guildId);
+        } catch (error) {
+            console.error(`[Autoplay] Failed to load autoplay setting for guild ${guildId}:`, error.message);
+        }
+
+        this.guildAutoplay.set(guildId, enabled);
+        return enabled;
+    }
+
+    /**
+     * Set and persist autoplay for a guild
+     * @param {string} guildId - Guild ID
+     * @param {boolean} enabled - Whether autoplay should be on
+     * @returns {Promise<boolean>} The setting that was applied
+     */
+    async setEnabled(guildId, enabled) {
+        this.guildAutoplay.set(guildId, enabled);
+        try {
+            await saveGuildAutoplay(guildId, enabled);
+        } catch (error) {
+            console.error(`[Autoplay] Failed to persist autoplay setting for guild ${guildId}:`, error.message);
+        }
+
+        console.log(`[Autoplay] Autoplay for guild ${guildId} ${enabled ? 'enabled' : 'disabled'}`);
+        return enabled;
+    }
+
+    async toggle(guildId) {
+        return await this.setEnabled(guildId, !await this.isEnabled(guildId));
+    }
+
+    getVideoId(song) {
+        return audioCacheManager.getVideoId(playSuggestionsManager.getSourceUrl(song));
+    }
+
+    /**
+     * Resolve the YouTube video to seed a mix from
+     * Songs queued from a search or a Spotify link may not carry a YouTube URL, so their past plays in audio_metadata are checked by title
+     */
+    async getSeedVideoId(song) {
+        const videoId = this.getVideoId(song);
+        if (videoId || !song?.title) {
+            return videoId;
+        }
+
+        try {
+            const [track] = await searchAudioMetadata(song.title, 1);
+            return audioCacheManager.getVideoId(track?.sourceUrl);
+        } catch (error) {
+            console.error(`[Autoplay] audio_metadata lookup failed for "${song.title}":`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Collect the videos autoplay must not pick: the guild's history, the queue and earlier autoplay picks
+     */
+    getExcludedVideoIds(guildId, session, history) {
+        const excluded = new Set(this.recentlyAutoplayed.get(guildId) || []);
+        for (const song of [...history, ...(session.queue || [])]) {
+            const videoId = this.getVideoId(song);
+            if (videoId) {
+                excluded.add(videoId);
+            }
+        }
+        return excluded;
+    }
+
+    rememberAutoplayed(guildId, videoId) {
+        const recent = this.recentlyAutoplayed.get(guildId) || [];
+        recent.push(videoId);
+        if (recent.length > RECENT_AUTOPLAY_LIMIT) {
+            recent.splice(0, recent.length - RECENT_AUTOPLAY_LIMIT);
+        }
+        this.recentlyAutoplayed.set(guildId, recent);
+    }
+
+    async getMaxDuration(guildId) {
+        try {
+            const { getGuildSettings } = await import('../database/guildSettings.js');
+            return (await getGuildSettings(guildId)).max_duration_seconds || 0;
+        } catch (error) {
+            console.error(`[Autoplay] Failed to load duration limit for guild ${guildId}:`, error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Find a track related to what the guild has been playing
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @param {Object} finishedSong - Song that just finished playing
+     * @returns {Promise<Object|null>} Song object labelled as requested by autoplay, or null if nothing fits
+     */
+    async findRelatedSong(guildId, session, finishedSong) {
+        const history = await playSuggestionsManager.getGuildHistory(guildId, session);
+        const excluded = this.getExcludedVideoIds(guildId, session, [finishedSong, ...history].filter(Boolean));
+        const { checkDurationLimit } = await import('../functions/duration-limits.js');
+        const maxDuration = await this.getMaxDuration(guildId);
+
+        const seedIds = new Set();
+        for (const song of [finishedSong, ...history]) {
+            if (seedIds.size >= MAX_SEEDS) {
+                break;
+            }
+            const seedId = song ? await this.getSeedVideoId(song) : null;
+            if (!seedId || seedIds.has(seedId)) {
+                continue;
+            }
+            seedIds.add(seedId);
+
+            let related;
+            try {
+                related = await unifiedYtdlpService.getRelatedTracks(seedId, RELATED_CANDIDATES, guildId);
+            } catch (error) {
+                console.error(`[Autoplay] Failed to fetch related tracks for ${seedId}:`, error.message);
+                continue;
+            }
+
+            // Entries without a duration are live streams, which would never hand back to autoplay
+            const track = related.find(candidate =>
+                !excluded.has(candidate.id) &&
+                candidate.duration > 0 &&
+                checkDurationLimit(candidate.duration, maxDuration).isAllowed
+            );
+            if (track) {
+                console.log(`[Autoplay] 🎲 Picked "${track.title}" from the mix of ${seedId} for guild ${guildId}`);
+                this.rememberAutoplayed(guildId, track.id);
+                return {
+                    title: track.title,
+                    artist: track.channel,
+                    duration: track.duration,
+                    query: track.url,
+                    youtubeUrl: track.url,
+                    thumbnailUrl: `https://i.ytimg.com/vi/${track.id}/hqdefault.jpg`,
+                    addedBy: AUTOPLAY_REQUESTER,
+                    addedById: 'autoplay',
+                    addedByAvatar: null,
+                    isAutoplay: true
+                };
+            }
+        }
+
+        console.log(`[Autoplay] No related track found for guild ${guildId} (${seedIds.size} seeds tried)`);
+        return null;
+    }
+
+    /**
+     * Queue a related track if autoplay is on
+     * Called by the queue manager when the last song finished and nothing is left to play
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @param {Object} finishedSong - Song that just finished playing
+     * @returns {Promise<boolean>} True if a song was queued
+     */
+    async queueRelatedSong(guildId, session, finishedSong) {
+        if (!await this.isEnabled(guildId)) {
+            return false;
+        }
+
+        const song = await this.findRelatedSong(guildId, session, finishedSong);
+        if (!song) {
+            return false;
+        }
+
+        session.queue.push(song);
+        return true;
+    }
+}
+
+// Export singleton instance
+export const autoplayManager = new AutoplayManager();
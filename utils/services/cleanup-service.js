@@ -385,6 +385,7 @@ class CleanupService {
         const tempFileSources = [
             song.tempFile,
             song.streamDetails?.tempFile,
+            song.streamDetails?.seekSourceFile,
             song.preloadedTempFile,
             song.processedTempFile,
             song.streamDetails?.audioResource?._tempFile,
@@ -45,6 +45,26 @@ class FileNamingService {
         return processedFile;
     }
 
+    /**
+     * Generate a unique processed file name for a seek within a song
+     * @param {string} tempFile - Source temp file path (original or processed)
+     * @returns {string} Processed file path that does not collide with the file being played
+     */
+    generateSeekFileName(tempFile) {
+        const baseFile = tempFile.replace('temp/processed_temp_', 'temp/');
+        const seekFile = this.generateProcessedFileName(baseFile).replace('.opus', `_seek_${Date.now()}.opus`);
+        console.log(`[FileNamingService] Generated seek file: ${seekFile}`);
+        return seekFile;
+    }
+
+    /**
+     * Get the original download path for a processed file
+     * @param {string} processedFile - Processed file path
+     * @returns {string} Original temp file path
+     */
+    getOriginalFileName(processedFile) {
+        return processedFile.replace('temp/processed_temp_', 'temp/');
+    }
 
     /**
      * Get all possible file variants for cleanup
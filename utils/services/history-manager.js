@@ -0,0 +1,137 @@
+// utils/services/history-manager.js
+import { existsSync } from 'fs';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { saveGuildHistory } from '../database/guildQueues.js';
+
+const MAX_HISTORY_LENGTH = 10;
+
+/**
+ * History Manager
+ * Records finished songs in session.history (newest first) and plays them again on /back
+ */
+class HistoryManager {
+    /**
+     * Create a queueable copy of a played song that remembers its temp file
+     * @param {Object} song - Played song
+     * @returns {Promise<Object>} Song object with reuseTempFile/reuseMetadata set
+     */
+    async createReplayCopy(song) {
+        const { player } = await import('../../handlers/core/player.js');
+        const { loopManager } = await import('./loop-manager.js');
+
+        return {
+            ...loopManager.createLoopCopy(song),
+            reuseTempFile: player.getSourceTempFile(song),
+            reuseMetadata: song.streamDetails?.metadata || null
+        };
+    }
+
+    /**
+     * Record a finished song at the top of the guild's history
+     * The song's temp file is remembered so going back can skip the download while the file still exists
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @param {Object} song - Song that just finished playing
+     */
+    async addToHistory(guildId, session, song) {
+        if (!song) {
+            return;
+        }
+
+        const entry = {
+            ...await this.createReplayCopy(song),
+            playedAt: new Date()
+        };
+
+        if (!Array.isArray(session.history)) {
+            session.history = [];
+        }
+        session.history.unshift(entry);
+        session.history.length = Math.min(session.history.length, MAX_HISTORY_LENGTH);
+
+        try {
+            await saveGuildHistory(guildId, session.history);
+        } catch (error) {
+            console.error(`[HistoryManager] Failed to persist history for guild ${guildId}:`, error.message);
+        }
+
+        // Not awaited - play stats only feed /play autocomplete and shouldn't delay the next song
+        const { playSuggestionsManager } = await import('./play-suggestions-manager.js');
+        playSuggestionsManager.recordPlay(guildId, song);
+
+        console.log(`[HistoryManager] 📜 Added "${song.title}" to history for guild ${guildId} (${session.history.length} entries)`);
+    }
+
+    /**
+     * Remove and return the most recent history entry
+     * Falls back to the history stored in guild_queues when the session has none (e.g. after a restart)
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @returns {Promise<Object|null>} Song to play again, or null if there is no history
+     */
+    async takePrevious(guildId, session) {
+        if (!Array.isArray(session.history) || session.history.length === 0) {
+            try {
+                const { getGuildQueue } = await import('../database/guildQueues.js');
+                const savedData = await getGuildQueue(guildId);
+                session.history = savedData?.history || [];
+            } catch (error) {
+                console.error(`[HistoryManager] Failed to load history for guild ${guildId}:`, error.message);
+                session.history = [];
+            }
+        }
+
+        const entry = session.history.shift();
+        if (!entry?.query) {
+            return null;
+        }
+
+        try {
+            await saveGuildHistory(guildId, session.history);
+        } catch (error) {
+            console.error(`[HistoryManager] Failed to persist history for guild ${guildId}:`, error.message);
+        }
+
+        // Entries loaded from the database still carry their old preload flags
+        const { playedAt: _playedAt, ...song } = { ...entry, preloadCompleted: false, isPreloading: false };
+        if (song.reuseTempFile && !existsSync(song.reuseTempFile)) {
+            console.log(`[HistoryManager] Temp file for "${song.title}" was already cleaned up, it will be downloaded again`);
+            song.reuseTempFile = null;
+        }
+        return song;
+    }
+
+    /**
+     * Go back to the previous song
+     * The previous song is queued at the front; the interrupted song follows it instead of entering history
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @returns {Promise<Object|null>} The song being played again, or null if there is no history
+     */
+    async playPrevious(guildId, session) {
+        const previousSong = await this.takePrevious(guildId, session);
+        if (!previousSong) {
+            return null;
+        }
+
+        session.queue.unshift(previousSong);
+        console.log(`[HistoryManager] ⏮️ Going back to "${previousSong.title}" for guild ${guildId}`);
+
+        const status = session.player?.state?.status;
+        if (session.nowPlaying && (status === AudioPlayerStatus.Playing || status === AudioPlayerStatus.Paused)) {
+            // Stopping the player fires Idle, which auto-advances to the song we just queued
+            session.backRequested = true;
+            session.currentSongEndedWithError = false;
+            session.player.stop(true);
+        } else {
+            // Not awaited - processing can outlast the interaction response window
+            const { queueManager } = await import('./queue-manager.js');
+            queueManager.handleAutoAdvance(guildId);
+        }
+
+        return previousSong;
+    }
+}
+
+// Export singleton instance
+export const historyManager = new HistoryManager();
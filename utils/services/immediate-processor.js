@@ -6,6 +6,9 @@
 import { createAudioResource } from '@discordjs/voice';
 import { unifiedYtdlpService } from '../processors/unified-ytdlp-service.js';
 import { processAudioWithFFmpeg } from '../processors/ffmpeg-processor.js';
+import { liveStreamService } from '../processors/live-stream-service.js';
+import { directMediaService } from '../processors/direct-media-service.js';
+import { resolveSpotifySearchQuery } from './song-search-service.js';
 import { fileNamingService } from './file-naming-service.js';
 import { loadingSequenceHandler } from './loading-sequence-handler.js';
 
@@ -41,7 +44,8 @@ class ImmediateProcessor {
             song.streamDetails = {
                 audioResource: audioData.audioResource,
                 tempFile: audioData.tempFile,
-                metadata: audioData.metadata
+                metadata: audioData.metadata,
+                streamed: !!audioData.streamed
             };
 
             console.log(`[ImmediateProcessor] ✅ Song ready for immediate playback: "${song.title}"`);
@@ -61,8 +65,32 @@ class ImmediateProcessor {
     async downloadAndProcessAudio(guildId, song) {
         console.log(`[ImmediateProcessor] 📥 Downloading audio for: "${song.title}"`);
         
-        // Get audio stream from ytdlp
-        const streamData = await unifiedYtdlpService.getAudioStream(song.query, guildId);
+        // Radio streams never end, so they always play straight from the station
+        if (song.isLive) {
+            // Processed at 100%; the player sets the session volume on the resource
+            return await liveStreamService.openStream(song.query, guildId, 100, (title) => {
+                liveStreamService.updateStreamTitle(guildId, song, title);
+            });
+        }
+        
+        await resolveSpotifySearchQuery(song, guildId);
+        
+        // Audio files are plain downloads; anything else goes through ytdlp, which may stream since the song plays right away
+        const streamData = song.isDirectMedia
+            ? await directMediaService.download(song.query, guildId, { podcast: !!song.podcastEpisodeId })
+            : await unifiedYtdlpService.getAudioStream(song.query, guildId, 100, null, { playingNow: true });
+        
+        // Streamed songs already come out of FFmpeg and have no temp file to process
+        if (streamData.streamed) {
+            console.log(`[ImmediateProcessor] ✅ Streaming audio for: "${song.title}"`);
+            return streamData;
+        }
+        
+        // yt-dlp downloads come back already processed (or straight from the audio cache)
+        if (streamData.audioResource) {
+            console.log(`[ImmediateProcessor] ✅ Audio processed for: "${song.title}"`);
+            return streamData;
+        }
         
         // Process with FFmpeg
         const processedData = await processAudioWithFFmpeg(
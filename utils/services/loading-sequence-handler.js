@@ -38,7 +38,8 @@ class LoadingSequenceHandler {
                 title: songObject.title,
                 artist: songObject.artist || 'Unknown Artist',
                 duration: songObject.duration || 'Unknown Duration',
-                thumbnail: songObject.imageUrl,
+                // Playlist tracks only keep thumbnailUrl (album art) once they've been through the database queue
+                thumbnail: songObject.imageUrl || songObject.thumbnailUrl,
                 addedBy: songObject.addedBy || 'Unknown User',
                 // Add source information for loading page logic
                 source: songObject.spotifyData ? 'spotify' : 'youtube',
@@ -68,10 +69,12 @@ class LoadingSequenceHandler {
                 title: songObject.title,
                 artist: songObject.artist || 'Unknown Artist',
                 duration: songObject.duration || 'Unknown Duration',
-                thumbnail: songObject.imageUrl,
+                thumbnail: songObject.imageUrl || songObject.thumbnailUrl,
                 // Add source information for playing page logic
                 source: songObject.spotifyData ? 'spotify' : 'youtube',
-                isSpotify: !!songObject.spotifyData
+                isSpotify: !!songObject.spotifyData,
+                isLive: !!songObject.isLive,
+                streamTitle: songObject.streamTitle || null
             };
             
             await StateCoordinator.setPlayingState(guildId, true, songData);
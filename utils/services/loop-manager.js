@@ -0,0 +1,170 @@
+// utils/services/loop-manager.js
+import { getGuildLoopMode, saveGuildLoopMode } from '../database/guildQueues.js';
+
+const LOOP_MODES = ['off', 'track', 'queue'];
+
+const LOOP_MODE_LABELS = {
+    off: 'Off',
+    track: 'Track',
+    queue: 'Queue'
+};
+
+const LOOP_MODE_EMOJIS = {
+    off: '➡️',
+    track: '🔂',
+    queue: '🔁'
+};
+
+/**
+ * Loop Manager
+ * Tracks the per-guild loop mode and re-queues finished songs during auto-advance
+ */
+class LoopManager {
+    constructor() {
+        this.guildLoopModes = new Map(); // guildId -> 'off' | 'track' | 'queue'
+    }
+
+    isValidMode(mode) {
+        return LOOP_MODES.includes(mode);
+    }
+
+    getLabel(mode) {
+        return LOOP_MODE_LABELS[mode] || LOOP_MODE_LABELS.off;
+    }
+
+    getEmoji(mode) {
+        return LOOP_MODE_EMOJIS[mode] || LOOP_MODE_EMOJIS.off;
+    }
+
+    /**
+     * Get the loop mode for a guild (cached, falls back to the database)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string>} Loop mode
+     */
+    async getLoopMode(guildId) {
+        if (this.guildLoopModes.has(guildId)) {
+            return this.guildLoopModes.get(guildId);
+        }
+
+        let mode = 'off';
+        try {
+            mode = await getGuildLoopMode(guildId);
+        } catch (error) {
+            console.error(`[LoopManager] Failed to load loop mode for guild ${guildId}:`, error.message);
+        }
+
+        if (!this.isValidMode(mode)) {
+            mode = 'off';
+        }
+        this.guildLoopModes.set(guildId, mode);
+        return mode;
+    }
+
+    /**
+     * Set and persist the loop mode for a guild
+     * @param {string} guildId - Guild ID
+     * @param {string} mode - 'off', 'track' or 'queue'
+     * @returns {Promise<string>} The mode that was set
+     */
+    async setLoopMode(guildId, mode) {
+        if (!this.isValidMode(mode)) {
+            throw new Error(`Invalid loop mode: ${mode}`);
+        }
+
+        this.guildLoopModes.set(guildId, mode);
+        try {
+            await saveGuildLoopMode(guildId, mode);
+        } catch (error) {
+            console.error(`[LoopManager] Failed to persist loop mode for guild ${guildId}:`, error.message);
+        }
+
+        console.log(`[LoopManager] Loop mode for guild ${guildId} set to ${mode}`);
+        return mode;
+    }
+
+    /**
+     * Advance to the next loop mode (off -> track -> queue -> off)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string>} The new mode
+     */
+    async cycleLoopMode(guildId) {
+        const current = await this.getLoopMode(guildId);
+        const next = LOOP_MODES[(LOOP_MODES.indexOf(current) + 1) % LOOP_MODES.length];
+        return await this.setLoopMode(guildId, next);
+    }
+
+    /**
+     * Create a fresh queue entry from a finished song
+     * Audio resources are single-use, so all playback data is dropped and the song is processed again
+     * @param {Object} song - Finished song
+     * @returns {Object} Song object ready to be queued
+     */
+    createLoopCopy(song) {
+        const {
+            streamDetails: _streamDetails,
+            preloadedTempFile: _preloadedTempFile,
+            preloadedMetadata: _preloadedMetadata,
+            processedTempFile: _processedTempFile,
+            processedAudioResource: _processedAudioResource,
+            processedVolume: _processedVolume,
+            tempFile: _tempFile,
+            ytDlpProcess: _ytDlpProcess,
+            ffmpegProcess: _ffmpegProcess,
+            ...songData
+        } = song;
+
+        return {
+            ...songData,
+            streamDetails: null,
+            preloadCompleted: false,
+            isPreloading: false
+        };
+    }
+
+    /**
+     * Re-queue the finished song according to the guild's loop mode
+     * Called by the queue manager before it advances to the next song
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @param {Object} finishedSong - Song that just finished playing
+     * @returns {Promise<boolean>} True if the song was re-queued
+     */
+    async applyLoopMode(guildId, session, finishedSong) {
+        const wasSkipped = !!session.skipRequested;
+        const wasStopped = !!session.stopRequested;
+        session.skipRequested = false;
+        session.stopRequested = false;
+
+        if (!finishedSong || wasStopped) {
+            return false;
+        }
+
+        const mode = await this.getLoopMode(guildId);
+
+        // A manual skip moves past the looped track instead of repeating it
+        if (mode === 'track' && !wasSkipped) {
+            session.queue.unshift(this.createLoopCopy(finishedSong));
+            console.log(`[LoopManager] 🔂 Repeating "${finishedSong.title}" for guild ${guildId}`);
+            return true;
+        }
+
+        if (mode === 'queue') {
+            const loopCopy = this.createLoopCopy(finishedSong);
+            if (session.lazyLoadInfo) {
+                // The queue continues in the database, so the song belongs at the end of that tail
+                const { queueManager } = await import('./queue-manager.js');
+                const fullQueue = await queueManager.getFullQueue(guildId, session);
+                await queueManager.replaceQueue(guildId, session, [...fullQueue, loopCopy]);
+            } else {
+                session.queue.push(loopCopy);
+            }
+            console.log(`[LoopManager] 🔁 Re-appended "${finishedSong.title}" to the queue for guild ${guildId}`);
+            return true;
+        }
+
+        return false;
+    }
+}
+
+// Export singleton instance
+export const loopManager = new LoopManager();
@@ -0,0 +1,125 @@
+// utils/services/lyrics-providers.js
+// Lyrics providers for the lyrics service
+//
+// A provider is any object with a `name` and an async `getLyrics({ title, artist, duration })`
+// that resolves to { title, artist, plainLyrics, syncedLyrics } (syncedLyrics in LRC format, or null)
+// or to null when it has nothing for the track
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join, extname, basename } from 'path';
+import fetch from 'node-fetch';
+
+const LYRICS_DIR = process.env.LYRICS_DIR || 'lyrics';
+const HTTP_TIMEOUT_MS = 10000;
+
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reads .lrc and .txt files from a local directory, so lyrics work without network access
+ * Files are matched by name: "Artist - Title.lrc" or "Title.lrc"
+ */
+export class LocalLyricsProvider {
+    constructor(directory = LYRICS_DIR) {
+        this.name = 'Local files';
+        this.directory = directory;
+    }
+
+    findFile(title, artist) {
+        if (!existsSync(this.directory)) {
+            return null;
+        }
+
+        const wantedTitle = normalize(title);
+        const wantedArtist = normalize(artist);
+        let best = null;
+        for (const file of readdirSync(this.directory)) {
+            const extension = extname(file).toLowerCase();
+            if (extension !== '.lrc' && extension !== '.txt') {
+                continue;
+            }
+            const name = normalize(basename(file, extname(file)));
+            if (!wantedTitle || !name.includes(wantedTitle)) {
+                continue;
+            }
+            // Prefer files that also name the artist, then synced over plain
+            const score = (wantedArtist && name.includes(wantedArtist) ? 2 : 0) + (extension === '.lrc' ? 1 : 0);
+            if (!best || score > best.score) {
+                best = { file, extension, score };
+            }
+        }
+        return best;
+    }
+
+    async getLyrics({ title, artist }) {
+        const match = this.findFile(title, artist);
+        if (!match) {
+            return null;
+        }
+
+        const text = readFileSync(join(this.directory, match.file), 'utf8');
+        return {
+            title,
+            artist,
+            plainLyrics: match.extension === '.txt' ? text : null,
+            syncedLyrics: match.extension === '.lrc' ? text : null
+        };
+    }
+}
+
+/**
+ * Looks lyrics up on an LRCLIB-compatible API (GET /api/search returns { trackName, artistName, duration, plainLyrics, syncedLyrics })
+ * Only used when LYRICS_API_URL is set
+ */
+export class HttpLyricsProvider {
+    constructor(baseUrl) {
+        this.name = new URL(baseUrl).hostname;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async getLyrics({ title, artist, duration }) {
+        const params = new URLSearchParams({ track_name: title });
+        if (artist) {
+            params.set('artist_name', artist);
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
+        let results;
+        try {
+            const response = await fetch(`${this.baseUrl}/api/search?${params}`, {
+                signal: controller.signal,
+                headers: { 'User-Agent': 'DiscProduction Discord bot' }
+            });
+            if (!response.ok) {
+                throw new Error(`Lyrics API returned HTTP ${response.status}`);
+            }
+            results = await response.json();
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        const withLyrics = (Array.isArray(results) ? results : []).filter(result => result.plainLyrics || result.syncedLyrics);
+        if (withLyrics.length === 0) {
+            return null;
+        }
+        // Several versions of a song can match; the one closest in length is most likely the one playing
+        const durationSeconds = Number(duration) || 0;
+        const [best] = durationSeconds
+            ? withLyrics.sort((a, b) => Math.abs(a.duration - durationSeconds) - Math.abs(b.duration - durationSeconds))
+            : withLyrics;
+
+        return {
+            title: best.trackName || title,
+            artist: best.artistName || artist,
+            plainLyrics: best.plainLyrics || null,
+            syncedLyrics: best.syncedLyrics || null
+        };
+    }
+}
@@ -0,0 +1,194 @@
+// utils/services/lyrics-service.js
+import { LocalLyricsProvider, HttpLyricsProvider } from './lyrics-providers.js';
+
+export const LINES_PER_PAGE = 20;
+// Looked-up lyrics are kept for a while, so paging and re-opening the viewer don't hit the providers again
+const LYRICS_CACHE_TTL_MS = 30 * 60 * 1000;
+const MAX_CACHED_LYRICS = 100;
+// Viewers that nobody has paged in this long are dropped
+const VIEWER_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Parse LRC text into timed lines, oldest first
+ * A line may carry several timestamps ("[00:12.00][01:30.00]chorus"); tag lines like [ar:...] are skipped
+ * @param {string} lrc - LRC file contents
+ * @returns {Array} [{ time, text }] with time in seconds
+ */
+export function parseLrc(lrc) {
+    const lines = [];
+    for (const rawLine of lrc.split(/\r?\n/)) {
+        const stamps = [...rawLine.matchAll(/\[(\d+):(\d+(?:\.\d+)?)\]/g)];
+        if (stamps.length === 0) {
+            continue;
+        }
+        const text = rawLine.replace(/\[\d+:\d+(?:\.\d+)?\]/g, '').trim();
+        for (const [, minutes, seconds] of stamps) {
+            lines.push({ time: parseInt(minutes, 10) * 60 + parseFloat(seconds), text });
+        }
+    }
+    return lines.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Lyrics Service
+ * Looks lyrics up through a list of providers (local LRC/text files first, then an optional HTTP API)
+ * and keeps a per-user viewer so the lyrics embeds can be paged through
+ */
+class LyricsService {
+    constructor() {
+        this.providers = [new LocalLyricsProvider()];
+        if (process.env.LYRICS_API_URL) {
+            this.providers.push(new HttpLyricsProvider(process.env.LYRICS_API_URL));
+        }
+        this.cache = new Map(); // track key -> { lyrics, fetchedAt }
+        this.viewers = new Map(); // `${guildId}:${userId}` -> { lyrics, page, guildId, song, updatedAt }
+    }
+
+    /**
+     * Add a provider; providers are asked in order until one has lyrics
+     * @param {Object} provider - { name, getLyrics({ title, artist, duration }) }
+     * @param {boolean} first - Ask this provider before the existing ones
+     */
+    registerProvider(provider, first = false) {
+        if (first) {
+            this.providers.unshift(provider);
+        } else {
+            this.providers.push(provider);
+        }
+    }
+
+    /**
+     * Turn a queued song into the title/artist the providers search for
+     * YouTube titles often read "Artist - Title (Official Video)" and uploaders "Artist - Topic" or "ArtistVEVO"
+     */
+    getTrackQuery(song) {
+        let title = String(song.title || '')
+            .replace(/\s*[([][^)\]]*\b(official|video|audio|lyrics?|visuali[sz]er|hd|4k|remaster(ed)?)\b[^)\]]*[)\]]/gi, '')
+            .trim();
+        let artist = String(song.artist || song.uploader || '')
+            .replace(/\s*-\s*Topic$/i, '')
+            .replace(/VEVO$/i, '')
+            .trim();
+
+        const separator = title.indexOf(' - ');
+        if (separator > 0) {
+            const [left, right] = [title.slice(0, separator).trim(), title.slice(separator + 3).trim()];
+            // Spotify playlist tracks are "Title - Artist", YouTube uploads usually "Artist - Title"
+            if (artist && right.toLowerCase() === artist.toLowerCase()) {
+                title = left;
+            } else if (!artist || left.toLowerCase().includes(artist.toLowerCase())) {
+                artist = left;
+                title = right;
+            }
+        }
+
+        return { title, artist: artist || null, duration: Number(song.duration) || 0 };
+    }
+
+    getCacheKey({ title, artist }) {
+        return `${String(title).toLowerCase()}|${String(artist || '').toLowerCase()}`;
+    }
+
+    /**
+     * Find lyrics for a track
+     * @param {Object} track - { title, artist, duration }
+     * @returns {Promise<Object|null>} { title, artist, source, synced, lines: [{ time, text }] } or null
+     */
+    async findLyrics(track) {
+        const key = this.getCacheKey(track);
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < LYRICS_CACHE_TTL_MS) {
+            return cached.lyrics;
+        }
+
+        let lyrics = null;
+        for (const provider of this.providers) {
+            try {
+                const result = await provider.getLyrics(track);
+                if (!result || (!result.syncedLyrics && !result.plainLyrics)) {
+                    continue;
+                }
+
+                const syncedLines = result.syncedLyrics ? parseLrc(result.syncedLyrics) : [];
+                lyrics = {
+                    title: result.title || track.title,
+                    artist: result.artist || track.artist,
+                    source: provider.name,
+                    synced: syncedLines.length > 0,
+                    lines: syncedLines.length > 0
+                        ? syncedLines
+                        // Synced text without usable timestamps is still readable as plain lines
+                        : (result.plainLyrics || result.syncedLyrics).split(/\r?\n/).map(text => ({ time: null, text: text.trim() }))
+                };
+                console.log(`[Lyrics] Found ${lyrics.synced ? 'synced' : 'plain'} lyrics for "${track.title}" via ${provider.name}`);
+                break;
+            } catch (error) {
+                console.error(`[Lyrics] Provider ${provider.name} failed for "${track.title}":`, error.message);
+            }
+        }
+
+        if (this.cache.size >= MAX_CACHED_LYRICS) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, { lyrics, fetchedAt: Date.now() });
+        return lyrics;
+    }
+
+    getPageCount(lyrics) {
+        return Math.max(1, Math.ceil(lyrics.lines.length / LINES_PER_PAGE));
+    }
+
+    /**
+     * Index of the line being sung at the given position, or -1 before the first line
+     */
+    getCurrentLineIndex(lyrics, elapsedSeconds) {
+        if (!lyrics.synced) {
+            return -1;
+        }
+        let index = -1;
+        for (let i = 0; i < lyrics.lines.length && lyrics.lines[i].time <= elapsedSeconds; i++) {
+            index = i;
+        }
+        return index;
+    }
+
+    getViewerKey(guildId, userId) {
+        return `${guildId}:${userId}`;
+    }
+
+    pruneViewers() {
+        const now = Date.now();
+        for (const [key, viewer] of this.viewers) {
+            if (now - viewer.updatedAt > VIEWER_TTL_MS) {
+                this.viewers.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Open a lyrics viewer for a user
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @param {Object} lyrics - Result of findLyrics
+     * @param {Object|null} song - Song being played, when the lyrics belong to it (enables the synced highlight)
+     * @returns {Object} Viewer
+     */
+    openViewer(guildId, userId, lyrics, song = null) {
+        this.pruneViewers();
+        const viewer = { guildId, lyrics, song, page: 0, updatedAt: Date.now() };
+        this.viewers.set(this.getViewerKey(guildId, userId), viewer);
+        return viewer;
+    }
+
+    getViewer(guildId, userId) {
+        this.pruneViewers();
+        const viewer = this.viewers.get(this.getViewerKey(guildId, userId));
+        if (viewer) {
+            viewer.updatedAt = Date.now();
+        }
+        return viewer || null;
+    }
+}
+
+// Export singleton instance
+export const lyricsService = new LyricsService();
@@ -0,0 +1,149 @@
+// utils/services/play-suggestions-manager.js
+import {
+    hashQuery,
+    storeAudioMetadata,
+    updatePlayStats,
+    updateGuildPlayStats,
+    searchGuildPlays,
+    getGuildRecentlyPlayed,
+    getGuildMostPopular
+} from '../database/audioMetadata.js';
+import { audioCacheManager } from './audio-cache-manager.js';
+
+// Discord allows at most 25 autocomplete choices, each name and value up to 100 characters
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+/**
+ * Play Suggestions Manager
+ * Records finished songs in audio_metadata and turns guild history and the guild's past and popular plays
+ * into /play autocomplete choices whose values are URLs, so picking one skips the YouTube search
+ */
+class PlaySuggestionsManager {
+    getSourceUrl(song) {
+        const url = song?.youtubeUrl || song?.query;
+        if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+            return null;
+        }
+        // Same key the audio cache records its files under
+        const videoId = audioCacheManager.getVideoId(url);
+        return videoId ? audioCacheManager.getCanonicalUrl(videoId) : url;
+    }
+
+    /**
+     * Record a finished song in audio_metadata and bump its play count for the guild
+     * @param {string} guildId - Guild ID
+     * @param {Object} song - Song that just finished playing
+     */
+    async recordPlay(guildId, song) {
+        const sourceUrl = this.getSourceUrl(song);
+        if (!sourceUrl || !song.title) {
+            return;
+        }
+
+        const queryHash = hashQuery(sourceUrl);
+        try {
+            await storeAudioMetadata({
+                queryHash,
+                title: song.title,
+                durationSeconds: typeof song.duration === 'number' ? Math.round(song.duration) : null,
+                thumbnailUrl: song.imageUrl || song.thumbnailUrl || null,
+                uploader: song.artist || song.uploader || null,
+                sourceUrl,
+                streamUrl: null,
+                streamUrlExpiresAt: null,
+                fileSizeBytes: null,
+                formatInfo: null,
+                additionalMetadata: null
+            });
+            await updatePlayStats(queryHash);
+            await updateGuildPlayStats(guildId, queryHash);
+        } catch (error) {
+            console.error(`[PlaySuggestions] Failed to record play for "${song.title}":`, error.message);
+        }
+    }
+
+    /**
+     * Get the guild's play history, newest first
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session (optional)
+     * @returns {Promise<Array>} History entries
+     */
+    async getGuildHistory(guildId, session) {
+        if (Array.isArray(session?.history) && session.history.length > 0) {
+            return session.history;
+        }
+
+        try {
+            const { getGuildQueue } = await import('../database/guildQueues.js');
+            const savedData = await getGuildQueue(guildId);
+            return savedData?.history || [];
+        } catch (error) {
+            console.error(`[PlaySuggestions] Failed to load history for guild ${guildId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Run an audio_metadata lookup without letting a missing database break autocomplete
+     */
+    async safeLookup(lookup) {
+        try {
+            return await lookup();
+        } catch (error) {
+            console.error('[PlaySuggestions] audio_metadata lookup failed:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Build autocomplete choices for a partially typed /play query
+     * Guild history comes first, then the guild's past plays matching the text (or its recent and popular tracks when nothing is typed)
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session (optional)
+     * @param {string} typed - What the user has typed so far
+     * @returns {Promise<Array>} [{ name, value }]
+     */
+    async getChoices(guildId, session, typed) {
+        const search = (typed || '').trim().toLowerCase();
+        const candidates = [];
+
+        for (const song of await this.getGuildHistory(guildId, session)) {
+            if (!search || song.title?.toLowerCase().includes(search)) {
+                candidates.push({ emoji: '🕘', title: song.title, url: this.getSourceUrl(song) });
+            }
+        }
+
+        const tracks = search
+            ? await this.safeLookup(() => searchGuildPlays(guildId, search, MAX_CHOICES))
+            : [
+                ...await this.safeLookup(() => getGuildRecentlyPlayed(guildId, 10)),
+                ...await this.safeLookup(() => getGuildMostPopular(guildId, 10))
+            ];
+        for (const track of tracks) {
+            candidates.push({ emoji: track.playCount > 1 ? '🔥' : '🎵', title: track.title, url: track.sourceUrl });
+        }
+
+        const seen = new Set();
+        const choices = [];
+        for (const { emoji, title, url } of candidates) {
+            if (!title || !url || url.length > MAX_CHOICE_LENGTH || seen.has(url)) {
+                continue;
+            }
+            seen.add(url);
+
+            const name = `${emoji} ${title}`;
+            choices.push({
+                name: name.length > MAX_CHOICE_LENGTH ? `${name.slice(0, MAX_CHOICE_LENGTH - 1)}…` : name,
+                value: url
+            });
+            if (choices.length >= MAX_CHOICES) {
+                break;
+            }
+        }
+        return choices;
+    }
+}
+
+// Export singleton instance
+export const playSuggestionsManager = new PlaySuggestionsManager();
@@ -0,0 +1,243 @@
+// utils/services/podcast-service.js
+import { createHash } from 'crypto';
+import fetch from 'node-fetch';
+import { playerStateManager } from '../core/player-state-manager.js';
+import { getPodcastPosition, savePodcastPosition, clearPodcastPosition } from '../database/podcastPositions.js';
+
+const FEED_TIMEOUT_MS = 15000;
+// Feeds are kept in memory so the episode picker can refer to them by a short key
+const FEED_CACHE_TTL_MS = 60 * 60 * 1000;
+// Discord select menus hold at most 25 options
+export const MAX_EPISODES = 25;
+// How often the position of a playing episode is saved
+const POSITION_SAVE_INTERVAL_MS = 15000;
+// Positions this close to either end aren't worth resuming from
+const RESUME_MARGIN_SECONDS = 30;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decodeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+        .trim();
+}
+
+function getTagText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? decodeXml(match[1]) : null;
+}
+
+function getTagAttribute(xml, tag, attribute) {
+    const match = xml.match(new RegExp(`<${tag}\\s[^>]*?${attribute}\\s*=\\s*["']([^"']+)["']`, 'i'));
+    return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Parse an itunes:duration value (seconds, MM:SS or HH:MM:SS)
+ */
+function parseDuration(value) {
+    if (!value) {
+        return 0;
+    }
+    const seconds = value.split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+    return Number.isFinite(seconds) ? seconds : 0;
+}
+
+/**
+ * Podcast Service
+ * Reads podcast RSS feeds for /podcast and keeps a per-guild position for every episode,
+ * so an episode that was stopped or skipped picks up where the guild left it
+ */
+class PodcastService {
+    constructor() {
+        this.feeds = new Map(); // feedKey -> { feedUrl, title, imageUrl, episodes, fetchedAt }
+        this.positionTimers = new Map(); // guildId -> position save interval
+    }
+
+    getFeedKey(feedUrl) {
+        return createHash('sha1').update(feedUrl).digest('hex').slice(0, 12);
+    }
+
+    /**
+     * Parse an RSS document into the podcast's title, artwork and episodes that have an audio enclosure
+     */
+    parseFeed(xml, feedUrl) {
+        const channel = xml.split(/<item[\s>]/i)[0];
+        const title = getTagText(channel, 'title') || new URL(feedUrl).hostname;
+        const imageUrl = getTagAttribute(channel, 'itunes:image', 'href') || getTagText(getTagText(channel, 'image') || '', 'url');
+
+        const episodes = [];
+        for (const match of xml.matchAll(/<item[\s>]([\s\S]*?)<\/item>/gi)) {
+            const item = match[1];
+            const url = getTagAttribute(item, 'enclosure', 'url');
+            if (!url) {
+                continue;
+            }
+            episodes.push({
+                id: getTagText(item, 'guid') || url,
+                title: getTagText(item, 'title') || 'Untitled Episode',
+                url,
+                duration: parseDuration(getTagText(item, 'itunes:duration')),
+                publishedAt: getTagText(item, 'pubDate'),
+                imageUrl: getTagAttribute(item, 'itunes:image', 'href') || imageUrl
+            });
+        }
+
+        return { title, imageUrl, episodes };
+    }
+
+    /**
+     * Fetch and parse a podcast feed, keeping it in memory for the episode picker
+     * @param {string} feedUrl - RSS feed URL
+     * @returns {Promise<Object>} { feedKey, feedUrl, title, imageUrl, episodes } with the latest episodes first
+     */
+    async loadFeed(feedUrl) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), FEED_TIMEOUT_MS);
+        let xml;
+        try {
+            const response = await fetch(feedUrl, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Feed returned HTTP ${response.status}`);
+            }
+            xml = await response.text();
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        if (!/<rss[\s>]/i.test(xml)) {
+            throw new Error('That link is not a podcast RSS feed');
+        }
+
+        const feed = this.parseFeed(xml, feedUrl);
+        if (feed.episodes.length === 0) {
+            throw new Error('That feed has no playable episodes');
+        }
+        // Most feeds list the newest episode first; sort anyway for the ones that don't
+        feed.episodes.sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0));
+
+        const feedKey = this.getFeedKey(feedUrl);
+        this.pruneFeeds();
+        this.feeds.set(feedKey, { feedUrl, ...feed, fetchedAt: Date.now() });
+        console.log(`[Podcast] Loaded "${feed.title}" with ${feed.episodes.length} episodes from ${feedUrl}`);
+        return { feedKey, feedUrl, ...feed };
+    }
+
+    pruneFeeds() {
+        const now = Date.now();
+        for (const [feedKey, feed] of this.feeds) {
+            if (now - feed.fetchedAt > FEED_CACHE_TTL_MS) {
+                this.feeds.delete(feedKey);
+            }
+        }
+    }
+
+    /**
+     * Look up an episode picked from the episode menu
+     * @returns {Object|null} { feed, episode } or null if the feed is no longer in memory
+     */
+    getEpisode(feedKey, episodeIndex) {
+        this.pruneFeeds();
+        const feed = this.feeds.get(feedKey);
+        const episode = feed?.episodes[episodeIndex];
+        return episode ? { feed, episode } : null;
+    }
+
+    getDuration(song) {
+        // Song durations fall back to a display string when unknown
+        return Number(song.streamDetails?.metadata?.duration) || Number(song.duration) || 0;
+    }
+
+    /**
+     * Start a podcast episode from its saved position and keep saving it while it plays
+     * @param {string} guildId - Guild ID
+     * @param {Object} song - Episode song (has podcastEpisodeId)
+     * @param {Object} session - Audio session
+     */
+    async resumeEpisode(guildId, song, session) {
+        this.stopTracking(guildId);
+
+        let position = 0;
+        try {
+            position = await getPodcastPosition(guildId, song.podcastEpisodeId);
+        } catch (error) {
+            console.error(`[Podcast] Failed to load position for "${song.title}":`, error.message);
+        }
+
+        const duration = this.getDuration(song);
+        if (position >= RESUME_MARGIN_SECONDS && (!duration || position < duration - RESUME_MARGIN_SECONDS)) {
+            try {
+                const { player } = await import('../../handlers/core/player.js');
+                await player.seekSong(guildId, session, position);
+                console.log(`[Podcast] ⏩ Resumed "${song.title}" at ${position}s in guild ${guildId}`);
+            } catch (error) {
+                console.error(`[Podcast] Could not resume "${song.title}" at ${position}s:`, error.message);
+            }
+        }
+
+        const interval = setInterval(() => {
+            if (song !== playerStateManager.getNowPlaying(guildId)) {
+                this.stopTracking(guildId);
+                return;
+            }
+            this.recordPosition(guildId, song);
+        }, POSITION_SAVE_INTERVAL_MS);
+        this.positionTimers.set(guildId, interval);
+    }
+
+    /**
+     * Save the current position of a playing episode
+     * @param {number} [position] - Position in seconds, defaults to the live playback position
+     */
+    recordPosition(guildId, song, position = playerStateManager.getPlaybackPosition(guildId)) {
+        if (position <= 0) {
+            return;
+        }
+        song.podcastPosition = position;
+        savePodcastPosition(guildId, song.podcastEpisodeId, position).catch(error => {
+            console.error(`[Podcast] Failed to save position for "${song.title}":`, error.message);
+        });
+    }
+
+    stopTracking(guildId) {
+        const interval = this.positionTimers.get(guildId);
+        if (interval) {
+            clearInterval(interval);
+            this.positionTimers.delete(guildId);
+        }
+    }
+
+    /**
+     * Settle an episode's saved position when it stops playing
+     * Episodes played to the end are forgotten; skipped or stopped ones save the exact position they stopped at
+     * @param {string} guildId - Guild ID
+     * @param {Object} song - Episode that just stopped
+     * @param {Object} session - Audio session
+     */
+    async finishEpisode(guildId, song, session) {
+        // The player is already idle here, so use the position it recorded as the resource stopped
+        this.recordPosition(guildId, song, playerStateManager.getState(guildId)?.endedAtPosition || 0);
+        this.stopTracking(guildId);
+
+        const duration = this.getDuration(song);
+        const interrupted = session?.skipRequested || session?.stopRequested || session?.backRequested;
+        const nearEnd = duration > 0 && (song.podcastPosition || 0) >= duration - RESUME_MARGIN_SECONDS;
+        if (interrupted && !nearEnd) {
+            console.log(`[Podcast] 💾 "${song.title}" stopped at ${song.podcastPosition || 0}s in guild ${guildId}`);
+            return;
+        }
+
+        try {
+            await clearPodcastPosition(guildId, song.podcastEpisodeId);
+            console.log(`[Podcast] ✅ "${song.title}" finished in guild ${guildId}, position cleared`);
+        } catch (error) {
+            console.error(`[Podcast] Failed to clear position for "${song.title}":`, error.message);
+        }
+    }
+}
+
+// Export singleton instance
+export const podcastService = new PodcastService();
@@ -1,4 +1,6 @@
 import { unifiedYtdlpService } from '../processors/unified-ytdlp-service.js';
+import { directMediaService } from '../processors/direct-media-service.js';
+import { resolveSpotifySearchQuery } from './song-search-service.js';
 import { getExistingSession } from '../core/audio-state.js';
 
 class Preloader {
@@ -19,6 +21,11 @@ class Preloader {
             console.log(`[Preloader] ⏭️ Skipping preload - already preloading or completed`);
             return; // Already preloading or completed
         }
+
+        if (song.isLive) {
+            console.log(`[Preloader] ⏭️ Skipping preload - "${song.title}" is a live stream and opens when it plays`);
+            return;
+        }
         
         // Check if we're already preloading this song
         if (!this.preloadInProgress.has(guildId)) {
@@ -38,12 +45,17 @@ class Preloader {
         console.log(`[Preloader] 🚀 Starting preload for: "${song.title}"`);
         
         try {
-            // Get current volume from session
+            // Get current volume from session; silence can't be turned back up, so a muted session preloads at 100%
             const session = getExistingSession(guildId);
             const currentVolume = session?.volume || 100;
             
-            // Use unified service to download audio only (no heavy objects)
-            const downloadResult = await unifiedYtdlpService.downloadAudioOnly(song.query, guildId);
+            // Playlist tracks are matched to a video here rather than when the playlist is queued
+            await resolveSpotifySearchQuery(song, guildId);
+            
+            // Use unified service to download audio only (no heavy objects); audio files are fetched directly
+            const downloadResult = song.isDirectMedia
+                ? await directMediaService.download(song.query, guildId, { podcast: !!song.podcastEpisodeId })
+                : await unifiedYtdlpService.downloadAudioOnly(song.query, guildId);
             
             // Store preloaded data per-guild to prevent cross-song contamination
             if (!this.guildPreloadedData.has(guildId)) {
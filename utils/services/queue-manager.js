@@ -1,6 +1,8 @@
 // utils/queue-manager.js
+import { existsSync } from 'fs';
 import { getExistingSession } from '../core/audio-state.js';
 import { preloader } from './preloader.js';
+import { queuePolicyManager } from './queue-policy-manager.js';
 
 /**
  * Centralized Queue Manager
@@ -24,9 +26,30 @@ class QueueManager {
             shouldPreload = true,
             preloadOnlyNext = true,
             emitQueueChanged = true,
-            startPlayback = true
+            startPlayback = true,
+            applyQueueLimits = true
         } = options;
 
+        // Drop songs over the guild's playlist/per-user limits before anything is queued
+        let limitMessage = null;
+        if (applyQueueLimits) {
+            const limitResult = await queuePolicyManager.applyLimits(guildId, songs, await this.getFullQueue(guildId, session));
+            songs = limitResult.songs;
+            limitMessage = limitResult.message;
+            if (limitMessage) {
+                await queuePolicyManager.notify(options.interactionDetails, limitMessage);
+            }
+            if (songs.length === 0) {
+                return {
+                    addedCount: 0,
+                    totalQueueLength: session.queue.length,
+                    preloadedCount: 0,
+                    startedPlayback: false,
+                    limitMessage
+                };
+            }
+        }
+
         console.log(`[QueueManager] Adding ${songs.length} songs to queue for guild ${guildId}`);
         
         // Check if we should start playback (no song currently playing)
@@ -69,6 +92,9 @@ class QueueManager {
             session.lazyLoadInfo = options.lazyLoadInfo;
         }
 
+        // Fair mode interleaves the whole upcoming queue, including the database tail
+        await queuePolicyManager.applyFairOrder(guildId, session);
+
         // Start playback if needed (BEFORE preloading)
         if (shouldStartPlayback && session.queue.length > 0) {
             console.log(`[QueueManager] Starting immediate playback for first song in queue`);
@@ -119,7 +145,8 @@ class QueueManager {
             addedCount: songs.length,
             totalQueueLength: session.queue.length,
             preloadedCount: preloadOnlyNext ? 1 : songs.length,
-            startedPlayback: shouldStartPlayback
+            startedPlayback: shouldStartPlayback,
+            limitMessage
         };
     }
 
@@ -130,46 +157,71 @@ class QueueManager {
      * @param {Object} djsClient - Discord client
      * @param {Object} session - Audio session
      * @param {Object} playlistInfo - Playlist information
+     * @param {Object} options - { interactionDetails } used to report songs dropped by queue limits
      */
-    async addPlaylistToQueue(guildId, songs, djsClient, session, playlistInfo) {
+    async addPlaylistToQueue(guildId, songs, djsClient, session, playlistInfo, options = {}) {
         console.log(`[QueueManager] Adding playlist "${playlistInfo.name}" with ${songs.length} songs`);
         
+        // Drop songs over the guild's playlist/per-user limits before anything is queued
+        const limitResult = await queuePolicyManager.applyLimits(guildId, songs, await this.getFullQueue(guildId, session));
+        songs = limitResult.songs;
+        if (limitResult.message) {
+            await queuePolicyManager.notify(options.interactionDetails, limitResult.message);
+        }
+        if (songs.length === 0) {
+            return {
+                inMemoryCount: 0,
+                databaseCount: 0,
+                totalCount: 0,
+                startedPlayback: false,
+                limitMessage: limitResult.message
+            };
+        }
+        
         const maxInMemory = 3; // Keep only 3 songs in memory at a time
+        const { fairQueue } = await queuePolicyManager.getPolicy(guildId);
         
         if (songs.length > maxInMemory) {
             // Large playlist - use lazy loading
             console.log(`[QueueManager] Large playlist detected, using lazy loading strategy`);
             
-            // Keep first few songs in memory
-            const inMemorySongs = songs.slice(0, maxInMemory);
-            const databaseSongs = songs.slice(maxInMemory);
+            if (fairQueue) {
+                // Fair mode - interleave the playlist with everything already queued, memory and database tail alike
+                const fullQueue = await this.getFullQueue(guildId, session);
+                await this.replaceQueue(guildId, session, queuePolicyManager.interleave([...fullQueue, ...songs], session.nowPlaying));
+                console.log(`[QueueManager] ⚖️ Interleaved playlist into the queue fairly for guild ${guildId}`);
+            } else {
+                // Keep first few songs in memory
+                const inMemorySongs = songs.slice(0, maxInMemory);
+                const databaseSongs = songs.slice(maxInMemory);
             
-            // Add in-memory songs to session queue
-            session.queue.push(...inMemorySongs);
+                // Add in-memory songs to session queue
+                session.queue.push(...inMemorySongs);
             
-            // Save to database
-            try {
-                const { saveGuildQueue } = await import('../database/guildQueues.js');
-                await saveGuildQueue(guildId, {
-                    nowPlaying: session.nowPlaying,
-                    queue: databaseSongs,
-                    history: session.history || [],
-                    lazyLoadInfo: {
+                // Save to database
+                try {
+                    const { saveGuildQueue } = await import('../database/guildQueues.js');
+                    await saveGuildQueue(guildId, {
+                        nowPlaying: session.nowPlaying,
+                        queue: databaseSongs,
+                        history: session.history || [],
+                        lazyLoadInfo: {
+                            inMemoryCount: inMemorySongs.length,
+                            totalCount: inMemorySongs.length + databaseSongs.length, // Total remaining songs
+                            lastUpdated: Date.now()
+                        }
+                    });
+                
+                    session.lazyLoadInfo = {
                         inMemoryCount: inMemorySongs.length,
                         totalCount: inMemorySongs.length + databaseSongs.length, // Total remaining songs
                         lastUpdated: Date.now()
-                    }
-                });
-                
-                session.lazyLoadInfo = {
-                    inMemoryCount: inMemorySongs.length,
-                    totalCount: inMemorySongs.length + databaseSongs.length, // Total remaining songs
-                    lastUpdated: Date.now()
-                };
+                    };
                 
-                console.log(`[QueueManager] Saved ${databaseSongs.length} songs to database, kept ${inMemorySongs.length} in memory`);
-            } catch (dbError) {
-                console.error(`[QueueManager] Failed to save playlist to database:`, dbError.message);
+                    console.log(`[QueueManager] Saved ${databaseSongs.length} songs to database, kept ${inMemorySongs.length} in memory`);
+                } catch (dbError) {
+                    console.error(`[QueueManager] Failed to save playlist to database:`, dbError.message);
+                }
             }
 
             // CRITICAL FIX: Start playback for large playlists too!
@@ -212,7 +264,8 @@ class QueueManager {
                 inMemoryCount: Math.min(songs.length, maxInMemory),
                 databaseCount: Math.max(0, songs.length - maxInMemory),
                 totalCount: songs.length,
-                startedPlayback: startedPlayback
+                startedPlayback: startedPlayback,
+                limitMessage: limitResult.message
             };
         } else {
             // Small playlist - add all songs normally
@@ -220,7 +273,8 @@ class QueueManager {
                 shouldPreload: true,
                 preloadOnlyNext: true,
                 emitQueueChanged: true,
-                startPlayback: true
+                startPlayback: true,
+                applyQueueLimits: false // Already applied above
             });
 
             // IMMEDIATE PRELOAD: Start preloading the next song right after adding
@@ -233,7 +287,8 @@ class QueueManager {
                 inMemoryCount: songs.length,
                 databaseCount: 0,
                 totalCount: songs.length,
-                startedPlayback: result.startedPlayback
+                startedPlayback: result.startedPlayback,
+                limitMessage: limitResult.message
             };
         }
     }
@@ -279,7 +334,15 @@ class QueueManager {
                     title: song.title || 'Unknown Title',
                     query: song.query || '',
                     addedBy: song.addedBy || 'Unknown User',
+                    addedById: song.addedById || null,
                     thumbnailUrl: song.thumbnailUrl || null,
+                    isLive: song.isLive || false,
+                    isDirectMedia: song.isDirectMedia || false,
+                    podcastEpisodeId: song.podcastEpisodeId || null,
+                    spotifyId: song.spotifyId || null,
+                    spotifyTitle: song.spotifyTitle || null,
+                    artist: song.artist || null,
+                    duration: song.duration || null,
                     // PRESERVE essential data for playback
                     spotifyData: song.spotifyData || null,
                     // Clear old preloaded data - will be recreated by new system
@@ -333,6 +396,101 @@ class QueueManager {
         }
     }
 
+    /**
+     * Get the complete upcoming queue: in-memory songs followed by the
+     * database tail that has not been lazy-loaded yet
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @returns {Promise<Array>} Upcoming songs in play order
+     */
+    async getFullQueue(guildId, session) {
+        const memorySongs = [...(session?.queue || [])];
+        
+        try {
+            const { getGuildQueue } = await import('../database/guildQueues.js');
+            const dbData = await getGuildQueue(guildId);
+            const databaseSongs = (dbData?.queue || []).filter(song =>
+                !session?.loadedFromDatabase?.has(song.query || song.title)
+            );
+            return [...memorySongs, ...databaseSongs];
+        } catch (error) {
+            console.error(`[QueueManager] Failed to read database queue, using in-memory queue only:`, error.message);
+            return memorySongs;
+        }
+    }
+
+    /**
+     * Replace the complete upcoming queue after an edit
+     * Keeps the first few songs in memory and writes the rest back as the database tail,
+     * releasing preloaded files of songs that are no longer next in line
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @param {Array} songs - New upcoming queue in play order
+     */
+    async replaceQueue(guildId, session, songs) {
+        const maxInMemory = 3;
+        const inMemorySongs = songs.slice(0, maxInMemory);
+        const databaseSongs = songs.slice(maxInMemory);
+        
+        // Release preloaded data for songs that left the in-memory window
+        const keptQueries = new Set(inMemorySongs.map(song => song.query));
+        if (session.nowPlaying?.query) {
+            keptQueries.add(session.nowPlaying.query);
+        }
+        for (const song of session.queue || []) {
+            if (!inMemorySongs.includes(song) && !keptQueries.has(song.query)) {
+                await this.releaseSong(guildId, song);
+            }
+        }
+        
+        session.queue = inMemorySongs;
+        // The tail is rewritten from scratch, so nothing in it has been loaded yet
+        session.loadedFromDatabase = new Set();
+        session.lazyLoadInfo = databaseSongs.length > 0 ? {
+            inMemoryCount: inMemorySongs.length,
+            totalCount: songs.length,
+            lastUpdated: Date.now()
+        } : null;
+        
+        try {
+            const { saveGuildQueue } = await import('../database/guildQueues.js');
+            await saveGuildQueue(guildId, {
+                nowPlaying: session.nowPlaying,
+                queue: databaseSongs,
+                history: session.history || [],
+                lazyLoadInfo: session.lazyLoadInfo,
+                volume: session.volume,
+                isMuted: session.isMuted
+            });
+        } catch (dbError) {
+            console.error(`[QueueManager] Failed to save edited queue to database:`, dbError.message);
+        }
+        
+        console.log(`[QueueManager] ✅ Queue replaced for guild ${guildId}: ${inMemorySongs.length} in memory, ${databaseSongs.length} in database`);
+    }
+
+    /**
+     * Release the preloaded/processed files held by a song that was removed from the queue
+     * @param {string} guildId - Guild ID
+     * @param {Object} song - Song object
+     */
+    async releaseSong(guildId, song) {
+        if (!song) return;
+        
+        const preloadedData = preloader.getPreloadedData(guildId, song.query);
+        if (preloadedData?.tempFile && !song.preloadedTempFile) {
+            song.preloadedTempFile = preloadedData.tempFile;
+        }
+        preloader.cleanupSongPreloadedData(guildId, song.query);
+        
+        try {
+            const { cleanupService } = await import('./cleanup-service.js');
+            await cleanupService.cleanupSongObject(song, true, guildId);
+        } catch (error) {
+            console.error(`[QueueManager] Failed to release song "${song.title}":`, error.message);
+        }
+    }
+
     /**
      * Handle auto-advance when a song finishes
      */
@@ -342,6 +500,49 @@ class QueueManager {
         try {
             const { getExistingSession } = await import('../core/audio-state.js');
             const session = getExistingSession(guildId);
+            let finishedSong = null;
+            // Read before loop handling clears it; a stopped session must not autoplay
+            const wasStopped = !!session?.stopRequested;
+            
+            // HISTORY / LOOP MODE: Record or re-queue the song that just finished before picking the next one
+            if (session) {
+                const { player } = await import('../../handlers/core/player.js');
+                finishedSong = player.getCurrentSong(guildId);
+                player.playingSongs.delete(guildId);
+                
+                // Save or clear the episode's resume position while the skip/stop/back flags still say why it ended
+                if (finishedSong?.podcastEpisodeId) {
+                    const { podcastService } = await import('./podcast-service.js');
+                    await podcastService.finishEpisode(guildId, finishedSong, session);
+                }
+                
+                const { historyManager } = await import('./history-manager.js');
+                if (session.backRequested) {
+                    // Going back: the interrupted song plays again after the previous one instead of entering history
+                    session.backRequested = false;
+                    session.skipRequested = false;
+                    session.stopRequested = false;
+                    if (finishedSong) {
+                        session.queue.splice(1, 0, await historyManager.createReplayCopy(finishedSong));
+                    }
+                } else {
+                    await historyManager.addToHistory(guildId, session, finishedSong);
+                    
+                    const { loopManager } = await import('./loop-manager.js');
+                    await loopManager.applyLoopMode(guildId, session, finishedSong);
+                }
+            }
+            
+            // Top up the in-memory window from the database tail before advancing
+            if (session?.lazyLoadInfo && (session.queue?.length || 0) < 3) {
+                await this.loadNextBatchFromDatabase(guildId, session);
+            }
+            
+            // AUTOPLAY: Keep the music going with a related track when the queue has run dry
+            if (session?.queue && session.queue.length === 0 && finishedSong && !wasStopped) {
+                const { autoplayManager } = await import('./autoplay-manager.js');
+                await autoplayManager.queueRelatedSong(guildId, session, finishedSong);
+            }
             
             if (!session || !session.queue || session.queue.length === 0) {
                 console.log(`[QueueManager] ⏹️ AUTO-ADVANCE: No songs in queue, staying idle`);
@@ -378,6 +579,30 @@ class QueueManager {
                 } else {
                     console.error(`[QueueManager] ❌ AUTO-ADVANCE: Preloaded data not available for "${nextSong.title}"`);
                 }
+            } else if (nextSong.reuseTempFile && existsSync(nextSong.reuseTempFile)) {
+                console.log(`[QueueManager] ♻️ AUTO-ADVANCE: Reusing temp file for "${nextSong.title}": ${nextSong.reuseTempFile}`);
+                
+                // Previously played song whose download is still on disk - only the FFmpeg stage is needed
+                const { unifiedYtdlpService } = await import('../processors/unified-ytdlp-service.js');
+                const streamData = await unifiedYtdlpService.getAudioStreamFromTempFile(
+                    nextSong.reuseTempFile,
+                    guildId,
+                    100, // The player sets the session volume on the resource
+                    nextSong.reuseMetadata || { title: nextSong.title, duration: nextSong.duration }
+                );
+                nextSong.streamDetails = {
+                    audioResource: streamData.audioResource,
+                    tempFile: streamData.tempFile,
+                    metadata: streamData.metadata,
+                    seekSourceFile: nextSong.reuseTempFile
+                };
+                nextSong.reuseTempFile = null;
+                nextSong.reuseMetadata = null;
+                
+                const { ClientService } = await import('../../services/client-service.js');
+                const djsClient = ClientService.getClient();
+                const { player } = await import('../../handlers/core/player.js');
+                await player.playSong(guildId, nextSong, djsClient, session, null, null);
             } else {
                 console.log(`[QueueManager] ⚠️ AUTO-ADVANCE: Song not preloaded, processing with ImmediateProcessor`);
                 
@@ -0,0 +1,202 @@
+// utils/services/queue-policy-manager.js
+import { getGuildSettings } from '../database/guildSettings.js';
+
+/**
+ * Queue Policy Manager
+ * Applies the guild's per-user queue limit, playlist import limit and fair (round-robin) ordering
+ */
+class QueuePolicyManager {
+    /**
+     * Get the key that identifies who queued a song
+     * Older song objects only carry the username, so fall back to that when there is no ID
+     * @param {Object} song - Song object
+     * @returns {string} Requester key
+     */
+    getRequesterKey(song) {
+        if (song?.addedById && song.addedById !== 'unknown') {
+            return song.addedById;
+        }
+        return song?.addedBy || 'Unknown User';
+    }
+
+    /**
+     * Get the queue policy settings for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { maxSongsPerUser, maxPlaylistSize, fairQueue } (0 means no limit)
+     */
+    async getPolicy(guildId) {
+        try {
+            const settings = await getGuildSettings(guildId);
+            return {
+                maxSongsPerUser: settings.max_songs_per_user || 0,
+                maxPlaylistSize: settings.max_playlist_size || 0,
+                fairQueue: !!settings.fair_queue
+            };
+        } catch (error) {
+            console.error(`[QueuePolicy] Failed to load queue policy for guild ${guildId}:`, error.message);
+            return { maxSongsPerUser: 0, maxPlaylistSize: 0, fairQueue: false };
+        }
+    }
+
+    /**
+     * Count the upcoming songs each requester has queued
+     * @param {Array} songs - Upcoming queue
+     * @returns {Map<string, number>} Requester key -> song count
+     */
+    countByRequester(songs) {
+        const counts = new Map();
+        for (const song of songs) {
+            const key = this.getRequesterKey(song);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * Check whether a requester can queue another song before any work is done for it
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session (optional)
+     * @param {Object} song - Song-like object carrying addedById/addedBy
+     * @returns {Promise<string|null>} Message explaining the limit, or null if the song can be queued
+     */
+    async checkUserLimit(guildId, session, song) {
+        const { maxSongsPerUser } = await this.getPolicy(guildId);
+        if (!maxSongsPerUser || !session) {
+            return null;
+        }
+
+        const { queueManager } = await import('./queue-manager.js');
+        const fullQueue = await queueManager.getFullQueue(guildId, session);
+        const queued = this.countByRequester(fullQueue).get(this.getRequesterKey(song)) || 0;
+
+        return queued >= maxSongsPerUser
+            ? `❌ You already have **${queued}** songs in the queue (limit: ${maxSongsPerUser}).`
+            : null;
+    }
+
+    /**
+     * Drop the songs that go over the playlist import limit or a requester's song limit
+     * @param {string} guildId - Guild ID
+     * @param {Array} songs - Songs about to be queued
+     * @param {Array} upcomingQueue - Songs already queued (memory and database tail)
+     * @returns {Promise<Object>} { songs, rejectedCount, message }
+     */
+    async applyLimits(guildId, songs, upcomingQueue) {
+        const { maxSongsPerUser, maxPlaylistSize } = await this.getPolicy(guildId);
+        let accepted = songs;
+        const reasons = [];
+
+        if (maxPlaylistSize > 0 && accepted.length > maxPlaylistSize) {
+            accepted = accepted.slice(0, maxPlaylistSize);
+            reasons.push(`playlists are limited to ${maxPlaylistSize} songs`);
+        }
+
+        if (maxSongsPerUser > 0) {
+            const counts = this.countByRequester(upcomingQueue);
+            const beforeUserLimit = accepted.length;
+            accepted = accepted.filter(song => {
+                const key = this.getRequesterKey(song);
+                const queued = counts.get(key) || 0;
+                if (queued >= maxSongsPerUser) {
+                    return false;
+                }
+                counts.set(key, queued + 1);
+                return true;
+            });
+            if (accepted.length < beforeUserLimit) {
+                reasons.push(`each user can have ${maxSongsPerUser} songs queued`);
+            }
+        }
+
+        const rejectedCount = songs.length - accepted.length;
+        if (rejectedCount === 0) {
+            return { songs: accepted, rejectedCount: 0, message: null };
+        }
+
+        console.log(`[QueuePolicy] Guild ${guildId}: rejected ${rejectedCount}/${songs.length} songs (${reasons.join(', ')})`);
+        const message = accepted.length === 0
+            ? `❌ Nothing was added to the queue: ${reasons.join(' and ')}.`
+            : `⚠️ Added ${accepted.length} of ${songs.length} songs: ${reasons.join(' and ')}.`;
+        return { songs: accepted, rejectedCount, message };
+    }
+
+    /**
+     * Tell the requester why songs were not queued by updating their /play response
+     * @param {Object} interactionDetails - { applicationId, interactionToken } (optional)
+     * @param {string} message - Message to show
+     */
+    async notify(interactionDetails, message) {
+        if (!interactionDetails?.applicationId || !interactionDetails?.interactionToken) {
+            return;
+        }
+
+        try {
+            const { updateOriginalMessage } = await import('../helpers/discord-api.js');
+            await updateOriginalMessage(interactionDetails.applicationId, interactionDetails.interactionToken, { content: message });
+        } catch (error) {
+            console.error('[QueuePolicy] Failed to send queue limit message:', error.message);
+        }
+    }
+
+    /**
+     * Interleave songs so each requester gets a turn
+     * Every requester keeps their own order; the requester of the current song goes last in the first round
+     * @param {Array} songs - Upcoming queue
+     * @param {Object} nowPlaying - Song currently playing (optional)
+     * @returns {Array} Fairly ordered queue
+     */
+    interleave(songs, nowPlaying = null) {
+        const groups = new Map();
+        for (const song of songs) {
+            const key = this.getRequesterKey(song);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(song);
+        }
+
+        const rotation = [...groups.keys()];
+        const currentKey = nowPlaying ? this.getRequesterKey(nowPlaying) : null;
+        if (rotation.length > 1 && rotation[0] === currentKey) {
+            rotation.push(rotation.shift());
+        }
+
+        const ordered = [];
+        while (ordered.length < songs.length) {
+            for (const key of rotation) {
+                const song = groups.get(key).shift();
+                if (song) {
+                    ordered.push(song);
+                }
+            }
+        }
+        return ordered;
+    }
+
+    /**
+     * Re-order the whole upcoming queue fairly when fair mode is on
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @returns {Promise<boolean>} True if the queue order changed
+     */
+    async applyFairOrder(guildId, session) {
+        const { fairQueue } = await this.getPolicy(guildId);
+        if (!fairQueue) {
+            return false;
+        }
+
+        const { queueManager } = await import('./queue-manager.js');
+        const fullQueue = await queueManager.getFullQueue(guildId, session);
+        const ordered = this.interleave(fullQueue, session.nowPlaying);
+        if (ordered.every((song, index) => song === fullQueue[index])) {
+            return false;
+        }
+
+        await queueManager.replaceQueue(guildId, session, ordered);
+        console.log(`[QueuePolicy] ⚖️ Re-ordered ${ordered.length} songs fairly for guild ${guildId}`);
+        return true;
+    }
+}
+
+// Export singleton instance
+export const queuePolicyManager = new QueuePolicyManager();
@@ -2,6 +2,21 @@
 // Shared service for searching songs on YouTube based on track information
 
 import { unifiedYtdlpService } from '../processors/unified-ytdlp-service.js';
+import { youtubeMatchService } from './youtube-match-service.js';
+
+// Prefix of the search queries queued for Spotify playlist/album tracks
+const SEARCH_QUERY_PREFIX = 'ytsearch1:';
+
+/**
+ * Build the YouTube search terms for a track
+ * Queued Spotify playlist/album tracks use the same terms, so they match the same videos as single tracks
+ * 
+ * @param {Object} trackInfo - { title, artist }
+ * @returns {string} Search terms
+ */
+export function getYouTubeSearchQuery(trackInfo) {
+    return trackInfo.artist ? `${trackInfo.title} ${trackInfo.artist}` : trackInfo.title;
+}
 
 /**
  * Search for a song on YouTube based on track information
@@ -32,16 +47,20 @@ export async function searchSongOnYouTube(trackInfo, guildId) {
         }
         
         // For Spotify tracks or search queries, create a search query
-        if (trackInfo.artist) {
-            searchQuery = `${trackInfo.title} ${trackInfo.artist}`;
-        } else {
-            searchQuery = trackInfo.title;
-        }
+        searchQuery = getYouTubeSearchQuery(trackInfo);
         
         console.log(`[SongSearch] 🔍 Searching YouTube for: "${searchQuery}"`);
         
-        // Search for the song on YouTube
-        youtubeUrl = await unifiedYtdlpService.searchSong(searchQuery, guildId);
+        // Spotify tracks are matched on duration and uploader, since the first result is often a live version or a cover
+        const spotifyId = trackInfo.spotifyData?.id || trackInfo.spotifyId;
+        youtubeUrl = spotifyId
+            ? await youtubeMatchService.findBestMatch({
+                id: spotifyId,
+                title: trackInfo.title,
+                artist: trackInfo.artist,
+                durationSeconds: trackInfo.duration
+            }, searchQuery, guildId)
+            : await unifiedYtdlpService.searchSong(searchQuery, guildId);
         console.log(`[SongSearch] ✅ Found YouTube equivalent: ${youtubeUrl}`);
         
         return {
@@ -60,6 +79,32 @@ export async function searchSongOnYouTube(trackInfo, guildId) {
     }
 }
 
+/**
+ * Replace the search query of a queued Spotify playlist/album track with its best YouTube match
+ * Runs right before the track is downloaded, so large playlists don't search every track up front
+ * 
+ * @param {Object} song - Queued song (has spotifyId, spotifyTitle and a ytsearch1: query)
+ * @param {string} guildId - Guild ID for rate limiting
+ */
+export async function resolveSpotifySearchQuery(song, guildId) {
+    if (!song.spotifyId || !song.query?.startsWith(SEARCH_QUERY_PREFIX)) {
+        return;
+    }
+    
+    try {
+        song.query = await youtubeMatchService.findBestMatch({
+            id: song.spotifyId,
+            // song.title is "<title> - <artist>" for playlist tracks, which would skew title scoring
+            title: song.spotifyTitle || song.title,
+            artist: song.artist,
+            durationSeconds: song.duration
+        }, song.query.slice(SEARCH_QUERY_PREFIX.length), guildId);
+    } catch (error) {
+        // Keep the search query; ytdlp falls back to the first result
+        console.error(`[SongSearch] ❌ Failed to match "${song.title}", using first search result:`, error.message);
+    }
+}
+
 /**
  * Create a standardized song object from track information and YouTube URL
  * 
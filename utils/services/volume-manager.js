@@ -0,0 +1,76 @@
+// utils/services/volume-manager.js
+import { getGuildSettings, updateGuildSettings } from '../database/guildSettings.js';
+
+// Past double gain most tracks clip audibly, so no guild setting can go above this
+export const HARD_MAX_VOLUME = 200;
+const DEFAULT_VOLUME = 100;
+
+/**
+ * Volume Manager
+ * Reads the per-guild default and maximum volume from guild_settings and keeps volume changes inside them
+ */
+class VolumeManager {
+    /**
+     * Get the volume settings for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { defaultVolume, maxVolume } in percent
+     */
+    async getVolumeSettings(guildId) {
+        let settings = {};
+        try {
+            settings = await getGuildSettings(guildId);
+        } catch (error) {
+            console.error(`[VolumeManager] Failed to load volume settings for guild ${guildId}:`, error.message);
+        }
+
+        const maxVolume = this.clamp(settings.max_volume || DEFAULT_VOLUME, 1, HARD_MAX_VOLUME);
+        const defaultVolume = this.clamp(settings.default_volume ?? DEFAULT_VOLUME, 0, maxVolume);
+        return { defaultVolume, maxVolume };
+    }
+
+    clamp(volume, min, max) {
+        return Math.max(min, Math.min(max, Math.round(Number(volume) || 0)));
+    }
+
+    /**
+     * Volume a new session starts at
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<number>} Percent
+     */
+    async getDefaultVolume(guildId) {
+        return (await this.getVolumeSettings(guildId)).defaultVolume;
+    }
+
+    /**
+     * Keep a requested volume between 0 and the guild's maximum
+     * @param {string} guildId - Guild ID
+     * @param {number} volume - Requested percent
+     * @returns {Promise<number>} Percent to apply
+     */
+    async clampToGuildLimit(guildId, volume) {
+        const { maxVolume } = await this.getVolumeSettings(guildId);
+        return this.clamp(volume, 0, maxVolume);
+    }
+
+    /**
+     * Set and persist the default and/or maximum volume for a guild
+     * The default is lowered to the maximum if it would be above it
+     * @param {string} guildId - Guild ID
+     * @param {Object} changes - { defaultVolume, maxVolume }; omitted values are kept
+     * @returns {Promise<Object>} The settings that were applied
+     */
+    async setVolumeSettings(guildId, { defaultVolume, maxVolume }) {
+        const current = await this.getVolumeSettings(guildId);
+        const newMax = this.clamp(maxVolume ?? current.maxVolume, 1, HARD_MAX_VOLUME);
+        const newDefault = this.clamp(defaultVolume ?? current.defaultVolume, 0, newMax);
+
+        const currentSettings = await getGuildSettings(guildId);
+        await updateGuildSettings(guildId, { ...currentSettings, default_volume: newDefault, max_volume: newMax });
+
+        console.log(`[VolumeManager] Volume settings for guild ${guildId}: default ${newDefault}%, max ${newMax}%`);
+        return { defaultVolume: newDefault, maxVolume: newMax };
+    }
+}
+
+// Export singleton instance
+export const volumeManager = new VolumeManager();
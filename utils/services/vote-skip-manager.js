@@ -0,0 +1,138 @@
+// utils/services/vote-skip-manager.js
+import { getVoiceConnection } from '@discordjs/voice';
+import { getGuildSettings } from '../database/guildSettings.js';
+
+/**
+ * Vote Skip Manager
+ * Decides whether a skip request goes through: users with access skip directly, the requester can
+ * always skip their own song, and everyone else in the bot's voice channel votes when vote-skip is enabled
+ */
+class VoteSkipManager {
+    constructor() {
+        this.guildVotes = new Map(); // guildId -> { song, voters: Set<userId>, required }
+    }
+
+    /**
+     * Get the current vote tally for a song
+     * @param {string} guildId - Guild ID
+     * @param {Object} song - Song the votes should belong to (usually session.nowPlaying)
+     * @returns {Object|null} { votes, required } or null if nobody has voted on this song
+     */
+    getVoteStatus(guildId, song) {
+        const state = this.guildVotes.get(guildId);
+        if (!state || !song || state.song !== song || state.voters.size === 0) {
+            return null;
+        }
+        return { votes: state.voters.size, required: state.required };
+    }
+
+    clearVotes(guildId) {
+        this.guildVotes.delete(guildId);
+    }
+
+    /**
+     * Check whether a user queued the song
+     * Older song objects only carry the username, so fall back to that when there is no ID
+     */
+    isRequester(song, user) {
+        if (!song || !user) {
+            return false;
+        }
+        if (song.addedById && song.addedById !== 'unknown') {
+            return song.addedById === user.id;
+        }
+        return !!song.addedBy && (song.addedBy === user.username || song.addedBy === user.global_name);
+    }
+
+    /**
+     * Get the IDs of the non-bot members in the bot's voice channel
+     * @param {Object} djsClient - Discord.js client
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string[]>} Listener user IDs
+     */
+    async getListenerIds(djsClient, guildId) {
+        const connection = getVoiceConnection(guildId);
+        if (!connection?.joinConfig?.channelId) {
+            return [];
+        }
+
+        try {
+            const channel = await djsClient.channels.fetch(connection.joinConfig.channelId);
+            if (!channel?.members) {
+                return [];
+            }
+            return [...channel.members.filter(member => !member.user.bot).keys()];
+        } catch (error) {
+            console.error(`[VoteSkip] Error fetching voice channel members for guild ${guildId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Handle a skip request from a user
+     * @param {Object} djsClient - Discord.js client
+     * @param {string} guildId - Guild ID
+     * @param {Object} session - Audio session
+     * @param {Object} member - Interaction member object
+     * @param {string} accessType - Access setting used while the skip action follows the access settings ('slash_commands' or 'components')
+     * @returns {Promise<Object>} { action: 'skip' | 'vote' | 'denied', reason, votes, required, message }
+     */
+    async requestSkip(djsClient, guildId, session, member, accessType) {
+        const user = member?.user;
+        const song = session?.nowPlaying;
+
+        const { checkActionPermission } = await import('../../middleware/permissionMiddleware.js');
+        if (user?.id && await checkActionPermission(djsClient, guildId, user.id, 'skip', accessType)) {
+            this.clearVotes(guildId);
+            return { action: 'skip', reason: 'permission' };
+        }
+
+        if (this.isRequester(song, user)) {
+            this.clearVotes(guildId);
+            return { action: 'skip', reason: 'requester' };
+        }
+
+        const settings = await getGuildSettings(guildId);
+        if (!settings.vote_skip_enabled) {
+            return { action: 'denied', message: '❌ You need appropriate permissions to skip this song.' };
+        }
+
+        const listenerIds = await this.getListenerIds(djsClient, guildId);
+        if (!listenerIds.includes(user?.id)) {
+            return { action: 'denied', message: '❌ You need to be in the voice channel to vote to skip.' };
+        }
+
+        // Votes belong to one song; a new song starts a fresh vote
+        let state = this.guildVotes.get(guildId);
+        if (!state || state.song !== song) {
+            state = { song, voters: new Set(), required: 1 };
+            this.guildVotes.set(guildId, state);
+        }
+
+        const alreadyVoted = state.voters.has(user.id);
+        state.voters.add(user.id);
+
+        // Members who left the channel no longer count
+        for (const voterId of state.voters) {
+            if (!listenerIds.includes(voterId)) {
+                state.voters.delete(voterId);
+            }
+        }
+
+        const ratio = Math.min(100, Math.max(1, settings.vote_skip_ratio || 50));
+        state.required = Math.max(1, Math.ceil(listenerIds.length * ratio / 100));
+        const votes = state.voters.size;
+
+        console.log(`[VoteSkip] Guild ${guildId}: ${votes}/${state.required} votes to skip "${song?.title}"`);
+
+        if (votes >= state.required) {
+            this.clearVotes(guildId);
+            return { action: 'skip', reason: 'vote', votes, required: state.required };
+        }
+
+        return { action: 'vote', alreadyVoted, votes, required: state.required };
+    }
+}
+
+// Export singleton instance
+export const voteSkipManager = new VoteSkipManager();
@@ -0,0 +1,156 @@
+// utils/services/youtube-match-service.js
+import { unifiedYtdlpService } from '../processors/unified-ytdlp-service.js';
+import { hashQuery, getAudioMetadata, storeAudioMetadata } from '../database/audioMetadata.js';
+
+// Candidates fetched per Spotify track; flat search results are cheap, so a few extra cost little
+const CANDIDATE_COUNT = 8;
+// Versions nobody means when they queue the studio track, unless the Spotify title names them too
+const PENALTY_KEYWORDS = ['live', 'cover', 'remix', 'sped up', 'slowed', 'nightcore', 'karaoke', 'instrumental', '8d', 'reverb', 'loop', 'hour', 'extended', 'acoustic'];
+
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function containsWord(text, word) {
+    return ` ${text} `.includes(` ${word} `);
+}
+
+/**
+ * YouTube Match Service
+ * Picks the YouTube video to play for a Spotify track by scoring several search results
+ * on duration, uploader and title instead of trusting the first one,
+ * and remembers the pick in audio_metadata under the Spotify track ID
+ */
+class YouTubeMatchService {
+    getCacheKey(spotifyTrackId) {
+        return hashQuery(`spotify:track:${spotifyTrackId}`);
+    }
+
+    /**
+     * Score a search result against the Spotify track; higher is better
+     * @param {Object} candidate - { title, channel, duration } from unifiedYtdlpService.searchResults
+     * @param {Object} track - { title, artist, durationSeconds }
+     * @returns {number} Score
+     */
+    scoreCandidate(candidate, track) {
+        const title = normalize(candidate.title);
+        const channel = normalize(candidate.channel);
+        const trackTitle = normalize(track.title);
+        const artists = String(track.artist || '').split(',').map(normalize).filter(Boolean);
+        let score = 0;
+
+        // Duration is the strongest signal: live cuts, edits and hour-long loops all run long or short
+        if (track.durationSeconds && candidate.duration) {
+            const delta = Math.abs(candidate.duration - track.durationSeconds);
+            score += delta <= 3 ? 40 : Math.max(-40, 30 - delta);
+        }
+
+        // Auto-generated "Artist - Topic" channels carry the studio recording
+        if (candidate.channel?.endsWith(' - Topic')) {
+            score += 25;
+        } else if (artists.some(artist => channel.includes(artist.replace(/ /g, '')) || channel.includes(artist)) || channel.includes('vevo')) {
+            score += 20;
+        }
+        if (containsWord(title, 'official')) {
+            score += 5;
+        }
+
+        if (trackTitle && title.includes(trackTitle)) {
+            score += 15;
+        }
+        if (artists.some(artist => title.includes(artist) || channel.includes(artist))) {
+            score += 10;
+        }
+
+        for (const keyword of PENALTY_KEYWORDS) {
+            if (containsWord(title, keyword) && !containsWord(trackTitle, keyword)) {
+                score -= 30;
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Get the YouTube video chosen for a Spotify track before
+     * @returns {Promise<string|null>} YouTube URL or null
+     */
+    async getCachedMatch(spotifyTrackId) {
+        try {
+            const row = await getAudioMetadata(this.getCacheKey(spotifyTrackId));
+            return row?.sourceUrl || null;
+        } catch (error) {
+            console.error(`[YouTubeMatch] Failed to read cached match for ${spotifyTrackId}:`, error.message);
+            return null;
+        }
+    }
+
+    async cacheMatch(track, candidate, score) {
+        try {
+            await storeAudioMetadata({
+                queryHash: this.getCacheKey(track.id),
+                title: track.title,
+                durationSeconds: candidate.duration ? Math.round(candidate.duration) : null,
+                thumbnailUrl: null,
+                uploader: track.artist || null,
+                sourceUrl: candidate.url,
+                streamUrl: null,
+                streamUrlExpiresAt: null,
+                fileSizeBytes: null,
+                formatInfo: null,
+                additionalMetadata: {
+                    spotifyTrackId: track.id,
+                    youtubeTitle: candidate.title,
+                    youtubeChannel: candidate.channel,
+                    matchScore: score
+                }
+            });
+        } catch (error) {
+            console.error(`[YouTubeMatch] Failed to cache match for ${track.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Find the best YouTube video for a Spotify track
+     * @param {Object} track - { id, title, artist, durationSeconds }
+     * @param {string} searchQuery - YouTube search terms for the track
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string>} YouTube URL
+     */
+    async findBestMatch(track, searchQuery, guildId = null) {
+        if (track.id) {
+            const cachedUrl = await this.getCachedMatch(track.id);
+            if (cachedUrl) {
+                console.log(`[YouTubeMatch] 🎯 Cached match for "${track.title}": ${cachedUrl}`);
+                return cachedUrl;
+            }
+        }
+
+        const candidates = await unifiedYtdlpService.searchResults(searchQuery, CANDIDATE_COUNT, guildId);
+        if (candidates.length === 0) {
+            throw new Error(`No YouTube results for "${searchQuery}"`);
+        }
+
+        let best = null;
+        for (const candidate of candidates) {
+            const score = this.scoreCandidate(candidate, track);
+            if (!best || score > best.score) {
+                best = { candidate, score };
+            }
+        }
+        console.log(`[YouTubeMatch] ✅ "${track.title}" -> "${best.candidate.title}" by ${best.candidate.channel} (score ${best.score}, ${candidates.length} candidates)`);
+
+        if (track.id) {
+            await this.cacheMatch(track, best.candidate, best.score);
+        }
+        return best.candidate.url;
+    }
+}
+
+// Export singleton instance
+export const youtubeMatchService = new YouTubeMatchService();